@@ -0,0 +1,99 @@
+// Auth - Shared-secret token for the HTTP API and WebSocket bridge, plus CORS origin allowlist
+// The token comes from DEBUG_SERVER_TOKEN or is generated once and stored in the data directory.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Load the server token, generating and saving one on first start
+ * @param {string} dataDir - Directory holding the auth-token file
+ * @returns {{ token: string, file: string, generated: boolean }}
+ */
+export function loadToken(dataDir) {
+  const file = path.join(dataDir, 'auth-token');
+
+  if (process.env.DEBUG_SERVER_TOKEN) {
+    return { token: process.env.DEBUG_SERVER_TOKEN, file: null, generated: false };
+  }
+  if (fs.existsSync(file)) {
+    return { token: fs.readFileSync(file, 'utf8').trim(), file, generated: false };
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  fs.writeFileSync(file, token + '\n', { mode: 0o600 });
+  return { token, file, generated: true };
+}
+
+/**
+ * Constant-time token comparison
+ */
+export function tokenMatches(expected, provided) {
+  if (!provided) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(provided));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read the token from a request: Authorization: Bearer, X-Debug-Token, or ?token=
+ * (the query form is for EventSource, WebSocket and links opened in a browser)
+ */
+export function getRequestToken(req) {
+  const header = req.headers.authorization;
+  if (header?.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  if (req.headers['x-debug-token']) {
+    return req.headers['x-debug-token'];
+  }
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+/**
+ * Express middleware rejecting requests without the server token
+ * @param {string|null} token - Expected token (null disables auth)
+ */
+export function requireToken(token) {
+  return (req, res, next) => {
+    if (!token || tokenMatches(token, getRequestToken(req))) {
+      return next();
+    }
+    res.status(401).json({ error: 'Unauthorized: missing or invalid token' });
+  };
+}
+
+/**
+ * Build the CORS origin check and a guard that rejects cross-origin requests outside the allowlist.
+ * Requests without an Origin header (curl, Node, the MCP server) are not cross-origin and pass.
+ * @param {string[]} allowedOrigins - Exact origins allowed to call the API from a browser
+ */
+export function originPolicy(allowedOrigins) {
+  const isAllowed = (origin) => !origin || allowedOrigins.includes(origin);
+
+  return {
+    corsOptions: {
+      origin: (origin, callback) => callback(null, isAllowed(origin))
+    },
+    guard: (req, res, next) => {
+      if (isAllowed(req.headers.origin)) {
+        return next();
+      }
+      res.status(403).json({ error: `Origin not allowed: ${req.headers.origin}` });
+    }
+  };
+}
+
+/**
+ * WebSocketServer verifyClient hook: the extension passes the token as ?token=
+ * @param {string|null} token - Expected token (null disables auth)
+ */
+export function verifyWebSocketClient(token) {
+  return (info, callback) => {
+    if (!token || tokenMatches(token, getRequestToken(info.req))) {
+      return callback(true);
+    }
+    callback(false, 401, 'Unauthorized');
+  };
+}
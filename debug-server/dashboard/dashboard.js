@@ -0,0 +1,379 @@
+// BrowserDevWizard Dashboard - Live view of the debug-server
+// The API token comes from #token= (the link printed at server startup) or the token dialog,
+// and is kept in localStorage. Live updates arrive over /stream.
+
+const TOKEN_KEY = 'browserDevWizardToken';
+const MAX_CONSOLE_ROWS = 500;
+const MAX_COMMAND_ROWS = 100;
+
+const $ = (id) => document.getElementById(id);
+
+let token = localStorage.getItem(TOKEN_KEY) || '';
+let stream = null;
+let consolePaused = false;
+let baseSession = null;
+let queueTimer = null;
+
+// Commands sent to the browser, keyed by command ID, newest last
+const commands = new Map();
+
+// ===== API =====
+
+function withToken(url) {
+  if (!token) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+}
+
+async function api(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(options.body ? { 'Content-Type': 'application/json' } : {})
+    }
+  });
+  if (response.status === 401) {
+    askForToken();
+    throw new Error('Unauthorized');
+  }
+  return response.json();
+}
+
+function askForToken() {
+  if (!$('tokenDialog').open) {
+    $('tokenInput').value = '';
+    $('tokenDialog').showModal();
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleTimeString() : '';
+}
+
+// ===== Connection status =====
+
+async function refreshClients() {
+  try {
+    const { clients } = await api('/clients');
+    $('statusDot').className = `status-dot ${clients.length > 0 ? 'connected' : 'disconnected'}`;
+    $('statusText').textContent = clients.length > 0
+      ? `${clients.length} browser(s): ${clients.map(c => c.name).join(', ')}`
+      : 'No browser connected';
+
+    const select = $('clientInput');
+    const selected = select.value;
+    select.innerHTML = '<option value="">Default</option>' +
+      clients.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)} (${escapeHtml(c.id)})</option>`).join('');
+    select.value = clients.some(c => c.id === selected) ? selected : '';
+  } catch (error) {
+    $('statusDot').className = 'status-dot disconnected';
+    $('statusText').textContent = 'Server unreachable';
+  }
+}
+
+function setStreamStatus(live) {
+  $('streamDot').className = `status-dot ${live ? 'connected' : 'disconnected'}`;
+  $('streamText').textContent = live ? 'Live' : 'Reconnecting...';
+}
+
+// ===== Console =====
+
+function consoleRow(entry) {
+  const row = document.createElement('tr');
+  row.className = entry.method || 'log';
+  row.innerHTML = `<td class="mono">${formatTime(entry.timestamp)}</td>` +
+    `<td>${escapeHtml(entry.method || 'log')}</td>` +
+    `<td class="mono">${escapeHtml(entry.args?.join(' ') || entry.message || '')}</td>` +
+    `<td class="muted">${escapeHtml(entry.clientName || entry.clientId || '')}</td>`;
+  return row;
+}
+
+function applyConsoleFilter(row) {
+  row.hidden = $('errorsOnly').checked && !['error', 'warn'].includes(row.className);
+}
+
+function addConsoleEntries(entries) {
+  const scroller = $('consoleScroll');
+  const atBottom = scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - 20;
+  const body = $('consoleBody');
+  for (const entry of entries) {
+    const row = consoleRow(entry);
+    applyConsoleFilter(row);
+    body.appendChild(row);
+  }
+  while (body.children.length > MAX_CONSOLE_ROWS) {
+    body.firstElementChild.remove();
+  }
+  $('consoleCount').textContent = `(${body.children.length})`;
+  if (atBottom) {
+    scroller.scrollTop = scroller.scrollHeight;
+  }
+}
+
+async function loadConsole() {
+  const { logs } = await api('/data/console-logs.json');
+  $('consoleBody').innerHTML = '';
+  addConsoleEntries(logs.slice(-MAX_CONSOLE_ROWS));
+}
+
+// ===== Commands =====
+
+function renderCommands() {
+  const rows = [...commands.values()].reverse().map(command => {
+    let result = '<span class="muted">pending…</span>';
+    if (command.success === true) {
+      result = `<span class="ok">✓</span>${command.detail ? ` <span class="mono">${escapeHtml(command.detail)}</span>` : ''}`;
+    } else if (command.success === false) {
+      result = `<span class="bad">✗ ${escapeHtml(command.error || 'failed')}</span>`;
+    }
+    return `<tr><td class="muted">${escapeHtml(command.commandId)}</td><td>${escapeHtml(command.action)}</td>` +
+      `<td class="mono">${escapeHtml(command.selector || command.url || '')}</td><td>${result}</td></tr>`;
+  });
+  $('commandsBody').innerHTML = rows.join('') || '<tr><td colspan="4" class="muted">No commands yet</td></tr>';
+}
+
+function trackCommand(commandId, changes) {
+  if (commandId === undefined || commandId === null) return;
+  commands.set(commandId, { commandId, action: '?', ...commands.get(commandId), ...changes });
+  while (commands.size > MAX_COMMAND_ROWS) {
+    commands.delete(commands.keys().next().value);
+  }
+  renderCommands();
+}
+
+function resultDetail(result) {
+  if (result === undefined || result === null) return '';
+  const text = typeof result === 'string' ? result : JSON.stringify(result);
+  return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+}
+
+async function refreshQueue() {
+  try {
+    const { running, queued, lastRun } = await api('/commands');
+    const parts = [];
+    if (running) parts.push('commands.json running');
+    if (queued.length > 0) parts.push(`${queued.length} queued`);
+    if (lastRun && !running) {
+      parts.push(`last run ${lastRun.status}: ${lastRun.succeeded}/${lastRun.total} passed`);
+    }
+    $('queueStatus').textContent = parts.join(' · ');
+  } catch (error) {
+    $('queueStatus').textContent = '';
+  }
+}
+
+// ===== Screenshot =====
+
+async function refreshScreenshot() {
+  try {
+    const meta = await api('/data/screenshot.json');
+    if (!meta.file) return;
+    const url = withToken(`/screenshot.png?t=${meta.timestamp}`);
+    $('screenshot').src = url;
+    $('screenshotLink').href = url;
+    $('screenshotInfo').textContent = `${meta.width}×${meta.height} · ${new Date(meta.timestamp).toLocaleString()}`;
+  } catch (error) {
+    // Keep the previous image
+  }
+}
+
+// ===== Sessions =====
+
+async function refreshSessions() {
+  try {
+    const { sessions } = await api('/sessions');
+    if (baseSession && !sessions.some(s => s.name === baseSession)) {
+      baseSession = null;
+    }
+    $('sessionsBody').innerHTML = sessions.map(session => {
+      const name = escapeHtml(session.name);
+      const tags = session.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join('');
+      const isBase = session.name === baseSession;
+      return `<tr>` +
+        `<td><input type="radio" name="base" value="${name}"${isBase ? ' checked' : ''}></td>` +
+        `<td>${name} ${tags}</td>` +
+        `<td class="muted">${escapeHtml(session.url || '')}</td>` +
+        `<td><button data-report="${name}">Report</button> ` +
+        `<button data-compare="${name}"${!baseSession || isBase ? ' disabled' : ''}>Compare</button></td>` +
+        `</tr>`;
+    }).join('') || '<tr><td colspan="4" class="muted">No sessions captured yet</td></tr>';
+  } catch (error) {
+    // Keep the previous list
+  }
+}
+
+$('sessionsBody').addEventListener('change', (e) => {
+  if (e.target.name === 'base') {
+    baseSession = e.target.value;
+    refreshSessions();
+  }
+});
+
+$('sessionsBody').addEventListener('click', (e) => {
+  const { report, compare } = e.target.dataset;
+  if (report) {
+    window.open(withToken(`/session/${encodeURIComponent(report)}/report`), '_blank');
+  } else if (compare && baseSession) {
+    window.open(withToken(`/diff/${encodeURIComponent(baseSession)}/${encodeURIComponent(compare)}/report`), '_blank');
+  }
+});
+
+// ===== Actions =====
+
+async function runButton(button, label, request) {
+  button.disabled = true;
+  button.textContent = `${label}…`;
+  try {
+    const result = await request();
+    if (result.success === false || result.error) {
+      alert(result.error || 'Request failed');
+    }
+  } catch (error) {
+    alert(error.message);
+  } finally {
+    button.disabled = false;
+    button.textContent = label;
+  }
+}
+
+$('captureBtn').addEventListener('click', () => {
+  const clientId = $('clientInput').value || undefined;
+  runButton($('captureBtn'), 'Capture session', () => api('/capture', { method: 'POST', body: JSON.stringify({ clientId }) }));
+});
+
+$('screenshotBtn').addEventListener('click', () => {
+  const clientId = $('clientInput').value || undefined;
+  runButton($('screenshotBtn'), 'Capture', () => api('/refresh-state', { method: 'POST', body: JSON.stringify({ clientId }) }));
+});
+
+$('commandForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const action = $('actionInput').value;
+  const command = {
+    action,
+    clientId: $('clientInput').value || undefined,
+    selector: $('selectorInput').value || undefined,
+    text: action === 'type' ? $('textInput').value : undefined,
+    url: action === 'navigate' ? $('urlInput').value : undefined,
+    code: action === 'run_js' ? $('codeInput').value : undefined,
+    timeout: action === 'navigate' ? 30000 : 5000
+  };
+
+  $('runBtn').disabled = true;
+  $('commandOutput').hidden = false;
+  $('commandOutput').textContent = `Running ${action}…`;
+  try {
+    const result = await api('/execute', { method: 'POST', body: JSON.stringify(command) });
+    $('commandOutput').textContent = JSON.stringify(result, null, 2);
+  } catch (error) {
+    $('commandOutput').textContent = error.message;
+  } finally {
+    $('runBtn').disabled = false;
+  }
+});
+
+$('pauseConsoleBtn').addEventListener('click', () => {
+  consolePaused = !consolePaused;
+  $('pauseConsoleBtn').textContent = consolePaused ? 'Resume' : 'Pause';
+});
+
+$('clearConsoleBtn').addEventListener('click', () => {
+  $('consoleBody').innerHTML = '';
+  $('consoleCount').textContent = '';
+});
+
+$('errorsOnly').addEventListener('change', () => {
+  for (const row of $('consoleBody').children) {
+    applyConsoleFilter(row);
+  }
+});
+
+$('tokenForm').addEventListener('submit', () => {
+  token = $('tokenInput').value.trim();
+  localStorage.setItem(TOKEN_KEY, token);
+  start();
+});
+
+// ===== Live stream =====
+
+function handleStreamEvent(evt) {
+  switch (evt.type) {
+    case 'console':
+      if (!consolePaused) addConsoleEntries([evt]);
+      break;
+    case 'command_sent':
+      trackCommand(evt.commandId, { action: evt.action, selector: evt.selector, url: evt.url, sentAt: evt.timestamp });
+      break;
+    case 'event':
+      if (evt.commandId) {
+        trackCommand(evt.commandId, { success: evt.success !== false, error: evt.error, detail: resultDetail(evt.result) });
+      }
+      break;
+    case 'command_result':
+      trackCommand(evt.commandId, { success: evt.success !== false, error: evt.error });
+      break;
+    case 'screenshot':
+      refreshScreenshot();
+      break;
+    case 'client_connected':
+    case 'client_disconnected':
+      refreshClients();
+      break;
+    case 'capture_complete':
+    case 'session_updated':
+    case 'session_deleted':
+      refreshSessions();
+      break;
+    case 'commands_complete':
+      refreshQueue();
+      break;
+  }
+}
+
+const STREAM_TYPES = [
+  'console', 'command_sent', 'event', 'command_result', 'screenshot', 'client_connected',
+  'client_disconnected', 'capture_complete', 'session_updated', 'session_deleted', 'commands_complete'
+];
+
+function connectStream() {
+  stream?.close();
+  stream = new EventSource(withToken(`/stream?types=${STREAM_TYPES.join(',')}`));
+  stream.onopen = () => setStreamStatus(true);
+  stream.onerror = () => setStreamStatus(false);
+  for (const type of STREAM_TYPES) {
+    stream.addEventListener(type, (e) => handleStreamEvent(JSON.parse(e.data)));
+  }
+}
+
+// ===== Startup =====
+
+async function start() {
+  try {
+    await api('/status');
+  } catch (error) {
+    return; // Waiting for the token dialog
+  }
+  renderCommands();
+  connectStream();
+  // The commands.json runner only reports when a run finishes
+  queueTimer ??= setInterval(refreshQueue, 5000);
+  await Promise.all([refreshClients(), loadConsole(), refreshQueue(), refreshScreenshot(), refreshSessions()]);
+}
+
+// Take the token from the startup link, then drop it from the address bar
+const hashToken = new URLSearchParams(location.hash.slice(1)).get('token');
+if (hashToken) {
+  token = hashToken;
+  localStorage.setItem(TOKEN_KEY, token);
+  history.replaceState(null, '', location.pathname + location.search);
+}
+
+start();
@@ -0,0 +1,390 @@
+// History DB - Optional SQLite index of console logs, events, DOM snapshots and sessions
+// Uses better-sqlite3 when installed; the server runs without it and /query reports it unavailable.
+
+import fs from 'fs';
+import path from 'path';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS console_logs (
+    id INTEGER PRIMARY KEY,
+    timestamp INTEGER,
+    method TEXT,
+    message TEXT,
+    url TEXT,
+    client_id TEXT,
+    tab_id INTEGER,
+    session TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_console_time ON console_logs (timestamp);
+  CREATE INDEX IF NOT EXISTS idx_console_session ON console_logs (session);
+
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY,
+    timestamp INTEGER,
+    action TEXT,
+    success INTEGER,
+    error TEXT,
+    selector TEXT,
+    url TEXT,
+    client_id TEXT,
+    tab_id INTEGER,
+    command_id INTEGER,
+    session TEXT,
+    data TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_time ON events (timestamp);
+  CREATE INDEX IF NOT EXISTS idx_events_session ON events (session);
+
+  CREATE TABLE IF NOT EXISTS dom_snapshots (
+    id INTEGER PRIMARY KEY,
+    timestamp INTEGER,
+    url TEXT,
+    title TEXT,
+    length INTEGER,
+    client_id TEXT,
+    tab_id INTEGER,
+    session TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_dom_time ON dom_snapshots (timestamp);
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    name TEXT PRIMARY KEY,
+    created_at INTEGER,
+    url TEXT,
+    title TEXT,
+    client_id TEXT,
+    client_name TEXT,
+    console_count INTEGER,
+    error_count INTEGER,
+    event_count INTEGER,
+    failed_event_count INTEGER,
+    files TEXT
+  );
+`;
+
+// Query types → table and the columns each filter maps to
+const QUERY_TABLES = {
+  console: { table: 'console_logs', text: 'message', url: 'url', time: 'timestamp' },
+  events: { table: 'events', text: 'error', url: 'url', time: 'timestamp' },
+  dom: { table: 'dom_snapshots', text: 'title', url: 'url', time: 'timestamp' },
+  sessions: { table: 'sessions', text: 'title', url: 'url', time: 'created_at' }
+};
+
+/**
+ * Parse a time filter: ms since epoch, ISO date, or relative ("30m", "24h", "7d")
+ * @param {string|number} value - Time filter value
+ * @returns {number|null} Timestamp in ms
+ */
+export function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const relative = /^(\d+)([smhd])$/.exec(value);
+  if (relative) {
+    const units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return Date.now() - parseInt(relative[1]) * units[relative[2]];
+  }
+  if (/^\d+$/.test(value)) return parseInt(value);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function extractTitle(html) {
+  const match = /<title[^>]*>([^<]*)<\/title>/i.exec(html || '');
+  return match ? match[1].trim() : null;
+}
+
+// Escape LIKE wildcards so user text matches literally (used with ESCAPE '\\')
+function likePattern(text) {
+  return `%${String(text).replace(/[\\%_]/g, c => `\\${c}`)}%`;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+class HistoryDb {
+  /**
+   * @param {Object} db - better-sqlite3 Database instance
+   */
+  constructor(db) {
+    this.db = db;
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      console: db.prepare(`
+        INSERT INTO console_logs (timestamp, method, message, url, client_id, tab_id, session)
+        VALUES (@timestamp, @method, @message, @url, @clientId, @tabId, @session)
+      `),
+      event: db.prepare(`
+        INSERT INTO events (timestamp, action, success, error, selector, url, client_id, tab_id, command_id, session, data)
+        VALUES (@timestamp, @action, @success, @error, @selector, @url, @clientId, @tabId, @commandId, @session, @data)
+      `),
+      dom: db.prepare(`
+        INSERT INTO dom_snapshots (timestamp, url, title, length, client_id, tab_id, session)
+        VALUES (@timestamp, @url, @title, @length, @clientId, @tabId, @session)
+      `),
+      session: db.prepare(`
+        INSERT OR REPLACE INTO sessions
+          (name, created_at, url, title, client_id, client_name, console_count, error_count, event_count, failed_event_count, files)
+        VALUES
+          (@name, @createdAt, @url, @title, @clientId, @clientName, @consoleCount, @errorCount, @eventCount, @failedEventCount, @files)
+      `),
+      hasSession: db.prepare('SELECT 1 FROM sessions WHERE name = ?')
+    };
+  }
+
+  /**
+   * Index a console log entry
+   * @param {Object} entry - { method, args, url, timestamp, clientId, tabId }
+   * @param {string} session - Session name, or null for live logs
+   */
+  insertConsole(entry, session = null) {
+    this.statements.console.run({
+      timestamp: entry.timestamp ?? null,
+      method: entry.method ?? null,
+      message: entry.args?.join(' ') ?? '',
+      url: entry.url ?? null,
+      clientId: entry.clientId ?? null,
+      tabId: entry.tabId ?? null,
+      session
+    });
+  }
+
+  /**
+   * Index a command/action event
+   * @param {Object} event - Event entry as stored in events.json
+   * @param {string} session - Session name, or null for live events
+   */
+  insertEvent(event, session = null) {
+    this.statements.event.run({
+      timestamp: event.timestamp ?? null,
+      action: event.action ?? null,
+      success: event.success === undefined ? null : (event.success ? 1 : 0),
+      error: event.error ?? null,
+      selector: event.selector ?? null,
+      url: event.url ?? null,
+      clientId: event.clientId ?? null,
+      tabId: event.tabId ?? null,
+      commandId: event.commandId ?? null,
+      session,
+      data: JSON.stringify(event)
+    });
+  }
+
+  /**
+   * Index DOM snapshot metadata (not the HTML itself)
+   * @param {Object} snapshot - { html, url, timestamp, clientId, tabId }
+   * @param {string} session - Session name, or null for live snapshots
+   */
+  insertDomSnapshot(snapshot, session = null) {
+    this.statements.dom.run({
+      timestamp: snapshot.timestamp ?? null,
+      url: snapshot.url ?? null,
+      title: extractTitle(snapshot.html),
+      length: snapshot.html?.length || 0,
+      clientId: snapshot.clientId ?? null,
+      tabId: snapshot.tabId ?? null,
+      session
+    });
+  }
+
+  /**
+   * Index (or re-index) a session folder and everything in it
+   * @param {string} name - Session name
+   * @param {string} dir - Session folder
+   */
+  indexSession(name, dir) {
+    const dom = readJson(path.join(dir, 'dom-snapshot.json'));
+    const logs = readJson(path.join(dir, 'console-logs.json'))?.logs || [];
+    const events = readJson(path.join(dir, 'events.json'))?.events || [];
+
+    const index = this.db.transaction(() => {
+      for (const table of ['console_logs', 'events', 'dom_snapshots']) {
+        this.db.prepare(`DELETE FROM ${table} WHERE session = ?`).run(name);
+      }
+      for (const entry of logs) this.insertConsole(entry, name);
+      for (const event of events) this.insertEvent(event, name);
+      if (dom) this.insertDomSnapshot(dom, name);
+
+      this.statements.session.run({
+        name,
+        createdAt: dom?.timestamp ?? fs.statSync(dir).mtimeMs,
+        url: dom?.url ?? null,
+        title: extractTitle(dom?.html),
+        clientId: dom?.clientId ?? null,
+        clientName: dom?.clientName ?? null,
+        consoleCount: logs.length,
+        errorCount: logs.filter(l => l.method === 'error').length,
+        eventCount: events.length,
+        failedEventCount: events.filter(e => e.success === false).length,
+        files: JSON.stringify(fs.readdirSync(dir))
+      });
+    });
+    index();
+  }
+
+  /**
+   * Index session folders that aren't in the database yet
+   * @param {string} dataDir - Directory containing session folders
+   * @returns {number} Number of sessions indexed
+   */
+  indexNewSessions(dataDir) {
+    let count = 0;
+    for (const entry of fs.readdirSync(dataDir, { withFileTypes: true })) {
+      if (entry.isDirectory() && !this.statements.hasSession.get(entry.name)) {
+        this.indexSession(entry.name, path.join(dataDir, entry.name));
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Drop a deleted session's rows
+   * @param {string} name - Session name
+   */
+  removeSession(name) {
+    const remove = this.db.transaction(() => {
+      for (const table of ['console_logs', 'events', 'dom_snapshots']) {
+        this.db.prepare(`DELETE FROM ${table} WHERE session = ?`).run(name);
+      }
+      this.db.prepare('DELETE FROM sessions WHERE name = ?').run(name);
+    });
+    remove();
+  }
+
+  /**
+   * Drop live rows (not part of a session) older than a timestamp, so the index keeps the
+   * same history as the journals it mirrors. Session rows stay until the session is deleted.
+   * @param {string} type - console | events | dom
+   * @param {number|null} before - Oldest timestamp to keep; null keeps everything
+   * @returns {number} Rows removed
+   */
+  pruneLive(type, before) {
+    const table = { console: 'console_logs', events: 'events', dom: 'dom_snapshots' }[type];
+    if (!table || before === null || before === undefined) return 0;
+    return this.db.prepare(`DELETE FROM ${table} WHERE session IS NULL AND timestamp < ?`).run(before).changes;
+  }
+
+  /**
+   * Search the index
+   * @param {Object} filters - Query filters
+   * @param {string} filters.type - console | events | dom | sessions (default: console)
+   * @param {string} filters.text - Substring of message (console), error (events) or title (dom/sessions)
+   * @param {string} filters.url - Substring of the page URL
+   * @param {string} filters.method - Console method (comma-separated)
+   * @param {string} filters.action - Event action (comma-separated)
+   * @param {boolean} filters.success - Event success flag
+   * @param {string} filters.session - Exact session name
+   * @param {string} filters.scope - live | sessions | all (default: all)
+   * @param {string} filters.clientId - Client ID
+   * @param {string|number} filters.since - Lower time bound (ms, ISO date or "7d")
+   * @param {string|number} filters.until - Upper time bound
+   * @param {boolean} filters.distinctSessions - Return matching session names instead of rows
+   * @param {number} filters.limit - Maximum rows (default: 100)
+   * @returns {Object} { type, count, results }
+   */
+  query(filters = {}) {
+    const type = filters.type || 'console';
+    const spec = QUERY_TABLES[type];
+    if (!spec) {
+      throw new Error(`Unknown query type: ${type}. Use one of: ${Object.keys(QUERY_TABLES).join(', ')}`);
+    }
+
+    const where = [];
+    const params = {};
+    const isSessionTable = type === 'sessions';
+
+    if (filters.text) {
+      where.push(`${spec.text} LIKE @text ESCAPE '\\'`);
+      params.text = likePattern(filters.text);
+    }
+    if (filters.url) {
+      where.push(`${spec.url} LIKE @url ESCAPE '\\'`);
+      params.url = likePattern(filters.url);
+    }
+    if (filters.clientId) {
+      where.push('client_id = @clientId');
+      params.clientId = filters.clientId;
+    }
+    if (filters.method && type === 'console') {
+      const methods = filters.method.split(',');
+      where.push(`method IN (${methods.map((_, i) => `@method${i}`).join(', ')})`);
+      methods.forEach((m, i) => { params[`method${i}`] = m; });
+    }
+    if (filters.action && type === 'events') {
+      const actions = filters.action.split(',');
+      where.push(`action IN (${actions.map((_, i) => `@action${i}`).join(', ')})`);
+      actions.forEach((a, i) => { params[`action${i}`] = a; });
+    }
+    if (filters.success !== undefined && type === 'events') {
+      where.push('success = @success');
+      params.success = filters.success ? 1 : 0;
+    }
+    if (filters.session) {
+      where.push(isSessionTable ? 'name = @session' : 'session = @session');
+      params.session = filters.session;
+    }
+    if (!isSessionTable && filters.scope === 'live') where.push('session IS NULL');
+    if (!isSessionTable && filters.scope === 'sessions') where.push('session IS NOT NULL');
+
+    const since = parseTime(filters.since);
+    const until = parseTime(filters.until);
+    if (since !== null) {
+      where.push(`${spec.time} >= @since`);
+      params.since = since;
+    }
+    if (until !== null) {
+      where.push(`${spec.time} <= @until`);
+      params.until = until;
+    }
+
+    const limit = Math.min(parseInt(filters.limit) || 100, 1000);
+    const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+    if (filters.distinctSessions && !isSessionTable) {
+      const rows = this.db.prepare(`
+        SELECT session, COUNT(*) AS matches, MIN(${spec.time}) AS firstSeen, MAX(${spec.time}) AS lastSeen
+        FROM ${spec.table} ${whereClause} ${whereClause ? 'AND' : 'WHERE'} session IS NOT NULL
+        GROUP BY session ORDER BY lastSeen DESC LIMIT ${limit}
+      `).all(params);
+      return { type, distinctSessions: true, count: rows.length, results: rows };
+    }
+
+    const rows = this.db.prepare(`
+      SELECT * FROM ${spec.table} ${whereClause} ORDER BY ${spec.time} DESC LIMIT ${limit}
+    `).all(params);
+
+    for (const row of rows) {
+      if (row.data) row.data = JSON.parse(row.data);
+      if (row.files) row.files = JSON.parse(row.files);
+      if (row.success !== undefined && row.success !== null) row.success = row.success === 1;
+    }
+    return { type, count: rows.length, results: rows };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Open the history database, or return null when better-sqlite3 isn't installed
+ * @param {string} file - Database file path
+ * @returns {Promise<HistoryDb|null>}
+ */
+export async function openHistoryDb(file) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (e) {
+    return null;
+  }
+  return new HistoryDb(new Database(file));
+}
+
+export { HistoryDb };
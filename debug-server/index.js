@@ -4,35 +4,68 @@
 
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
 import chokidar from 'chokidar';
 import express from 'express';
 import cors from 'cors';
+import { LogStore } from './log-store.js';
+import { openHistoryDb } from './history-db.js';
+import { loadToken, requireToken, originPolicy, verifyWebSocketClient } from './auth.js';
+import { listScenarios, loadScenario, runScenario } from './scenario-runner.js';
+import { exportSession, importSession, importHar, isValidSessionName } from './session-archive.js';
+import { createSessionMeta, readSessionMeta, updateSessionMeta, normalizeTags, validateMetaFields, hasTags, SESSION_META_FILE } from './session-meta.js';
+import { SEARCH_SOURCES, createMatcher, searchSession, forgetSession } from './session-search.js';
+import { saveScreenshotDataUrl, readScreenshotMeta, readScreenshotImage, readScreenshotDataUrl } from './screenshot-store.js';
+import { compareSessions, compareText, extractVisibleText, formatDiffForAI, formatTextDiffForAI, toUnifiedDiff, auditAccessibility, filterAudit } from '../shared/diff-utils.js';
+import { REPORT_FORMATS, formatReport, reportFromScenario, reportFromCommandRun, reportFromDiff } from '../shared/report-utils.js';
+import { renderSessionReport, renderDiffReport } from '../shared/html-report.js';
+import { fromWebRequest, filterNetworkRequests } from '../shared/network-utils.js';
+import { toHar } from '../shared/har.js';
+import { resolveBudgets, summarizePerformance } from '../shared/performance-utils.js';
+import { STORAGE_AREAS, normalizeStorage, parseStorageAreas, validateStorageChange } from '../shared/storage-utils.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, 'data');
 const EXTENSION_DIR = path.join(__dirname, '..', 'extension');
+const DASHBOARD_DIR = path.join(__dirname, 'dashboard');
+const SCENARIOS_DIR = process.env.SCENARIOS_DIR || path.join(__dirname, 'scenarios');
+const REPORTS_DIR = path.join(__dirname, 'reports');
+// Highlighted screenshot diffs written by /diff, as <session2>/<session1>.png - kept out of
+// the session folders so viewing a diff doesn't change a session
+const VISUAL_DIFF_DIR = path.join(REPORTS_DIR, 'visual-diffs');
 const COMMANDS_FILE = path.join(__dirname, 'commands.json');
+const COMMANDS_RESULTS_FILE = path.join(__dirname, 'commands-results.json');
+const PERFORMANCE_BUDGETS_FILE = process.env.PERFORMANCE_BUDGETS_FILE || path.join(__dirname, 'performance-budgets.json');
 
-// Track current capture-all session
-let currentCaptureSession = null;
+// Track current capture-all session per client
+const captureSessions = new Map();
+
+// Last completed session per client - the default parent of its next capture
+const lastSessionByClient = new Map();
+
+// In-process event bus - everything handleMessage receives is published here
+// and fanned out to /stream subscribers and to endpoints waiting on the browser
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+let streamEventId = 0;
 
 // Pending command promises (for synchronous execution)
 const pendingCommands = new Map();
 let commandIdCounter = 0;
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+// Ensure data and report directories exist
+for (const dir of [DATA_DIR, REPORTS_DIR]) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
 }
 
 // Initialize data files
 const dataFiles = {
   'dom-snapshot.json': { html: '', url: '', timestamp: null },
-  'console-logs.json': { logs: [] },
-  'screenshot.json': { dataUrl: '', timestamp: null },
-  'events.json': { events: [] }
+  'screenshot.json': { file: null, timestamp: null }
 };
 
 for (const [file, initial] of Object.entries(dataFiles)) {
@@ -42,17 +75,107 @@ for (const [file, initial] of Object.entries(dataFiles)) {
   }
 }
 
+// Integer setting from the environment; unset, or not an integer >= min, gives the default
+// (with a warning for a value that was set, since NaN would silently turn rotation off)
+function envInteger(name, fallback, min = 1) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  if (Number.isInteger(value) && value >= min) return value;
+  console.warn(`⚠️  ${name}=${raw} is not an integer >= ${min}, using ${fallback}`);
+  return fallback;
+}
+
+// Console logs and events: recent entries in memory, full history in NDJSON journals
+const JOURNAL_MAX_BYTES = envInteger('JOURNAL_MAX_BYTES', 5 * 1024 * 1024);
+// 0 keeps no rotated journals, only the current one
+const JOURNAL_MAX_FILES = envInteger('JOURNAL_MAX_FILES', 5, 0);
+
+const consoleStore = new LogStore({
+  dir: DATA_DIR,
+  name: 'console-logs',
+  key: 'logs',
+  capacity: envInteger('CONSOLE_BUFFER_SIZE', 1000),
+  maxFileSize: JOURNAL_MAX_BYTES,
+  maxFiles: JOURNAL_MAX_FILES,
+  onRotate: () => pruneHistory()
+});
+
+const eventStore = new LogStore({
+  dir: DATA_DIR,
+  name: 'events',
+  key: 'events',
+  capacity: envInteger('EVENT_BUFFER_SIZE', 500),
+  maxFileSize: JOURNAL_MAX_BYTES,
+  maxFiles: JOURNAL_MAX_FILES,
+  onRotate: () => pruneHistory()
+});
+
+const networkStore = new LogStore({
+  dir: DATA_DIR,
+  name: 'network-log',
+  key: 'requests',
+  capacity: envInteger('NETWORK_BUFFER_SIZE', 1000),
+  maxFileSize: JOURNAL_MAX_BYTES,
+  maxFiles: JOURNAL_MAX_FILES
+});
+
+// Stores served in place of the old whole-file JSON data files
+const storeFiles = {
+  'console-logs.json': consoleStore,
+  'events.json': eventStore,
+  'network-log.json': networkStore
+};
+
+// Optional SQLite index for /query (needs better-sqlite3; disable with HISTORY_DB=off)
+const historyDb = process.env.HISTORY_DB === 'off'
+  ? null
+  : await openHistoryDb(path.join(DATA_DIR, 'history.db'));
+
+if (historyDb) {
+  pruneHistory();
+  const indexed = historyDb.indexNewSessions(DATA_DIR);
+  console.log(`🗄️  History DB enabled${indexed ? ` (indexed ${indexed} existing session(s))` : ''}`);
+}
+
+// Write to the history index without letting a DB error break message handling
+function recordHistory(fn) {
+  if (!historyDb) return;
+  try {
+    fn(historyDb);
+  } catch (e) {
+    console.error('History DB error:', e.message);
+  }
+}
+
+// Keep live history rows only as far back as the journals (JOURNAL_MAX_BYTES × JOURNAL_MAX_FILES).
+// DOM snapshots have no journal of their own and follow the console journal.
+function pruneHistory() {
+  recordHistory(db => {
+    const consoleSince = consoleStore.oldestTimestamp();
+    db.pruneLive('console', consoleSince);
+    db.pruneLive('dom', consoleSince);
+    db.pruneLive('events', eventStore.oldestTimestamp());
+  });
+}
+
 // Initialize commands file
 if (!fs.existsSync(COMMANDS_FILE)) {
   fs.writeFileSync(COMMANDS_FILE, JSON.stringify({ commands: [] }, null, 2));
 }
 
+// Shared-secret token required by the HTTP API and WebSocket bridge (DEBUG_SERVER_AUTH=off disables)
+const auth = process.env.DEBUG_SERVER_AUTH === 'off' ? null : loadToken(DATA_DIR);
+const AUTH_TOKEN = auth?.token || null;
+
 // WebSocket server
 const PORT = 8123;
-const wss = new WebSocketServer({ port: PORT });
-let wsClient = null;
-let heartbeatInterval = null;
-let lastPongTime = Date.now();
+const wss = new WebSocketServer({ port: PORT, verifyClient: verifyWebSocketClient(AUTH_TOKEN) });
+
+// Connected extension clients, keyed by client ID
+// Each entry: { id, ws, name, capabilities, userAgent, remoteAddress, connectedAt, lastPongTime, heartbeatInterval }
+const clients = new Map();
+let clientIdCounter = 0;
 
 // Heartbeat configuration
 const HEARTBEAT_INTERVAL = 15000; // Send ping every 15 seconds
@@ -63,24 +186,34 @@ console.log(`📁 Data directory: ${DATA_DIR}`);
 console.log(`📁 Extension directory: ${EXTENSION_DIR}`);
 console.log(`📝 Commands file: ${COMMANDS_FILE}`);
 console.log('');
+if (!auth) {
+  console.log('⚠️  Authentication disabled (DEBUG_SERVER_AUTH=off) - any local page can control the browser');
+} else if (auth.file) {
+  console.log(`🔑 Auth token (paste into the extension popup): ${AUTH_TOKEN}`);
+  console.log(`   Stored in ${auth.file}${auth.generated ? ' (newly generated)' : ''}`);
+} else {
+  console.log('🔑 Auth token taken from DEBUG_SERVER_TOKEN');
+}
+console.log('');
 console.log('Waiting for Chrome Extension to connect...');
 
 // Start heartbeat mechanism
-function startHeartbeat(ws) {
-  stopHeartbeat();
-  lastPongTime = Date.now();
+function startHeartbeat(client) {
+  stopHeartbeat(client);
+  client.lastPongTime = Date.now();
   
-  heartbeatInterval = setInterval(() => {
+  client.heartbeatInterval = setInterval(() => {
+    const ws = client.ws;
     if (!ws || ws.readyState !== 1) {
-      stopHeartbeat();
+      stopHeartbeat(client);
       return;
     }
     
     // Check if we've received a pong recently
-    if (Date.now() - lastPongTime > HEARTBEAT_TIMEOUT) {
-      console.log('💔 Connection timeout - no heartbeat response');
+    if (Date.now() - client.lastPongTime > HEARTBEAT_TIMEOUT) {
+      console.log(`💔 Connection timeout - no heartbeat response from ${client.name} (${client.id})`);
       ws.terminate();
-      stopHeartbeat();
+      stopHeartbeat(client);
       return;
     }
     
@@ -93,37 +226,509 @@ function startHeartbeat(ws) {
   }, HEARTBEAT_INTERVAL);
 }
 
-function stopHeartbeat() {
-  if (heartbeatInterval) {
-    clearInterval(heartbeatInterval);
-    heartbeatInterval = null;
+function stopHeartbeat(client) {
+  if (client.heartbeatInterval) {
+    clearInterval(client.heartbeatInterval);
+    client.heartbeatInterval = null;
+  }
+}
+
+// ===== Client Registry =====
+
+function isOpen(client) {
+  return client?.ws?.readyState === 1;
+}
+
+// Get a connected client by ID, or the most recently connected one if no ID is given
+function getClient(clientId) {
+  if (clientId) {
+    const client = clients.get(clientId);
+    return isOpen(client) ? client : null;
+  }
+  const connected = [...clients.values()].filter(isOpen);
+  return connected[connected.length - 1] || null;
+}
+
+// Send the appropriate error response when no target client is available
+function sendClientUnavailable(res, clientId, message = 'Extension not connected') {
+  if (clientId) {
+    return res.status(404).json({ error: `Client not connected: ${clientId}` });
+  }
+  return res.status(503).json({ error: message });
+}
+
+// Extract optional tab/window targeting from a request body or query string
+function getTarget(source = {}) {
+  const target = {};
+  if (source.tabId !== undefined && source.tabId !== null) target.tabId = parseInt(source.tabId);
+  if (source.windowId !== undefined && source.windowId !== null) target.windowId = parseInt(source.windowId);
+  return target;
+}
+
+// Register a pending command and resolve when the extension reports its result
+function waitForCommandResult(commandId, timeout, timeoutMessage = 'Command timeout') {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingCommands.delete(commandId);
+      reject(new Error(timeoutMessage));
+    }, timeout);
+    
+    pendingCommands.set(commandId, { resolve, reject, timer });
+  });
+}
+
+// Publish a stream event. `level` lets consumers filter (console method, or error/info)
+function publish(type, data = {}, level = 'info') {
+  bus.emit('stream', { id: ++streamEventId, type, level, timestamp: Date.now(), ...data });
+}
+
+// Wait for the first stream event matching a predicate
+function waitForStreamEvent(predicate, timeout, timeoutMessage) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      bus.off('stream', listener);
+      reject(new Error(timeoutMessage));
+    }, timeout);
+    
+    function listener(evt) {
+      if (predicate(evt)) {
+        clearTimeout(timer);
+        bus.off('stream', listener);
+        resolve(evt);
+      }
+    }
+    bus.on('stream', listener);
+  });
+}
+
+function sendToClient(client, message) {
+  client.ws.send(JSON.stringify(message));
+}
+
+// Send a command to a client and reply with its command_result
+async function relayCommand(res, clientId, message, timeout = 5000) {
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
+  }
+  
+  const commandId = ++commandIdCounter;
+  const resultPromise = waitForCommandResult(commandId, timeout, `Timeout waiting for ${message.type}`);
+  sendToClient(client, { ...message, commandId });
+  
+  try {
+    const result = await resultPromise;
+    if (!result.success) throw new Error(result.error);
+    res.json({ success: true, clientId: client.id, ...result.result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, clientId: client.id });
+  }
+}
+
+// Send an automation command ({ action, selector, text, code, url, tabId, windowId }) and wait
+// for the extension's event or command_result. Navigation goes through the tabs API so it
+// reports when the page has loaded.
+function executeCommand(client, command, timeout = 5000) {
+  const commandId = ++commandIdCounter;
+  const type = command.action === 'navigate' ? 'navigate' : 'execute';
+  const resultPromise = waitForCommandResult(commandId, timeout);
+  sendToClient(client, { type, ...command, commandId });
+  publish('command_sent', {
+    clientId: client.id,
+    commandId,
+    action: command.action,
+    selector: command.selector,
+    url: command.url,
+    tabId: command.tabId
+  });
+  return { commandId, resultPromise };
+}
+
+function describeClient(client) {
+  return {
+    id: client.id,
+    name: client.name,
+    capabilities: client.capabilities,
+    userAgent: client.userAgent,
+    remoteAddress: client.remoteAddress,
+    connectedAt: client.connectedAt,
+    lastSeen: client.lastPongTime,
+    isDefault: getClient() === client
+  };
+}
+
+// Apply identity info sent by the extension (extension_ready / client_info)
+function registerClientInfo(client, msg) {
+  // Re-key the client under the persistent ID chosen by the extension
+  if (msg.clientId && msg.clientId !== client.id) {
+    const stale = clients.get(msg.clientId);
+    if (stale && stale !== client) {
+      // Same extension reconnected before the old socket closed
+      stopHeartbeat(stale);
+      stale.ws.terminate();
+    }
+    clients.delete(client.id);
+    client.id = msg.clientId;
+    clients.set(client.id, client);
+  }
+  if (msg.name) client.name = msg.name;
+  if (Array.isArray(msg.capabilities)) client.capabilities = msg.capabilities;
+  if (msg.userAgent) client.userAgent = msg.userAgent;
+}
+
+// ===== Browser State Helpers =====
+
+// Request a fresh DOM snapshot from a client and return it ({ html, url, timestamp, ... })
+async function fetchFreshDom(client, target = {}, timeout = 5000) {
+  // Listen before requesting so a fast response isn't missed
+  const domPromise = waitForStreamEvent(
+    evt => evt.type === 'dom_snapshot' && evt.clientId === client.id,
+    timeout,
+    'Timeout waiting for fresh DOM'
+  );
+  sendToClient(client, { type: 'request_dom', ...target });
+  await domPromise;
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'dom-snapshot.json'), 'utf8'));
+}
+
+// Ask a client which tab commands are currently going to (url, title, status, ...)
+async function fetchTabInfo(client, target = {}, timeout = 5000) {
+  const commandId = ++commandIdCounter;
+  const resultPromise = waitForCommandResult(commandId, timeout, 'Timeout getting tab info');
+  sendToClient(client, { type: 'get_tab_info', commandId, ...target });
+  const result = await resultPromise;
+  if (!result.success) throw new Error(result.error);
+  return result.result;
+}
+
+// Ask a client for the performance metrics of its target tab and keep them as the latest
+async function fetchPerformance(client, target = {}, timeout = 5000) {
+  const commandId = ++commandIdCounter;
+  const resultPromise = waitForCommandResult(commandId, timeout, 'Timeout getting performance metrics');
+  sendToClient(client, { type: 'get_performance', commandId, ...target });
+  const result = await resultPromise;
+  if (!result.success) throw new Error(result.error);
+  const metrics = { ...result.result, clientId: client.id };
+  writeDataFile('performance.json', metrics);
+  return metrics;
+}
+
+// Run the accessibility rules in the target tab
+async function auditPage(client, target = {}, timeout = 15000) {
+  const commandId = ++commandIdCounter;
+  const resultPromise = waitForCommandResult(commandId, timeout, 'Timeout running accessibility audit');
+  sendToClient(client, { type: 'audit_a11y', commandId, ...target });
+  const result = await resultPromise;
+  if (!result.success) throw new Error(result.error);
+  return { ...result.result, clientId: client.id };
+}
+
+// Send a storage command (get_storage, set_storage, delete_storage, clear_storage) and return its result
+async function sendStorageCommand(client, message, timeout = 5000) {
+  const commandId = ++commandIdCounter;
+  const resultPromise = waitForCommandResult(commandId, timeout, `Timeout waiting for ${message.type}`);
+  sendToClient(client, { ...message, commandId });
+  const result = await resultPromise;
+  if (!result.success) throw new Error(result.error);
+  return result.result;
+}
+
+// Capture DOM, screenshot, logs and events into a session folder and return the session data
+// options.meta goes into session.json (source, action, parent, tags, note)
+async function captureSession(client, name, target = {}, options = {}) {
+  const { timeout = 10000, meta = {} } = options;
+  const timestamp = Date.now();
+  const folderName = name || new Date(timestamp).toISOString().replaceAll(/[:.]/g, '-');
+  const sessionDir = path.join(DATA_DIR, folderName);
+  const existed = fs.existsSync(sessionDir);
+  fs.mkdirSync(sessionDir, { recursive: true });
+  
+  // Wait for capture to complete (DOM and screenshot both written)
+  const capturePromise = waitForStreamEvent(
+    evt => evt.type === 'capture_complete' && evt.session === folderName && evt.clientId === client.id,
+    timeout,
+    'Capture timeout'
+  );
+  
+  const captureEntry = { dir: sessionDir, timestamp, meta };
+  let completed = false;
+  try {
+    // Trigger capture
+    captureSessions.set(client.id, captureEntry);
+    sendToClient(client, { type: 'request_dom_all', ...target });
+    
+    // Wait a bit then request screenshot
+    setTimeout(() => {
+      if (isOpen(client) && captureSessions.get(client.id) === captureEntry) {
+        sendToClient(client, { type: 'capture_screenshot_all', ...target });
+      }
+    }, 500);
+    
+    await capturePromise;
+    completed = true;
+  } finally {
+    // A completed capture has already cleared its entry. After a timeout, drop it so late
+    // DOM/screenshot messages aren't written here, and remove the half-written folder.
+    if (captureSessions.get(client.id) === captureEntry) {
+      captureSessions.delete(client.id);
+    }
+    if (!completed && !existed) {
+      fs.rmSync(sessionDir, { recursive: true, force: true });
+    }
+  }
+  return { ...readSession(folderName), clientId: client.id, clientName: client.name };
+}
+
+// Browser access for the scenario runner, bound to one client and tab target
+function scenarioDriver(client, target) {
+  return {
+    clientId: client.id,
+    execute: (command, timeout) => executeCommand(client, { ...command, ...target }, timeout).resultPromise,
+    getDom: (timeout) => fetchFreshDom(client, target, timeout),
+    getTabInfo: () => fetchTabInfo(client, target),
+    capture: (name) => captureSession(client, name, target, { meta: { source: 'scenario' } }),
+    consoleSince: (timestamp) => consoleStore.entries().filter(l => l.clientId === client.id && l.timestamp >= timestamp),
+    eventsSince: (timestamp) => eventStore.entries().filter(e => e.clientId === client.id && e.timestamp >= timestamp),
+    loadSession: readSession
+  };
+}
+
+// Screenshot files of a session, as report attachments
+function sessionAttachments(name) {
+  const meta = readScreenshotMeta(path.join(DATA_DIR, name));
+  return meta ? [{ type: 'screenshot', session: name, path: path.join(DATA_DIR, name, meta.file) }] : [];
+}
+
+// Screenshot metadata with links to the image endpoints. The image itself is only
+// included (as dataUrl) when the caller asks for it with ?screenshot=inline.
+function describeScreenshot(dir, baseUrl, inline = false) {
+  const meta = readScreenshotMeta(dir);
+  if (!meta) return null;
+  return {
+    ...meta,
+    url: `${baseUrl}/screenshot.png`,
+    thumbnailUrl: meta.thumbnail ? `${baseUrl}/thumbnail.png` : null,
+    ...(inline ? { dataUrl: readScreenshotDataUrl(dir) } : {})
+  };
+}
+
+// Read a session folder into one object (dom-snapshot.json → dom_snapshot, ...), or null if
+// missing or not a valid session name
+function readSession(name, options = {}) {
+  if (!isValidSessionName(name)) {
+    return null;
+  }
+  const sessionDir = path.join(DATA_DIR, name);
+  if (!fs.existsSync(sessionDir) || !fs.statSync(sessionDir).isDirectory()) {
+    return null;
+  }
+  
+  const session = { name };
+  for (const file of fs.readdirSync(sessionDir)) {
+    if (file.endsWith('.json') && file !== 'screenshot.json' && file !== SESSION_META_FILE) {
+      const key = file.replace('.json', '').replace(/-/g, '_');
+      session[key] = JSON.parse(fs.readFileSync(path.join(sessionDir, file), 'utf8'));
+    }
+  }
+  
+  session.meta = readSessionMeta(sessionDir);
+  
+  const screenshot = describeScreenshot(sessionDir, `/session/${encodeURIComponent(name)}`, options.inlineScreenshot);
+  if (screenshot) {
+    session.screenshot = screenshot;
+  }
+  return session;
+}
+
+// Read /diff query options: ?mode=full|text, ?format=json|md, and ?threshold= / ?minChangedRatio=
+// (both 0-1) for screenshot comparisons
+function diffOptions(query) {
+  const options = { mode: query.mode || 'full', format: query.format || 'json' };
+  if (!['full', 'text'].includes(options.mode)) {
+    throw new Error(`Unknown mode: ${options.mode} (expected full or text)`);
+  }
+  if (!['json', 'md'].includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format} (expected json or md)`);
+  }
+  for (const key of ['threshold', 'minChangedRatio']) {
+    if (query[key] === undefined) continue;
+    const value = parseFloat(query[key]);
+    if (!(value >= 0 && value <= 1)) {
+      throw new Error(`${key} must be a number between 0 and 1`);
+    }
+    options[key] = value;
+  }
+  options.budgets = loadBudgets(query.budgets);
+  return options;
+}
+
+// Performance budgets: performance-budgets.json (read on each comparison) with a JSON
+// ?budgets= override on top, both as { metric: { max, maxIncrease, minChange } }.
+// A broken budgets file is a server problem, not a bad request: its error has code 'BUDGETS_FILE'.
+function loadBudgets(override) {
+  let budgets = {};
+  try {
+    if (fs.existsSync(PERFORMANCE_BUDGETS_FILE)) {
+      budgets = JSON.parse(fs.readFileSync(PERFORMANCE_BUDGETS_FILE, 'utf8'));
+      resolveBudgets(budgets);
+    }
+  } catch (error) {
+    const fileError = new Error(`Invalid ${PERFORMANCE_BUDGETS_FILE}: ${error.message}`);
+    fileError.code = 'BUDGETS_FILE';
+    throw fileError;
+  }
+  if (override) {
+    let parsed;
+    try {
+      parsed = JSON.parse(override);
+    } catch (error) {
+      throw new Error(`budgets must be JSON: ${error.message}`);
+    }
+    for (const [metric, budget] of Object.entries(parsed || {})) {
+      budgets[metric] = { ...budgets[metric], ...budget };
+    }
+  }
+  resolveBudgets(budgets);
+  return budgets;
+}
+
+function visualDiffFile(session1, session2) {
+  return path.join(VISUAL_DIFF_DIR, session2, `${session1}.png`);
+}
+
+// Drop what was derived from a session's files (visual diffs, search cache, history rows),
+// when the session is deleted or replaced
+function forgetSessionData(name) {
+  fs.rmSync(path.join(VISUAL_DIFF_DIR, name), { recursive: true, force: true });
+  forgetSession(name);
+  recordHistory(db => db.removeSession(name));
+}
+
+// Compare two sessions with compareSessions, screenshots included, or null if either is missing.
+// The highlighted screenshot diff is written to VISUAL_DIFF_DIR and replaced in the result by
+// its path and URL.
+function diffSessions(session1, session2, options = {}) {
+  if (!isValidSessionName(session1) || !isValidSessionName(session2)) {
+    return null;
+  }
+  const data1 = readSession(session1);
+  const data2 = readSession(session2);
+  if (!data1 || !data2) {
+    return null;
+  }
+
+  const diff = compareSessions(data1, data2, {
+    ...options,
+    screenshots: {
+      before: readScreenshotImage(path.join(DATA_DIR, session1)),
+      after: readScreenshotImage(path.join(DATA_DIR, session2))
+    }
+  });
+  if (diff.visual?.diffImage) {
+    const file = visualDiffFile(session1, session2);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, diff.visual.diffImage);
+    diff.visual.diffImage = { path: file, url: `/diff/${session1}/${session2}/visual.png` };
+  }
+  return diff;
+}
+
+// Session folder names, newest first
+function sessionNames() {
+  return fs.readdirSync(DATA_DIR, { withFileTypes: true })
+    // Dot folders are imports still being written
+    .filter(e => e.isDirectory() && !e.name.startsWith('.'))
+    .map(e => e.name)
+    .sort((a, b) => b.localeCompare(a));
+}
+
+// ?tag=a,b (or repeated ?tag=) as a clean tag list
+function tagFilter(value) {
+  return value ? normalizeTags([value].flat().join(',').split(',')) : [];
+}
+
+// Reply with a rendered HTML report; ?download=true asks the browser to save it as a file
+function sendHtmlReport(req, res, html, filename) {
+  if (req.query.download === 'true') {
+    res.attachment(filename);
+  }
+  res.type('html').send(html);
+}
+
+// Reply with requests as a HAR file download. Takes the /network filters (status, url, type,
+// method, since); bodies are always included.
+function sendHar(req, res, requests, page, filename) {
+  const { requests: matched } = filterNetworkRequests(requests, {
+    status: req.query.status,
+    url: req.query.url,
+    type: req.query.type,
+    method: req.query.method,
+    since: req.query.since ? parseInt(req.query.since) : null,
+    bodies: true
+  });
+  res.attachment(filename);
+  res.type('json').send(JSON.stringify(toHar(matched, { page }), null, 2));
+}
+
+// Reply with a screenshot or thumbnail image from a directory
+function sendScreenshot(res, dir, thumbnail) {
+  const image = readScreenshotImage(dir, { thumbnail });
+  if (!image) {
+    return res.status(404).json({ error: thumbnail ? 'No thumbnail' : 'No screenshot' });
   }
+  res.set('Cache-Control', 'no-cache');
+  res.type(image.mimeType);
+  res.send(image.buffer);
 }
 
 // ===== Express HTTP API =====
 const HTTP_PORT = 8124;
+
+// Browser origins allowed to call the API (comma-separated CORS_ORIGINS overrides)
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+  : [`http://localhost:${HTTP_PORT}`, `http://127.0.0.1:${HTTP_PORT}`];
+const { corsOptions, guard: originGuard } = originPolicy(CORS_ORIGINS);
+
 const app = express();
-app.use(cors());
+app.use(cors(corsOptions));
+app.use(originGuard);
+
+// The dashboard page itself holds no data - it asks for the token and sends it with each API call
+app.get('/', (req, res) => res.redirect('/dashboard/'));
+app.use('/dashboard', express.static(DASHBOARD_DIR));
+
+app.use(requireToken(AUTH_TOKEN));
+// Session imports (zip archives or HAR files) can be large, so they're read raw before the JSON parser
+app.use('/sessions/import', express.raw({ type: () => true, limit: '200mb' }));
 app.use(express.json());
 
 // GET /status - Check connection status
 app.get('/status', (req, res) => {
   res.json({
-    connected: wsClient?.readyState === 1,
+    connected: !!getClient(),
+    clients: [...clients.values()].filter(isOpen).length,
     wsPort: PORT,
     httpPort: HTTP_PORT,
     dataDir: DATA_DIR
   });
 });
 
+// GET /clients - List connected extension clients
+app.get('/clients', (req, res) => {
+  const connected = [...clients.values()].filter(isOpen).map(describeClient);
+  res.json({ clients: connected, count: connected.length });
+});
+
 // GET /state - Get all current state data
+// The screenshot is returned as metadata and links; ?screenshot=inline adds the base64 data URL
 app.get('/state', (req, res) => {
   try {
     const state = {
       dom: JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'dom-snapshot.json'), 'utf8')),
-      console: JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'console-logs.json'), 'utf8')),
-      screenshot: JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'screenshot.json'), 'utf8')),
-      events: JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'events.json'), 'utf8'))
+      console: consoleStore.toDocument(),
+      screenshot: describeScreenshot(DATA_DIR, '', req.query.screenshot === 'inline'),
+      events: eventStore.toDocument()
     };
     res.json(state);
   } catch (error) {
@@ -133,51 +738,15 @@ app.get('/state', (req, res) => {
 
 // POST /refresh-dom - Request fresh DOM snapshot from the browser and wait for result
 app.post('/refresh-dom', async (req, res) => {
-  const { timeout = 5000 } = req.body || {};
+  const { timeout = 5000, clientId } = req.body || {};
   
-  if (!wsClient || wsClient.readyState !== 1) {
-    return res.status(503).json({ error: 'Extension not connected' });
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
   }
   
-  // Get the current DOM timestamp before requesting
-  let beforeTimestamp = null;
-  try {
-    const currentDom = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'dom-snapshot.json'), 'utf8'));
-    beforeTimestamp = currentDom.timestamp;
-  } catch (e) {}
-  
-  // Request fresh DOM
-  wsClient.send(JSON.stringify({ type: 'request_dom' }));
-  
-  // Wait for DOM to be updated (check for timestamp change)
-  const startTime = Date.now();
-  const checkInterval = 100;
-  
-  const waitForNewDom = () => {
-    return new Promise((resolve, reject) => {
-      const check = () => {
-        if (Date.now() - startTime > timeout) {
-          reject(new Error('Timeout waiting for fresh DOM'));
-          return;
-        }
-        
-        try {
-          const newDom = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'dom-snapshot.json'), 'utf8'));
-          // Check if timestamp is newer
-          if (newDom.timestamp && newDom.timestamp !== beforeTimestamp) {
-            resolve(newDom);
-            return;
-          }
-        } catch (e) {}
-        
-        setTimeout(check, checkInterval);
-      };
-      check();
-    });
-  };
-  
   try {
-    const dom = await waitForNewDom();
+    const dom = await fetchFreshDom(client, getTarget(req.body), timeout);
     res.json({ success: true, dom });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -186,70 +755,46 @@ app.post('/refresh-dom', async (req, res) => {
 
 // POST /refresh-state - Request fresh DOM and screenshot from the browser
 app.post('/refresh-state', async (req, res) => {
-  const { timeout = 5000 } = req.body || {};
+  const { timeout = 5000, clientId } = req.body || {};
   
-  if (!wsClient || wsClient.readyState !== 1) {
-    return res.status(503).json({ error: 'Extension not connected' });
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
   }
   
-  // Get timestamps before requesting
-  let beforeDomTimestamp = null;
-  let beforeScreenshotTimestamp = null;
-  try {
-    const currentDom = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'dom-snapshot.json'), 'utf8'));
-    beforeDomTimestamp = currentDom.timestamp;
-  } catch (e) {}
-  try {
-    const currentScreenshot = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'screenshot.json'), 'utf8'));
-    beforeScreenshotTimestamp = currentScreenshot.timestamp;
-  } catch (e) {}
+  // Listen before requesting so fast responses aren't missed
+  const domPromise = waitForStreamEvent(
+    evt => evt.type === 'dom_snapshot' && evt.clientId === client.id,
+    timeout,
+    'Timeout waiting for fresh state'
+  );
+  const screenshotPromise = waitForStreamEvent(
+    evt => evt.type === 'screenshot' && evt.clientId === client.id,
+    timeout,
+    'Timeout waiting for fresh state'
+  );
   
   // Request fresh DOM and screenshot
-  wsClient.send(JSON.stringify({ type: 'request_dom' }));
-  wsClient.send(JSON.stringify({ type: 'capture_screenshot' }));
-  
-  const startTime = Date.now();
-  const checkInterval = 100;
-  
-  const waitForNewState = () => {
-    return new Promise((resolve, reject) => {
-      const check = () => {
-        if (Date.now() - startTime > timeout) {
-          reject(new Error('Timeout waiting for fresh state'));
-          return;
-        }
-        
-        try {
-          const newDom = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'dom-snapshot.json'), 'utf8'));
-          const newScreenshot = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'screenshot.json'), 'utf8'));
-          
-          // Check if both are updated
-          const domUpdated = newDom.timestamp && newDom.timestamp !== beforeDomTimestamp;
-          const screenshotUpdated = newScreenshot.timestamp && newScreenshot.timestamp !== beforeScreenshotTimestamp;
-          
-          if (domUpdated && screenshotUpdated) {
-            resolve({ dom: newDom, screenshot: newScreenshot });
-            return;
-          }
-        } catch (e) {}
-        
-        setTimeout(check, checkInterval);
-      };
-      check();
-    });
-  };
+  sendToClient(client, { type: 'request_dom', ...getTarget(req.body) });
+  sendToClient(client, { type: 'capture_screenshot', ...getTarget(req.body) });
   
   try {
-    const state = await waitForNewState();
-    res.json({ success: true, ...state });
+    await Promise.all([domPromise, screenshotPromise]);
+    const dom = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'dom-snapshot.json'), 'utf8'));
+    const screenshot = describeScreenshot(DATA_DIR, '', req.query.screenshot === 'inline');
+    res.json({ success: true, dom, screenshot });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// GET /screenshot.png and /thumbnail.png - Latest screenshot image files
+app.get('/screenshot.png', (req, res) => sendScreenshot(res, DATA_DIR, false));
+app.get('/thumbnail.png', (req, res) => sendScreenshot(res, DATA_DIR, true));
+
 // GET /data/:file - Get specific data file
 app.get('/data/:file', (req, res) => {
-  const validFiles = ['dom-snapshot.json', 'console-logs.json', 'screenshot.json', 'events.json'];
+  const validFiles = ['dom-snapshot.json', 'console-logs.json', 'screenshot.json', 'events.json', 'network-log.json', 'performance.json', 'storage.json'];
   const file = req.params.file;
   
   if (!validFiles.includes(file)) {
@@ -257,6 +802,12 @@ app.get('/data/:file', (req, res) => {
   }
   
   try {
+    if (storeFiles[file]) {
+      return res.json(storeFiles[file].toDocument());
+    }
+    if (file === 'screenshot.json') {
+      return res.json(describeScreenshot(DATA_DIR, '', req.query.screenshot === 'inline') || { file: null, timestamp: null });
+    }
     const data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
     res.json(data);
   } catch (error) {
@@ -267,8 +818,7 @@ app.get('/data/:file', (req, res) => {
 // GET /console - Get all console logs with filtering options
 app.get('/console', (req, res) => {
   try {
-    const data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'console-logs.json'), 'utf8'));
-    const logs = data.logs || [];
+    const logs = consoleStore.entries();
     
     // Filter by method if specified
     const methods = req.query.methods ? req.query.methods.split(',') : null;
@@ -301,408 +851,1222 @@ app.get('/console', (req, res) => {
       stats.byMethod[log.method] = (stats.byMethod[log.method] || 0) + 1;
     }
     
-    res.json({
-      logs: filteredLogs,
-      stats,
-      filters: { methods, limit, since }
-    });
+    res.json({
+      logs: filteredLogs,
+      stats,
+      filters: { methods, limit, since }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /console - Clear console logs
+app.delete('/console', (req, res) => {
+  try {
+    consoleStore.clear();
+    res.json({ success: true, message: 'Console logs cleared' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /network - Captured network requests, live or from a session's network-log.json
+// Query: status (404, 4xx, 400-499, >=400, failed, error), url (regex), type (xhr,fetch,...), method,
+// since (ms), clientId, session, limit (default: 100), bodies=true to include request/response bodies
+app.get('/network', (req, res) => {
+  const { session, clientId } = req.query;
+  
+  let requests;
+  if (session) {
+    const sessionDir = path.join(DATA_DIR, session);
+    if (!isValidSessionName(session) || !fs.existsSync(sessionDir)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const file = path.join(sessionDir, 'network-log.json');
+    try {
+      requests = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).requests || [] : [];
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+  } else {
+    requests = networkStore.entries();
+  }
+  if (clientId) {
+    requests = requests.filter(r => r.clientId === clientId);
+  }
+  
+  const filters = {
+    status: req.query.status,
+    url: req.query.url,
+    type: req.query.type,
+    method: req.query.method,
+    since: req.query.since ? parseInt(req.query.since) : null,
+    limit: req.query.limit ? parseInt(req.query.limit) : 100,
+    bodies: req.query.bodies === 'true'
+  };
+  try {
+    const { requests: matched, matched: total, truncated, stats } = filterNetworkRequests(requests, filters);
+    res.json({ requests: matched, total, truncated, stats, filters: { ...filters, session, clientId } });
+  } catch (error) {
+    res.status(error.code === 'INVALID' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// GET /network.har - The live network log as a HAR 1.2 file (same filters as /network, plus clientId)
+app.get('/network.har', (req, res) => {
+  const { clientId } = req.query;
+  try {
+    const requests = networkStore.entries().filter(r => !clientId || r.clientId === clientId);
+    sendHar(req, res, requests, null, 'network.har');
+  } catch (error) {
+    res.status(error.code === 'INVALID' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// DELETE /network - Clear the live network log
+app.delete('/network', (req, res) => {
+  try {
+    networkStore.clear();
+    res.json({ success: true, message: 'Network log cleared' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /performance - Performance metrics of the target tab, measured now, or of a session
+// Query: clientId, tabId, windowId, session, budgets (JSON overrides for the summary)
+app.get('/performance', async (req, res) => {
+  const { session, clientId } = req.query;
+  
+  let budgets;
+  try {
+    budgets = loadBudgets(req.query.budgets);
+  } catch (error) {
+    return res.status(error.code === 'BUDGETS_FILE' ? 500 : 400).json({ error: error.message });
+  }
+  
+  if (session) {
+    const sessionDir = path.join(DATA_DIR, session);
+    if (!isValidSessionName(session) || !fs.existsSync(sessionDir)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const file = path.join(sessionDir, 'performance.json');
+    if (!fs.existsSync(file)) {
+      return res.status(404).json({ error: 'Session has no performance metrics' });
+    }
+    try {
+      const metrics = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return res.json({ success: true, session, metrics, summary: summarizePerformance(metrics, budgets) });
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+  }
+  
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
+  }
+  
+  try {
+    const metrics = await fetchPerformance(client, getTarget(req.query));
+    res.json({ success: true, clientId: client.id, metrics, summary: summarizePerformance(metrics, budgets) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, clientId: client.id });
+  }
+});
+
+// GET /storage - Cookies, localStorage and sessionStorage of an origin, read now or from a session
+// Query: origin (default: the target tab's), area (cookies,localStorage,sessionStorage; default: all),
+// clientId, tabId, windowId, session
+app.get('/storage', async (req, res) => {
+  const { session, clientId, origin } = req.query;
+  
+  let areas;
+  try {
+    areas = parseStorageAreas(req.query.area);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  if (session) {
+    const sessionDir = path.join(DATA_DIR, session);
+    if (!isValidSessionName(session) || !fs.existsSync(sessionDir)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const file = path.join(sessionDir, 'storage.json');
+    if (!fs.existsSync(file)) {
+      return res.status(404).json({ error: 'Session has no storage snapshot' });
+    }
+    try {
+      const storage = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for (const area of STORAGE_AREAS.filter(a => !areas.includes(a))) {
+        delete storage[area];
+      }
+      return res.json({ success: true, session, storage });
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+  }
+  
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
+  }
+  
+  try {
+    const result = await sendStorageCommand(client, { type: 'get_storage', origin, areas, ...getTarget(req.query) });
+    const storage = { ...normalizeStorage(result), clientId: client.id };
+    writeDataFile('storage.json', storage);
+    res.json({ success: true, clientId: client.id, storage });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, clientId: client.id });
+  }
+});
+
+// PUT /storage/:area/:name - Set a cookie or a localStorage/sessionStorage item
+// Body: { value, origin?, clientId?, tabId?, windowId? }, for cookies also domain, path,
+// expires (ms or date string), httpOnly, secure, sameSite (Strict, Lax, None)
+app.put('/storage/:area/:name', async (req, res) => {
+  const body = req.body || {};
+  let change;
+  try {
+    change = validateStorageChange({ ...body, area: req.params.area, name: req.params.name }, { requireValue: true });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  
+  const client = getClient(body.clientId);
+  if (!client) {
+    return sendClientUnavailable(res, body.clientId);
+  }
+  
+  try {
+    const result = await sendStorageCommand(client, { type: 'set_storage', ...change, origin: body.origin, ...getTarget(body) });
+    res.json({ success: true, clientId: client.id, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, clientId: client.id });
+  }
+});
+
+// DELETE /storage/:area/:name - Delete a cookie (all domain/path variants unless given) or a storage item
+// Query: origin, domain, path, clientId, tabId, windowId
+app.delete('/storage/:area/:name', async (req, res) => {
+  let change;
+  try {
+    change = validateStorageChange({ ...req.query, area: req.params.area, name: req.params.name });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  
+  const client = getClient(req.query.clientId);
+  if (!client) {
+    return sendClientUnavailable(res, req.query.clientId);
+  }
+  
+  try {
+    const result = await sendStorageCommand(client, { type: 'delete_storage', ...change, origin: req.query.origin, ...getTarget(req.query) });
+    res.json({ success: true, clientId: client.id, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, clientId: client.id });
+  }
+});
+
+// DELETE /storage - Clear cookies and web storage of an origin
+// Query: area (default: all), origin, clientId, tabId, windowId
+app.delete('/storage', async (req, res) => {
+  let areas;
+  try {
+    areas = parseStorageAreas(req.query.area);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  
+  const client = getClient(req.query.clientId);
+  if (!client) {
+    return sendClientUnavailable(res, req.query.clientId);
+  }
+  
+  try {
+    const result = await sendStorageCommand(client, { type: 'clear_storage', areas, origin: req.query.origin, ...getTarget(req.query) });
+    res.json({ success: true, clientId: client.id, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, clientId: client.id });
+  }
+});
+
+// GET /audit/a11y - Accessibility findings for the target tab, audited now, or for a session's DOM snapshot
+// Query: clientId, tabId, windowId, session, rules (comma-separated rule ids), severity (minimum),
+// limit (findings returned, default: 100)
+app.get('/audit/a11y', async (req, res) => {
+  const { session, clientId, rules, severity } = req.query;
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 0)) {
+    return res.status(400).json({ error: 'limit must be a non-negative integer' });
+  }
+  
+  if (session) {
+    const sessionDir = path.join(DATA_DIR, session);
+    if (!isValidSessionName(session) || !fs.existsSync(sessionDir)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const file = path.join(sessionDir, 'dom-snapshot.json');
+    if (!fs.existsSync(file)) {
+      return res.status(404).json({ error: 'Session has no DOM snapshot' });
+    }
+    try {
+      const audit = auditAccessibility(JSON.parse(fs.readFileSync(file, 'utf8')));
+      return res.json({ success: true, session, audit: filterAudit(audit, { rules, severity, limit }) });
+    } catch (error) {
+      return res.status(error.code === 'INVALID' ? 400 : 500).json({ error: error.message });
+    }
+  }
+  
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
+  }
+  
+  try {
+    const audit = await auditPage(client, getTarget(req.query));
+    res.json({ success: true, clientId: client.id, audit: filterAudit(audit, { rules, severity, limit }) });
+  } catch (error) {
+    res.status(error.code === 'INVALID' ? 400 : 500).json({ success: false, error: error.message, clientId: client.id });
+  }
+});
+
+// GET /sessions - List all capture sessions
+// Query: tag=a,b (only sessions carrying every tag)
+app.get('/sessions', (req, res) => {
+  try {
+    const tags = tagFilter(req.query.tag);
+    const sessions = sessionNames()
+      .map(sessionName => {
+        const dir = path.join(DATA_DIR, sessionName);
+        const { name, ...meta } = readSessionMeta(dir);
+        return { name, path: dir, files: fs.readdirSync(dir), ...meta };
+      })
+      .filter(s => hasTags(s, tags));
+    res.json({ sessions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /session/:name - Get specific session data
+app.get('/session/:name', (req, res) => {
+  try {
+    const session = readSession(req.params.name, { inlineScreenshot: req.query.screenshot === 'inline' });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(session);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /session/:name/report - The session as one self-contained HTML page
+// (screenshot, console table, event timeline); ?download=true to save it
+app.get('/session/:name/report', (req, res) => {
+  const { name } = req.params;
+  try {
+    const session = readSession(name);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const html = renderSessionReport(session, {
+      screenshot: readScreenshotDataUrl(path.join(DATA_DIR, name)),
+      visibleText: session.dom_snapshot?.html ? extractVisibleText(session.dom_snapshot.html) : null
+    });
+    sendHtmlReport(req, res, html, `${name}-report.html`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /session/:name - Edit session metadata (tags, addTags, removeTags, note, parent, action)
+app.patch('/session/:name', (req, res) => {
+  const { name } = req.params;
+  const sessionDir = path.join(DATA_DIR, name);
+  if (!isValidSessionName(name) || !fs.existsSync(sessionDir)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  try {
+    const sessionExists = (other) => isValidSessionName(other) && fs.existsSync(path.join(DATA_DIR, other));
+    const meta = updateSessionMeta(sessionDir, req.body || {}, sessionExists);
+    publish('session_updated', { session: name, tags: meta.tags });
+    res.json({ success: true, session: meta });
+  } catch (error) {
+    res.status(error.code === 'INVALID' ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /session/:name - Delete a session folder and its history entries
+app.delete('/session/:name', (req, res) => {
+  const { name } = req.params;
+  const sessionDir = path.join(DATA_DIR, name);
+  if (!isValidSessionName(name) || !fs.existsSync(sessionDir) || !fs.statSync(sessionDir).isDirectory()) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if ([...captureSessions.values()].some(c => c.dir === sessionDir)) {
+    return res.status(409).json({ error: 'Session is still being captured' });
+  }
+  
+  try {
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+    forgetSessionData(name);
+    for (const [clientId, session] of lastSessionByClient) {
+      if (session === name) lastSessionByClient.delete(clientId);
+    }
+    publish('session_deleted', { session: name });
+    res.json({ success: true, deleted: name });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /session/:name/screenshot.png and /thumbnail.png - Session screenshot image files
+app.get('/session/:name/screenshot.png', (req, res) => {
+  if (!isValidSessionName(req.params.name)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  sendScreenshot(res, path.join(DATA_DIR, req.params.name), false);
+});
+
+app.get('/session/:name/thumbnail.png', (req, res) => {
+  if (!isValidSessionName(req.params.name)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  sendScreenshot(res, path.join(DATA_DIR, req.params.name), true);
+});
+
+// GET /session/:name/network.har - A session's network log as a HAR 1.2 file (same filters as /network)
+app.get('/session/:name/network.har', (req, res) => {
+  const { name } = req.params;
+  const sessionDir = path.join(DATA_DIR, name);
+  if (!isValidSessionName(name) || !fs.existsSync(sessionDir)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const file = path.join(sessionDir, 'network-log.json');
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({ error: 'Session has no network log' });
+  }
+  
+  try {
+    const requests = JSON.parse(fs.readFileSync(file, 'utf8')).requests || [];
+    const meta = readSessionMeta(sessionDir);
+    sendHar(req, res, requests, { url: meta.url, title: meta.url || name, startedDateTime: Date.parse(meta.createdAt) }, `${name}.har`);
+  } catch (error) {
+    res.status(error.code === 'INVALID' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// PUT /session/:name/performance - Store performance metrics with a session, replacing any
+// captured by the extension (used for metrics measured through Playwright)
+app.put('/session/:name/performance', (req, res) => {
+  const { name } = req.params;
+  const sessionDir = path.join(DATA_DIR, name);
+  if (!isValidSessionName(name) || !fs.existsSync(sessionDir)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const metrics = req.body;
+  if (!metrics || typeof metrics !== 'object' || Array.isArray(metrics) || summarizePerformance(metrics).length === 0) {
+    return res.status(400).json({ success: false, error: 'Send the performance metrics as a JSON object' });
+  }
+  
+  try {
+    fs.writeFileSync(path.join(sessionDir, 'performance.json'), JSON.stringify(metrics, null, 2));
+    publish('session_updated', { session: name });
+    res.json({ success: true, session: name });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /session/:name/storage - Store a cookie/storage snapshot (normalized, as BrowserManager.getStorage
+// returns it) with a session, replacing the extension's (used for storage read through Playwright)
+app.put('/session/:name/storage', (req, res) => {
+  const { name } = req.params;
+  const sessionDir = path.join(DATA_DIR, name);
+  if (!isValidSessionName(name) || !fs.existsSync(sessionDir)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const snapshot = req.body;
+  if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot) || !STORAGE_AREAS.some(area => snapshot[area])) {
+    return res.status(400).json({ success: false, error: 'Send the storage snapshot as a JSON object' });
+  }
+  
+  try {
+    fs.writeFileSync(path.join(sessionDir, 'storage.json'), JSON.stringify(snapshot, null, 2));
+    publish('session_updated', { session: name });
+    res.json({ success: true, session: name });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /session/:name/export - Download a session as a zip archive (JSON files, screenshot image, manifest)
+app.get('/session/:name/export', (req, res) => {
+  const { name } = req.params;
+  const sessionDir = path.join(DATA_DIR, name);
+  if (!isValidSessionName(name) || !fs.existsSync(sessionDir)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  try {
+    const archive = exportSession(sessionDir, name);
+    res.attachment(`${name}.zip`);
+    res.type('application/zip');
+    res.send(archive);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /sessions/import - Load a session archive or a HAR file sent as the raw request body
+// A HAR file becomes a session holding only its network log, so it can be inspected with
+// /network and compared with /diff.
+// Query: name (rename the session), overwrite=true (replace an existing session)
+app.post('/sessions/import', (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ success: false, error: 'Send the zip archive or HAR file as the request body' });
+  }
+  
+  try {
+    const options = { name: req.query.name, overwrite: req.query.overwrite === 'true' };
+    // Zip archives start with "PK", HAR files with "{"
+    const isHar = /^\s*\{/.test(req.body.subarray(0, 64).toString('utf8'));
+    const result = isHar
+      ? importHar(req.body.toString('utf8'), DATA_DIR, options)
+      : importSession(req.body, DATA_DIR, options);
+    if (result.replaced) forgetSessionData(result.name);
+    recordHistory(db => db.indexSession(result.name, result.dir));
+    console.log(isHar
+      ? `📦 Imported HAR as session ${result.name} (${result.manifest.counts.requests} requests)`
+      : `📦 Imported session ${result.name} (${result.files.length} files)`);
+    res.json({ success: true, session: result.name, files: result.files, manifest: result.manifest });
+  } catch (error) {
+    res.status(error.code === 'EXISTS' ? 409 : 400).json({ success: false, error: error.message });
+  }
+});
+
+// POST /execute - Execute command and wait for result
+app.post('/execute', async (req, res) => {
+  const { action, selector, text, code, url, clientId, timeout = 5000 } = req.body;
+  
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
+  }
+  
+  const command = { action, selector, text, code, url, ...getTarget(req.body) };
+  const { commandId, resultPromise } = executeCommand(client, command, timeout);
+  
+  try {
+    const result = await resultPromise;
+    res.json({ success: true, result, commandId, clientId: client.id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, commandId, clientId: client.id });
+  }
+});
+
+// GET /commands - commands.json queue: commands waiting to run and the last run's results
+app.get('/commands', (req, res) => {
+  const readJson = (file) => fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  try {
+    res.json({
+      running: commandsRunning,
+      queued: readJson(COMMANDS_FILE)?.commands || [],
+      lastRun: readJson(COMMANDS_RESULTS_FILE)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /navigate - Navigate to URL using extension
+app.post('/navigate', async (req, res) => {
+  const { url, clientId, timeout = 30000 } = req.body;
+  
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId, 'Extension not connected. Please open Chrome with the extension installed.');
+  }
+  
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required' });
+  }
+  
+  const commandId = ++commandIdCounter;
+  
+  // Create promise for navigation result
+  const resultPromise = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingCommands.delete(commandId);
+      reject(new Error('Navigation timeout'));
+    }, timeout);
+    
+    pendingCommands.set(commandId, { resolve, reject, timer });
+  });
+  
+  // Send navigate command
+  sendToClient(client, { type: 'navigate', url, commandId, ...getTarget(req.body) });
+  
+  try {
+    const result = await resultPromise;
+    res.json({ success: true, result, commandId, clientId: client.id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, commandId, clientId: client.id });
+  }
+});
+
+// GET /tab - Get current tab info
+app.get('/tab', async (req, res) => {
+  const { clientId } = req.query;
+  
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
+  }
+  
+  try {
+    const tab = await fetchTabInfo(client, getTarget(req.query));
+    res.json({ success: true, clientId: client.id, ...tab });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /tab/pin - Pin a tab as the target for subsequent commands
+// Body: { tabId?, windowId?, clientId? } - pins the active tab when no tab is given
+app.post('/tab/pin', (req, res) => {
+  const { clientId } = req.body || {};
+  relayCommand(res, clientId, { type: 'pin_tab', ...getTarget(req.body) });
+});
+
+// DELETE /tab/pin - Unpin the target tab (commands follow the active tab again)
+app.delete('/tab/pin', (req, res) => {
+  relayCommand(res, req.query.clientId, { type: 'unpin_tab' });
+});
+
+// GET /tabs - List all tabs and windows (optional ?windowId=&clientId=)
+app.get('/tabs', (req, res) => {
+  relayCommand(res, req.query.clientId, { type: 'list_tabs', ...getTarget(req.query) });
+});
+
+// POST /tabs - Open a new tab
+// Body: { url, windowId?, active?, newWindow?, waitForLoad?, timeout?, clientId? }
+app.post('/tabs', (req, res) => {
+  const { url, active, newWindow, waitForLoad, timeout = 30000, clientId } = req.body || {};
+  relayCommand(res, clientId, {
+    type: 'open_tab',
+    url,
+    active,
+    newWindow,
+    waitForLoad,
+    timeout,
+    ...getTarget(req.body)
+  }, timeout + 1000);
+});
+
+// DELETE /tabs/:id - Close a tab
+app.delete('/tabs/:id', (req, res) => {
+  relayCommand(res, req.query.clientId, { type: 'close_tab', tabId: parseInt(req.params.id) });
+});
+
+// POST /tabs/:id/activate - Bring a tab to front and focus its window
+app.post('/tabs/:id/activate', (req, res) => {
+  relayCommand(res, req.body?.clientId, { type: 'activate_tab', tabId: parseInt(req.params.id) });
+});
+
+// POST /reload-extension - Reload the browser extension
+app.post('/reload-extension', (req, res) => {
+  const { clientId } = req.body || {};
+  
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
+  }
+  
+  sendToClient(client, { type: 'reload_extension' });
+  res.json({ success: true, message: 'Extension reload command sent' });
+});
+
+// POST /capture - Trigger capture-all and return session data
+// Body: name, clientId, tabId/windowId, and session.json fields tags, note, action, parent
+app.post('/capture', async (req, res) => {
+  const { name, clientId, tags, note, action, parent } = req.body;
+  
+  if (name !== undefined && !isValidSessionName(name)) {
+    return res.status(400).json({ success: false, error: `Invalid session name: ${name}` });
+  }
+  if (parent && (!isValidSessionName(parent) || !fs.existsSync(path.join(DATA_DIR, parent)))) {
+    return res.status(400).json({ success: false, error: `Parent session not found: ${parent}` });
+  }
+  let meta;
+  try {
+    validateMetaFields({ note, action });
+    meta = { tags: tags === undefined ? [] : normalizeTags(tags), note, action, parent };
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
+  }
+  
+  try {
+    const session = await captureSession(client, name, getTarget(req.body), { meta });
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /diff/:session1/:session2 - Compare two sessions (same analysis as the compare_states tool)
+// Query: mode=full|text, format=json|md, threshold, minChangedRatio
+app.get('/diff/:session1/:session2', (req, res) => {
+  const { session1, session2 } = req.params;
+  
+  let options;
+  try {
+    options = diffOptions(req.query);
+  } catch (error) {
+    return res.status(error.code === 'BUDGETS_FILE' ? 500 : 400).json({ error: error.message });
+  }
+  
+  try {
+    if (options.mode === 'text') {
+      const data1 = readSession(session1);
+      const data2 = readSession(session2);
+      if (!data1 || !data2) {
+        return res.status(404).json({ error: 'One or both sessions not found' });
+      }
+      const textDiff = compareText(data1.dom_snapshot, data2.dom_snapshot);
+      if (options.format === 'md') {
+        return res.type('text/markdown').send(formatTextDiffForAI(textDiff, session1, session2));
+      }
+      return res.json({ sessions: { before: session1, after: session2 }, ...textDiff, unified: toUnifiedDiff(textDiff, session1, session2) });
+    }
+    
+    const diff = diffSessions(session1, session2, options);
+    if (!diff) {
+      return res.status(404).json({ error: 'One or both sessions not found' });
+    }
+    if (options.format === 'md') {
+      return res.type('text/markdown').send(formatDiffForAI(diff));
+    }
+    res.json(diff);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /console - Clear console logs
-app.delete('/console', (req, res) => {
-  try {
-    fs.writeFileSync(path.join(DATA_DIR, 'console-logs.json'), JSON.stringify({ logs: [] }, null, 2));
-    res.json({ success: true, message: 'Console logs cleared' });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// GET /diff/:session1/:session2/visual.png - Highlighted screenshot diff written by /diff
+app.get('/diff/:session1/:session2/visual.png', (req, res) => {
+  const { session1, session2 } = req.params;
+  if (!isValidSessionName(session1) || !isValidSessionName(session2)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const file = visualDiffFile(session1, session2);
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({ error: `No visual diff yet - request /diff/${session1}/${session2} first` });
   }
+  res.set('Cache-Control', 'no-cache');
+  res.type('image/png');
+  res.send(fs.readFileSync(file));
 });
 
-// GET /sessions - List all capture sessions
-app.get('/sessions', (req, res) => {
+// GET /diff/:session1/:session2/report - The comparison as one self-contained HTML page
+// (screenshots side by side, new console entries and events, DOM changes, visible text diff)
+// Query: threshold, minChangedRatio, download=true
+app.get('/diff/:session1/:session2/report', (req, res) => {
+  const { session1, session2 } = req.params;
+  
+  let options;
   try {
-    const entries = fs.readdirSync(DATA_DIR, { withFileTypes: true });
-    const sessions = entries
-      .filter(e => e.isDirectory())
-      .map(e => ({
-        name: e.name,
-        path: path.join(DATA_DIR, e.name),
-        files: fs.readdirSync(path.join(DATA_DIR, e.name))
-      }))
-      .sort((a, b) => b.name.localeCompare(a.name));
-    res.json({ sessions });
+    options = diffOptions(req.query);
+  } catch (error) {
+    return res.status(error.code === 'BUDGETS_FILE' ? 500 : 400).json({ error: error.message });
+  }
+  
+  try {
+    const diff = diffSessions(session1, session2, options);
+    if (!diff) {
+      return res.status(404).json({ error: 'One or both sessions not found' });
+    }
+    const data1 = readSession(session1);
+    const data2 = readSession(session2);
+    const html = renderDiffReport(diff, {
+      screenshots: {
+        before: readScreenshotDataUrl(path.join(DATA_DIR, session1)),
+        after: readScreenshotDataUrl(path.join(DATA_DIR, session2)),
+        diff: diff.visual?.diffImage
+          ? `data:image/png;base64,${fs.readFileSync(diff.visual.diffImage.path).toString('base64')}`
+          : null
+      },
+      textDiff: compareText(data1.dom_snapshot, data2.dom_snapshot)
+    });
+    sendHtmlReport(req, res, html, `${session1}-vs-${session2}-report.html`);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /session/:name - Get specific session data
-app.get('/session/:name', (req, res) => {
-  const sessionDir = path.join(DATA_DIR, req.params.name);
-  
-  if (!fs.existsSync(sessionDir)) {
-    return res.status(404).json({ error: 'Session not found' });
+// GET /search - Full-text search across sessions: DOM visible text, console messages, action errors
+// Query: q, regex=true, caseSensitive=true, source=dom,console,events, tag=a,b, limit (default: 100)
+app.get('/search', (req, res) => {
+  let matcher;
+  let sources;
+  let tags;
+  try {
+    matcher = createMatcher(req.query.q, {
+      regex: req.query.regex === 'true',
+      caseSensitive: req.query.caseSensitive === 'true'
+    });
+    sources = req.query.source ? String(req.query.source).split(',') : SEARCH_SOURCES;
+    const unknown = sources.filter(source => !SEARCH_SOURCES.includes(source));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown source: ${unknown.join(', ')} (expected ${SEARCH_SOURCES.join(', ')})` });
+    }
+    tags = tagFilter(req.query.tag);
+  } catch (error) {
+    return res.status(error.code === 'INVALID' ? 400 : 500).json({ error: error.message });
   }
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
   
   try {
-    const session = { name: req.params.name };
-    const files = fs.readdirSync(sessionDir);
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const key = file.replace('.json', '').replace(/-/g, '_');
-        session[key] = JSON.parse(fs.readFileSync(path.join(sessionDir, file), 'utf8'));
-      }
+    const results = [];
+    const sessions = [];
+    let total = 0;
+    for (const name of sessionNames()) {
+      if (tags.length > 0 && !hasTags(readSessionMeta(path.join(DATA_DIR, name)), tags)) continue;
+      const hits = searchSession(readSession(name), matcher, sources);
+      if (hits.length === 0) continue;
+      
+      total += hits.length;
+      sessions.push({
+        name,
+        matches: hits.length,
+        sources: Object.fromEntries(sources.map(source => [source, hits.filter(h => h.source === source).length]))
+      });
+      results.push(...hits.slice(0, limit - results.length));
     }
-    res.json(session);
+    
+    res.json({ query: req.query.q, regex: req.query.regex === 'true', sources, total, truncated: total > results.length, sessions, results });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /execute - Execute command and wait for result
-app.post('/execute', async (req, res) => {
-  const { action, selector, text, code, url, timeout = 5000 } = req.body;
-  
-  if (!wsClient || wsClient.readyState !== 1) {
-    return res.status(503).json({ error: 'Extension not connected' });
+// GET /query - Search indexed history (console logs, events, DOM snapshots, sessions)
+// Query: type=console|events|dom|sessions, text, url, method, action, success, session,
+//        scope=live|sessions|all, clientId, since, until (ms, ISO date or "7d"), distinct=session, limit
+app.get('/query', (req, res) => {
+  if (!historyDb) {
+    return res.status(501).json({
+      error: 'History database not available. Install better-sqlite3 in debug-server (npm install better-sqlite3) and restart.'
+    });
   }
   
-  const commandId = ++commandIdCounter;
-  const command = { action, selector, text, code, url, commandId };
-  
-  // Create promise for command result
-  const resultPromise = new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      pendingCommands.delete(commandId);
-      reject(new Error('Command timeout'));
-    }, timeout);
-    
-    pendingCommands.set(commandId, { resolve, reject, timer });
-  });
-  
-  // Send command
-  wsClient.send(JSON.stringify({ type: 'execute', ...command }));
-  
+  const { success, distinct, ...filters } = req.query;
   try {
-    const result = await resultPromise;
-    res.json({ success: true, result, commandId });
+    const result = historyDb.query({
+      ...filters,
+      success: success === undefined ? undefined : success === 'true',
+      distinctSessions: distinct === 'session'
+    });
+    res.json(result);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message, commandId });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// POST /navigate - Navigate to URL using extension
-app.post('/navigate', async (req, res) => {
-  const { url, timeout = 30000 } = req.body;
-  
-  if (!wsClient || wsClient.readyState !== 1) {
-    return res.status(503).json({ error: 'Extension not connected. Please open Chrome with the extension installed.' });
-  }
-  
-  if (!url) {
-    return res.status(400).json({ error: 'URL is required' });
-  }
-  
-  const commandId = ++commandIdCounter;
-  
-  // Create promise for navigation result
-  const resultPromise = new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      pendingCommands.delete(commandId);
-      reject(new Error('Navigation timeout'));
-    }, timeout);
-    
-    pendingCommands.set(commandId, { resolve, reject, timer });
-  });
-  
-  // Send navigate command
-  wsClient.send(JSON.stringify({ type: 'navigate', url, commandId }));
-  
+// GET /scenarios - List scenario files
+app.get('/scenarios', (req, res) => {
   try {
-    const result = await resultPromise;
-    res.json({ success: true, result, commandId });
+    res.json({ dir: SCENARIOS_DIR, scenarios: listScenarios(SCENARIOS_DIR) });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message, commandId });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// GET /tab - Get current tab info
-app.get('/tab', async (req, res) => {
-  if (!wsClient || wsClient.readyState !== 1) {
-    return res.status(503).json({ error: 'Extension not connected' });
+// POST /scenarios/:name/run - Run a scenario step by step and return the pass/fail report
+// Body: { clientId?, tabId?, windowId? } - overrides the scenario's own clientId/tabId
+// ?format=junit|json|md returns a test report instead of the raw run
+app.post('/scenarios/:name/run', async (req, res) => {
+  let scenario;
+  try {
+    scenario = loadScenario(SCENARIOS_DIR, req.params.name);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Invalid scenario: ${error.message}` });
+  }
+  if (!scenario) {
+    return res.status(404).json({ success: false, error: `Scenario not found: ${req.params.name}` });
   }
   
-  const commandId = ++commandIdCounter;
-  
-  const resultPromise = new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      pendingCommands.delete(commandId);
-      reject(new Error('Timeout getting tab info'));
-    }, 5000);
-    
-    pendingCommands.set(commandId, { resolve, reject, timer });
-  });
+  const clientId = req.body?.clientId || scenario.clientId;
+  const client = getClient(clientId);
+  if (!client) {
+    return sendClientUnavailable(res, clientId);
+  }
   
-  wsClient.send(JSON.stringify({ type: 'get_tab_info', commandId }));
+  console.log(`🎬 Running scenario "${scenario.id}" (${scenario.steps.length} steps) on ${client.name}`);
+  const target = getTarget({ ...scenario, ...req.body });
   
   try {
-    const result = await resultPromise;
-    res.json({ success: true, ...result.result });
+    const report = await runScenario(scenario, scenarioDriver(client, target));
+    console.log(`🎬 Scenario "${scenario.id}" ${report.status}: ${report.summary.passed} passed, ${report.summary.failed} failed, ${report.summary.skipped} skipped`);
+    publish('scenario_complete', {
+      clientId: client.id,
+      scenario: scenario.id,
+      status: report.status,
+      summary: report.summary,
+      durationMs: report.durationMs
+    }, report.status === 'passed' ? 'info' : 'error');
+    
+    // Keep the latest run for GET /reports/scenarios/:name
+    fs.writeFileSync(path.join(REPORTS_DIR, `scenario-${scenario.id}.json`), JSON.stringify(report, null, 2));
+    
+    if (req.query.format) {
+      return sendReport(res, reportFromScenario(report, sessionAttachments), req.query.format, `scenario-${scenario.id}`);
+    }
+    res.json({ success: report.status === 'passed', report });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// POST /reload-extension - Reload the browser extension
-app.post('/reload-extension', (req, res) => {
-  if (!wsClient || wsClient.readyState !== 1) {
-    return res.status(503).json({ error: 'Extension not connected' });
+// Reply with a report in the requested format, as a download named after its source
+function sendReport(res, report, format = 'json', baseName = 'report') {
+  const spec = REPORT_FORMATS[format];
+  if (!spec) {
+    return res.status(400).json({ error: `Unknown format: ${format} (expected ${Object.keys(REPORT_FORMATS).join(', ')})` });
+  }
+  res.attachment(`${baseName}.${spec.extension}`);
+  res.type(spec.contentType);
+  res.send(formatReport(report, format));
+}
+
+// GET /reports/commands - Report for the last commands.json run
+// Query: format=json|junit|md (default: json)
+app.get('/reports/commands', (req, res) => {
+  if (!fs.existsSync(COMMANDS_RESULTS_FILE)) {
+    return res.status(404).json({ error: 'No commands.json run yet' });
+  }
+  try {
+    const run = JSON.parse(fs.readFileSync(COMMANDS_RESULTS_FILE, 'utf8'));
+    sendReport(res, reportFromCommandRun(run), req.query.format, `commands-${run.runId}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-  
-  wsClient.send(JSON.stringify({ type: 'reload_extension' }));
-  res.json({ success: true, message: 'Extension reload command sent' });
 });
 
-// POST /capture - Trigger capture-all and return session data
-app.post('/capture', async (req, res) => {
-  const { name } = req.body;
-  
-  if (!wsClient || wsClient.readyState !== 1) {
-    return res.status(503).json({ error: 'Extension not connected' });
+// GET /reports/scenarios/:name - Report for the latest run of a scenario
+app.get('/reports/scenarios/:name', (req, res) => {
+  const file = path.join(REPORTS_DIR, `scenario-${req.params.name}.json`);
+  if (path.dirname(file) !== REPORTS_DIR || !fs.existsSync(file)) {
+    return res.status(404).json({ error: `No run of scenario ${req.params.name} yet` });
   }
-  
-  // Create session folder
-  const timestamp = Date.now();
-  const folderName = name || new Date(timestamp).toISOString().replaceAll(/[:.]/g, '-');
-  const sessionDir = path.join(DATA_DIR, folderName);
-  fs.mkdirSync(sessionDir, { recursive: true });
-  
-  // Wait for capture to complete
-  const capturePromise = new Promise((resolve, reject) => {
-    const timer = setTimeout(() => reject(new Error('Capture timeout')), 10000);
-    
-    const checkCapture = setInterval(() => {
-      const files = ['dom-snapshot.json', 'screenshot.json'];
-      const hasAll = files.every(f => fs.existsSync(path.join(sessionDir, f)));
-      if (hasAll) {
-        clearInterval(checkCapture);
-        clearTimeout(timer);
-        resolve(folderName);
-      }
-    }, 200);
-  });
-  
-  // Trigger capture
-  currentCaptureSession = { dir: sessionDir, timestamp };
-  wsClient.send(JSON.stringify({ type: 'request_dom_all' }));
-  
-  // Wait a bit then request screenshot
-  setTimeout(() => {
-    if (wsClient?.readyState === 1) {
-      wsClient.send(JSON.stringify({ type: 'capture_screenshot_all' }));
-    }
-  }, 500);
-  
   try {
-    const sessionName = await capturePromise;
-    // Read and return session data
-    const session = { name: sessionName };
-    const files = fs.readdirSync(sessionDir);
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const key = file.replace('.json', '').replace(/-/g, '_');
-        session[key] = JSON.parse(fs.readFileSync(path.join(sessionDir, file), 'utf8'));
-      }
-    }
-    res.json({ success: true, session });
+    const run = JSON.parse(fs.readFileSync(file, 'utf8'));
+    sendReport(res, reportFromScenario(run, sessionAttachments), req.query.format, `scenario-${req.params.name}`);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// GET /diff/:session1/:session2 - Compare two sessions
-app.get('/diff/:session1/:session2', (req, res) => {
+// GET /reports/diff/:session1/:session2 - Report for the comparison of two sessions
+app.get('/reports/diff/:session1/:session2', (req, res) => {
   const { session1, session2 } = req.params;
-  const dir1 = path.join(DATA_DIR, session1);
-  const dir2 = path.join(DATA_DIR, session2);
   
-  if (!fs.existsSync(dir1) || !fs.existsSync(dir2)) {
-    return res.status(404).json({ error: 'One or both sessions not found' });
+  let budgets;
+  try {
+    budgets = loadBudgets(req.query.budgets);
+  } catch (error) {
+    return res.status(error.code === 'BUDGETS_FILE' ? 500 : 400).json({ error: error.message });
   }
   
   try {
-    const data1 = {};
-    const data2 = {};
-    
-    for (const file of ['dom-snapshot.json', 'console-logs.json', 'events.json']) {
-      try {
-        data1[file] = JSON.parse(fs.readFileSync(path.join(dir1, file), 'utf8'));
-      } catch { data1[file] = null; }
-      try {
-        data2[file] = JSON.parse(fs.readFileSync(path.join(dir2, file), 'utf8'));
-      } catch { data2[file] = null; }
+    const diff = diffSessions(session1, session2, { budgets });
+    if (!diff) {
+      return res.status(404).json({ error: 'One or both sessions not found' });
     }
-    
-    // Basic diff
-    const diff = {
-      session1,
-      session2,
-      domChanged: data1['dom-snapshot.json']?.html !== data2['dom-snapshot.json']?.html,
-      urlChanged: data1['dom-snapshot.json']?.url !== data2['dom-snapshot.json']?.url,
-      newConsoleEntries: (data2['console-logs.json']?.logs?.length || 0) - (data1['console-logs.json']?.logs?.length || 0),
-      newEvents: (data2['events.json']?.events?.length || 0) - (data1['events.json']?.events?.length || 0),
-      consoleErrors: data2['console-logs.json']?.logs?.filter(l => l.method === 'error') || []
-    };
-    
-    res.json(diff);
+    const report = reportFromDiff(diff, sessionAttachments);
+    sendReport(res, report, req.query.format, `diff-${session1}-${session2}`);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// GET /stream - Server-Sent Events feed of console, events, navigation, captures and connections
+// Filters: ?types=console,event&levels=error,warn&clientId=...
+app.get('/stream', (req, res) => {
+  const types = req.query.types ? req.query.types.split(',') : null;
+  const levels = req.query.levels ? req.query.levels.split(',') : null;
+  const { clientId } = req.query;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(`retry: 3000\n: connected to BrowserDevWizard stream\n\n`);
+  
+  const listener = (evt) => {
+    if (types && !types.includes(evt.type)) return;
+    if (levels && !levels.includes(evt.level)) return;
+    if (clientId && evt.clientId !== clientId) return;
+    res.write(`id: ${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`);
+  };
+  bus.on('stream', listener);
+  
+  // Keep intermediaries from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+  
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    bus.off('stream', listener);
+  });
+});
+
 // Start HTTP server
 app.listen(HTTP_PORT, () => {
   console.log(`🌐 HTTP API running on http://localhost:${HTTP_PORT}`);
+  console.log(`📊 Dashboard: http://localhost:${HTTP_PORT}/dashboard/${AUTH_TOKEN ? `#token=${AUTH_TOKEN}` : ''}`);
 });
 
 // Handle WebSocket connections
-wss.on('connection', (ws) => {
-  wsClient = ws;
+wss.on('connection', (ws, req) => {
+  const client = {
+    id: `client-${++clientIdCounter}`,
+    ws,
+    name: 'Chrome Extension',
+    capabilities: [],
+    userAgent: req.headers['user-agent'] || null,
+    remoteAddress: req.socket.remoteAddress,
+    connectedAt: Date.now(),
+    lastPongTime: Date.now(),
+    heartbeatInterval: null
+  };
+  clients.set(client.id, client);
   console.log('');
-  console.log('✅ Chrome Extension connected!');
+  console.log(`✅ Chrome Extension connected! (${client.id}, ${clients.size} client(s))`);
   console.log('');
   
   // Start heartbeat mechanism
-  startHeartbeat(ws);
+  startHeartbeat(client);
 
   ws.on('message', (raw) => {
     try {
       const msg = JSON.parse(raw.toString());
-      handleMessage(msg);
+      handleMessage(msg, client);
     } catch (e) {
       console.error('Failed to parse message:', e);
     }
   });
 
   ws.on('close', () => {
-    console.log('❌ Chrome Extension disconnected');
-    stopHeartbeat();
-    wsClient = null;
+    console.log(`❌ Chrome Extension disconnected: ${client.name} (${client.id})`);
+    stopHeartbeat(client);
+    // The entry may already have been replaced by a reconnect with the same ID
+    if (clients.get(client.id) === client) {
+      clients.delete(client.id);
+      captureSessions.delete(client.id);
+      publish('client_disconnected', { clientId: client.id, name: client.name });
+    }
   });
 
   ws.on('error', (error) => {
     console.error('WebSocket error:', error);
-    stopHeartbeat();
+    stopHeartbeat(client);
   });
 });
 
 // Handle incoming messages from extension
-function handleMessage(msg) {
+function handleMessage(msg, client) {
   const timestamp = new Date().toISOString();
+  const captureSession = captureSessions.get(client.id);
 
   switch (msg.type) {
     case 'pong':
       // Update last pong time for heartbeat
-      lastPongTime = Date.now();
+      client.lastPongTime = Date.now();
       break;
       
     case 'extension_ready':
-      console.log(`[${timestamp}] Extension ready`);
-      lastPongTime = Date.now(); // Reset pong time on reconnect
+      registerClientInfo(client, msg);
+      console.log(`[${timestamp}] Extension ready: ${client.name} (${client.id})`);
+      client.lastPongTime = Date.now(); // Reset pong time on reconnect
+      publish('client_connected', { clientId: client.id, name: client.name });
       // Process any pending commands
       processPendingCommands();
       break;
 
+    case 'client_info':
+      registerClientInfo(client, msg);
+      console.log(`[${timestamp}] Client info updated: ${client.name} (${client.id})`);
+      break;
+
     case 'capture_all_start':
       // Start a new capture-all session with timestamped folder
       const folderName = new Date(msg.timestamp).toISOString().replace(/[:.]/g, '-');
       const sessionDir = path.join(DATA_DIR, folderName);
       fs.mkdirSync(sessionDir, { recursive: true });
-      currentCaptureSession = { dir: sessionDir, timestamp: msg.timestamp };
-      console.log(`[${timestamp}] 📁 Capture All started: ${folderName}`);
+      captureSessions.set(client.id, { dir: sessionDir, timestamp: msg.timestamp, meta: { source: 'capture_all' } });
+      publish('capture_start', { clientId: client.id, session: folderName });
+      console.log(`[${timestamp}] 📁 Capture All started: ${folderName} (${client.name})`);
       break;
 
     case 'dom_snapshot_all':
-      if (currentCaptureSession) {
+      if (captureSession) {
         console.log(`[${timestamp}] DOM snapshot saved to session folder`);
         fs.writeFileSync(
-          path.join(currentCaptureSession.dir, 'dom-snapshot.json'),
-          JSON.stringify({ html: msg.html, url: msg.url, timestamp: msg.timestamp }, null, 2)
+          path.join(captureSession.dir, 'dom-snapshot.json'),
+          JSON.stringify({
+            html: msg.html,
+            url: msg.url,
+            timestamp: msg.timestamp,
+            clientId: client.id,
+            clientName: client.name,
+            tabId: msg.tabId
+          }, null, 2)
+        );
+        // Also copy this client's console logs and events
+        const fromClient = entry => !entry.clientId || entry.clientId === client.id;
+        fs.writeFileSync(
+          path.join(captureSession.dir, 'console-logs.json'),
+          JSON.stringify(consoleStore.toDocument(fromClient), null, 2)
+        );
+        fs.writeFileSync(
+          path.join(captureSession.dir, 'events.json'),
+          JSON.stringify(eventStore.toDocument(fromClient), null, 2)
+        );
+        fs.writeFileSync(
+          path.join(captureSession.dir, 'network-log.json'),
+          JSON.stringify(networkStore.toDocument(fromClient), null, 2)
         );
-        // Also copy current console logs
-        try {
-          const consoleLogs = fs.readFileSync(path.join(DATA_DIR, 'console-logs.json'), 'utf8');
-          fs.writeFileSync(path.join(currentCaptureSession.dir, 'console-logs.json'), consoleLogs);
-        } catch (e) {}
-        // Copy events
-        try {
-          const events = fs.readFileSync(path.join(DATA_DIR, 'events.json'), 'utf8');
-          fs.writeFileSync(path.join(currentCaptureSession.dir, 'events.json'), events);
-        } catch (e) {}
+        captureSession.hasDom = true;
+        completeCaptureIfDone(client, captureSession);
       }
       // Also update the regular file
       writeDataFile('dom-snapshot.json', {
         html: msg.html,
         url: msg.url,
-        timestamp: msg.timestamp
+        timestamp: msg.timestamp,
+        clientId: client.id,
+        tabId: msg.tabId
       });
+      publish('dom_snapshot', { clientId: client.id, tabId: msg.tabId, url: msg.url, length: msg.html?.length || 0 });
       break;
 
     case 'screenshot_all':
-      if (currentCaptureSession) {
+      if (captureSession) {
         console.log(`[${timestamp}] Screenshot saved to session folder`);
-        fs.writeFileSync(
-          path.join(currentCaptureSession.dir, 'screenshot.json'),
-          JSON.stringify({ dataUrl: msg.dataUrl, timestamp: msg.timestamp }, null, 2)
-        );
-        console.log(`[${timestamp}] ✅ Capture All complete: ${path.basename(currentCaptureSession.dir)}`);
-        currentCaptureSession = null;
+        saveScreenshotDataUrl(captureSession.dir, msg.dataUrl, {
+          timestamp: msg.timestamp,
+          clientId: client.id,
+          clientName: client.name,
+          tabId: msg.tabId
+        });
+        captureSession.hasScreenshot = true;
+        completeCaptureIfDone(client, captureSession);
       }
-      // Also update the regular file
-      writeDataFile('screenshot.json', {
-        dataUrl: msg.dataUrl,
-        timestamp: msg.timestamp
+      // Also update the latest screenshot
+      saveScreenshotDataUrl(DATA_DIR, msg.dataUrl, {
+        timestamp: msg.timestamp,
+        clientId: client.id,
+        tabId: msg.tabId
       });
+      publish('screenshot', { clientId: client.id, tabId: msg.tabId });
       break;
 
     case 'dom_snapshot':
-      console.log(`[${timestamp}] DOM snapshot received (${msg.html?.length || 0} chars)`);
-      writeDataFile('dom-snapshot.json', {
+      console.log(`[${timestamp}] DOM snapshot received from ${client.name} (${msg.html?.length || 0} chars)`);
+      const snapshot = {
         html: msg.html,
         url: msg.url,
-        timestamp: msg.timestamp
-      });
+        timestamp: msg.timestamp,
+        clientId: client.id,
+        tabId: msg.tabId
+      };
+      writeDataFile('dom-snapshot.json', snapshot);
+      recordHistory(db => db.insertDomSnapshot(snapshot));
+      publish('dom_snapshot', { clientId: client.id, tabId: msg.tabId, url: msg.url, length: msg.html?.length || 0 });
       break;
 
     case 'console':
-      console.log(`[${timestamp}] Console [${msg.method}]:`, msg.args?.join(' '));
-      appendToLogs({
+      console.log(`[${timestamp}] Console [${msg.method}] (${client.name}):`, msg.args?.join(' '));
+      const logEntry = {
         method: msg.method,
         args: msg.args,
         url: msg.url,
-        timestamp: msg.timestamp
-      });
+        timestamp: msg.timestamp,
+        clientId: client.id,
+        tabId: msg.tabId
+      };
+      consoleStore.append(logEntry);
+      recordHistory(db => db.insertConsole(logEntry));
+      publish('console', logEntry, msg.method);
       break;
 
     case 'screenshot':
-      console.log(`[${timestamp}] Screenshot received`);
-      writeDataFile('screenshot.json', {
-        dataUrl: msg.dataUrl,
-        timestamp: msg.timestamp
+      console.log(`[${timestamp}] Screenshot received from ${client.name}`);
+      saveScreenshotDataUrl(DATA_DIR, msg.dataUrl, {
+        timestamp: msg.timestamp,
+        clientId: client.id,
+        tabId: msg.tabId
       });
+      publish('screenshot', { clientId: client.id, tabId: msg.tabId });
+      break;
+
+    case 'performance_all':
+      const capturedMetrics = { ...msg.metrics, clientId: client.id };
+      if (captureSession) {
+        fs.writeFileSync(path.join(captureSession.dir, 'performance.json'), JSON.stringify(capturedMetrics, null, 2));
+      }
+      writeDataFile('performance.json', capturedMetrics);
+      break;
+
+    case 'storage_all':
+      const capturedStorage = { ...normalizeStorage(msg.storage), clientId: client.id };
+      if (captureSession) {
+        fs.writeFileSync(path.join(captureSession.dir, 'storage.json'), JSON.stringify(capturedStorage, null, 2));
+      }
+      writeDataFile('storage.json', capturedStorage);
+      break;
+
+    case 'network_request':
+      const networkRequest = { ...fromWebRequest(msg.request), clientId: client.id };
+      networkStore.append(networkRequest);
+      publish('network', {
+        clientId: client.id,
+        tabId: networkRequest.tabId,
+        requestId: networkRequest.id,
+        method: networkRequest.method,
+        url: networkRequest.url,
+        type: networkRequest.type,
+        status: networkRequest.status,
+        durationMs: networkRequest.durationMs,
+        error: networkRequest.error
+      }, networkRequest.error || networkRequest.status >= 400 ? 'error' : 'info');
       break;
 
     case 'event':
-      console.log(`[${timestamp}] Event:`, msg.event);
-      appendToEvents({
+      console.log(`[${timestamp}] Event (${client.name}):`, msg.event);
+      const eventEntry = {
         ...msg.event,
         url: msg.url,
-        timestamp: msg.timestamp
-      });
+        timestamp: msg.timestamp,
+        clientId: client.id,
+        tabId: msg.tabId
+      };
+      eventStore.append(eventEntry);
+      recordHistory(db => db.insertEvent(eventEntry));
+      publish('event', eventEntry, msg.event?.success === false ? 'error' : 'info');
       
       // Resolve pending command promise if this is a command result
       if (msg.event?.commandId && pendingCommands.has(msg.event.commandId)) {
@@ -721,6 +2085,24 @@ function handleMessage(msg) {
         pendingCommands.delete(msg.commandId);
         resolve({ success: msg.success, result: msg.result, error: msg.error });
       }
+      publish('command_result', {
+        clientId: client.id,
+        commandId: msg.commandId,
+        success: msg.success,
+        error: msg.error
+      }, msg.success === false ? 'error' : 'info');
+      break;
+
+    case 'navigation':
+      console.log(`[${timestamp}] Navigation (${client.name}): ${msg.url}`);
+      publish('navigation', {
+        clientId: client.id,
+        tabId: msg.tabId,
+        windowId: msg.windowId,
+        url: msg.url,
+        title: msg.title,
+        status: msg.status
+      });
       break;
 
     default:
@@ -728,127 +2110,303 @@ function handleMessage(msg) {
   }
 }
 
-// Write data to JSON file
-function writeDataFile(filename, data) {
-  const filePath = path.join(DATA_DIR, filename);
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+// Close a capture-all session once both the DOM and the screenshot have been written
+function completeCaptureIfDone(client, captureSession) {
+  if (!captureSession.hasDom || !captureSession.hasScreenshot) return;
+  const session = path.basename(captureSession.dir);
+  console.log(`[${new Date().toISOString()}] ✅ Capture All complete: ${session}`);
+  captureSessions.delete(client.id);
+  writeCaptureMeta(client, session, captureSession);
+  recordHistory(db => db.indexSession(session, captureSession.dir));
+  publish('capture_complete', { clientId: client.id, session });
 }
 
-// Append to console logs file
-function appendToLogs(logEntry) {
-  const filePath = path.join(DATA_DIR, 'console-logs.json');
-  let data = { logs: [] };
+// Write session.json for a finished capture. Unless given, the triggering action is the
+// client's last action before the capture and the parent is its previous capture.
+function writeCaptureMeta(client, session, captureSession) {
+  const { meta = {} } = captureSession;
+  const previous = lastSessionByClient.get(client.id);
+  let dom = null;
   try {
-    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  } catch (e) {}
-  
-  data.logs.push(logEntry);
-  
-  // Keep last 1000 logs
-  if (data.logs.length > 1000) {
-    data.logs = data.logs.slice(-1000);
-  }
-  
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-}
+    dom = JSON.parse(fs.readFileSync(path.join(captureSession.dir, 'dom-snapshot.json'), 'utf8'));
+  } catch (e) { /* capture without DOM */ }
 
-// Append to events file
-function appendToEvents(event) {
-  const filePath = path.join(DATA_DIR, 'events.json');
-  let data = { events: [] };
   try {
-    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  } catch (e) {}
-  
-  data.events.push(event);
-  
-  // Keep last 500 events
-  if (data.events.length > 500) {
-    data.events = data.events.slice(-500);
+    createSessionMeta(captureSession.dir, {
+      ...meta,
+      name: session,
+      createdAt: new Date(captureSession.timestamp).toISOString(),
+      url: dom?.url,
+      action: meta.action || lastAction(client.id, captureSession.timestamp),
+      parent: meta.parent !== undefined
+        ? meta.parent
+        : previous && previous !== session && fs.existsSync(path.join(DATA_DIR, previous)) ? previous : null,
+      clientId: client.id,
+      clientName: client.name
+    });
+  } catch (error) {
+    console.error(`Failed to write ${SESSION_META_FILE} for ${session}:`, error.message);
   }
-  
+  lastSessionByClient.set(client.id, session);
+}
+
+// A client's most recent action up to a point in time, as { action, selector, url, success, timestamp }
+function lastAction(clientId, until) {
+  const event = eventStore.entries()
+    .filter(e => e.clientId === clientId && e.action && e.timestamp <= until)
+    .pop();
+  if (!event) return null;
+  return {
+    action: event.action,
+    selector: event.selector || null,
+    url: event.url || null,
+    success: event.success !== false,
+    timestamp: event.timestamp
+  };
+}
+
+// Write data to JSON file
+function writeDataFile(filename, data) {
+  const filePath = path.join(DATA_DIR, filename);
   fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
 }
 
 // ===== Automation Commands =====
 
-function sendCommand(command) {
-  if (wsClient && wsClient.readyState === 1) {
-    wsClient.send(JSON.stringify({
+// Commands may carry tabId/windowId to target a specific tab
+function sendCommand(command, clientId) {
+  const client = getClient(clientId);
+  if (client) {
+    sendToClient(client, {
       type: 'execute',
       ...command
-    }));
-    console.log(`📤 Sent command:`, command);
+    });
+    console.log(`📤 Sent command to ${client.name} (${client.id}):`, command);
     return true;
   } else {
-    console.log('⚠️  Cannot send command: Extension not connected');
+    console.log(`⚠️  Cannot send command: ${clientId ? `Client ${clientId} not connected` : 'Extension not connected'}`);
     return false;
   }
 }
 
-function click(selector) {
-  return sendCommand({ action: 'click', selector });
+function click(selector, clientId) {
+  return sendCommand({ action: 'click', selector }, clientId);
 }
 
-function type(selector, text) {
-  return sendCommand({ action: 'type', selector, text });
+function type(selector, text, clientId) {
+  return sendCommand({ action: 'type', selector, text }, clientId);
 }
 
-function runJs(code) {
-  return sendCommand({ action: 'run_js', code });
+function runJs(code, clientId) {
+  return sendCommand({ action: 'run_js', code }, clientId);
 }
 
-function navigate(url) {
-  return sendCommand({ action: 'navigate', url });
+function navigate(url, clientId) {
+  return sendCommand({ action: 'navigate', url }, clientId);
 }
 
-function scrollTo(selector) {
-  return sendCommand({ action: 'scroll_to', selector });
+function scrollTo(selector, clientId) {
+  return sendCommand({ action: 'scroll_to', selector }, clientId);
 }
 
-function requestDom() {
-  if (wsClient && wsClient.readyState === 1) {
-    wsClient.send(JSON.stringify({ type: 'request_dom' }));
+function requestDom(clientId) {
+  const client = getClient(clientId);
+  if (client) {
+    sendToClient(client, { type: 'request_dom' });
     console.log('📤 Requested DOM snapshot');
     return true;
   }
   return false;
 }
 
-function requestScreenshot() {
-  if (wsClient && wsClient.readyState === 1) {
-    wsClient.send(JSON.stringify({ type: 'capture_screenshot' }));
+function requestScreenshot(clientId) {
+  const client = getClient(clientId);
+  if (client) {
+    sendToClient(client, { type: 'capture_screenshot' });
     console.log('📤 Requested screenshot');
     return true;
   }
   return false;
 }
 
-function reloadExtension() {
-  if (wsClient && wsClient.readyState === 1) {
-    wsClient.send(JSON.stringify({ type: 'reload_extension' }));
-    console.log('📤 Triggered extension reload');
+// Reload the extension in every connected client (or a specific one)
+function reloadExtension(clientId) {
+  const targets = clientId ? [getClient(clientId)].filter(Boolean) : [...clients.values()].filter(isOpen);
+  for (const client of targets) {
+    sendToClient(client, { type: 'reload_extension' });
+  }
+  if (targets.length > 0) {
+    console.log(`📤 Triggered extension reload (${targets.length} client(s))`);
     return true;
   }
   return false;
 }
 
-// Process commands from commands.json
-function processPendingCommands() {
+// ===== commands.json Runner =====
+
+// Commands in commands.json run one at a time, each waiting for its result before the next
+// is sent. Results, errors and timings are written to commands-results.json as the run
+// progresses. File format:
+//   { "stopOnError": false, "timeout": 5000, "commands": [{ "action": "click", "selector": "#go", "timeout": 2000 }] }
+// `wait` ({ "action": "wait", "ms": 500 }) pauses between commands without involving the browser.
+let commandsRunning = false;
+let commandsChangedDuringRun = false;
+let commandRunCounter = 0;
+
+function writeCommandResults(run) {
+  fs.writeFileSync(COMMANDS_RESULTS_FILE, JSON.stringify(run, null, 2));
+}
+
+// Default timeout per action; page loads take longer than DOM actions
+function defaultCommandTimeout(action, fileTimeout) {
+  if (fileTimeout) return fileTimeout;
+  return action === 'navigate' ? 30000 : 5000;
+}
+
+// Run a single command and describe the outcome
+async function runQueuedCommand(command, index, defaults) {
+  const { clientId, timeout: commandTimeout, ...cmd } = command;
+  const timeout = commandTimeout || defaultCommandTimeout(cmd.action, defaults.timeout);
+  const startedAt = Date.now();
+  const entry = { index, command, startedAt: new Date(startedAt).toISOString() };
+  
+  if (cmd.action === 'wait') {
+    await new Promise(resolve => setTimeout(resolve, cmd.ms || 0));
+    return { ...entry, status: 'success', success: true, durationMs: Date.now() - startedAt };
+  }
+  
+  const client = getClient(clientId);
+  if (!client) {
+    return {
+      ...entry,
+      status: 'failed',
+      success: false,
+      error: clientId ? `Client not connected: ${clientId}` : 'Extension not connected',
+      durationMs: 0
+    };
+  }
+  
+  const { commandId, resultPromise } = executeCommand(client, cmd, timeout);
+  console.log(`📤 [${index + 1}] ${cmd.action} → ${client.name} (${client.id})`);
+  
   try {
-    const data = JSON.parse(fs.readFileSync(COMMANDS_FILE, 'utf8'));
-    if (data.commands && data.commands.length > 0) {
-      console.log(`📋 Processing ${data.commands.length} pending command(s)`);
-      
-      for (const cmd of data.commands) {
-        sendCommand(cmd);
+    const result = await resultPromise;
+    const success = result.success !== false;
+    return {
+      ...entry,
+      commandId,
+      clientId: client.id,
+      status: success ? 'success' : 'failed',
+      success,
+      result: result.result,
+      error: success ? undefined : result.error,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      ...entry,
+      commandId,
+      clientId: client.id,
+      status: 'timeout',
+      success: false,
+      error: `Timed out after ${timeout}ms`,
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
+
+// Take the queued commands out of commands.json and run them in order
+async function processPendingCommands() {
+  if (commandsRunning) {
+    // Pick the new commands up once the current run finishes
+    commandsChangedDuringRun = true;
+    return;
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(COMMANDS_FILE, 'utf8'));
+  } catch (e) {
+    return; // Ignore parse errors (file is probably mid-write)
+  }
+  
+  const commands = Array.isArray(data.commands) ? data.commands : [];
+  if (commands.length === 0) return;
+  
+  // Keep the queue until a browser can run it - extension_ready processes it again
+  if (!getClient()) {
+    console.log(`📋 ${commands.length} command(s) waiting for an extension to connect`);
+    return;
+  }
+  
+  commandsRunning = true;
+  fs.writeFileSync(COMMANDS_FILE, JSON.stringify({ commands: [] }, null, 2));
+  
+  const stopOnError = data.stopOnError === true;
+  const run = {
+    runId: ++commandRunCounter,
+    status: 'running',
+    stopOnError,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    total: commands.length,
+    succeeded: 0,
+    failed: 0,
+    skipped: 0,
+    results: []
+  };
+  const runStart = Date.now();
+  console.log(`📋 Running ${commands.length} command(s)${stopOnError ? ' (stopOnError)' : ''}`);
+  writeCommandResults(run);
+  
+  try {
+    for (let i = 0; i < commands.length; i++) {
+      const outcome = await runQueuedCommand(commands[i], i, { timeout: data.timeout });
+      run.results.push(outcome);
+      if (outcome.success) {
+        run.succeeded++;
+      } else {
+        run.failed++;
+        console.log(`❌ [${i + 1}] ${commands[i].action}: ${outcome.error}`);
       }
       
-      // Clear commands after processing
-      fs.writeFileSync(COMMANDS_FILE, JSON.stringify({ commands: [] }, null, 2));
+      if (!outcome.success && stopOnError) {
+        for (let j = i + 1; j < commands.length; j++) {
+          run.results.push({ index: j, command: commands[j], status: 'skipped', success: false });
+          run.skipped++;
+        }
+        break;
+      }
+      writeCommandResults(run);
     }
-  } catch (e) {
-    // Ignore parse errors
+    
+    run.status = run.failed > 0 ? 'failed' : 'passed';
+    run.consoleErrors = consoleStore.entries().filter(l => l.method === 'error' && l.timestamp >= runStart);
+  } catch (error) {
+    run.status = 'error';
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - runStart;
+    writeCommandResults(run);
+    commandsRunning = false;
+  }
+  
+  console.log(`📋 Commands ${run.status}: ${run.succeeded} succeeded, ${run.failed} failed, ${run.skipped} skipped`);
+  publish('commands_complete', {
+    runId: run.runId,
+    status: run.status,
+    total: run.total,
+    succeeded: run.succeeded,
+    failed: run.failed,
+    skipped: run.skipped,
+    durationMs: run.durationMs
+  }, run.status === 'passed' ? 'info' : 'error');
+  
+  if (commandsChangedDuringRun) {
+    commandsChangedDuringRun = false;
+    processPendingCommands();
   }
 }
 
@@ -884,13 +2442,18 @@ commandsWatcher.on('change', () => {
 
 // ===== Graceful Shutdown =====
 
-process.on('SIGINT', () => {
+async function shutdown() {
   console.log('\n👋 Shutting down...');
+  await Promise.all([consoleStore, eventStore, networkStore].map(store => store.drain()));
+  historyDb?.close();
   wss.close();
   extensionWatcher.close();
   commandsWatcher.close();
   process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Export functions for potential programmatic use
 export {
@@ -0,0 +1,313 @@
+// Log Store - In-memory ring buffer backed by an append-only NDJSON journal
+// Keeps the most recent entries in memory for fast reads and appends every entry
+// to disk without rewriting history. Journals rotate by size and old files are pruned.
+
+import fs from 'fs';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+
+// Journal line written when the store is cleared, so a restart doesn't resurrect old entries
+const CLEAR_MARKER = '__cleared';
+
+/**
+ * Fixed-capacity buffer that overwrites its oldest entry when full
+ */
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  toArray() {
+    const result = new Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      result[i] = this.items[(this.start + i) % this.capacity];
+    }
+    return result;
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+/**
+ * Timestamp of the first entry in a journal, reading it a chunk at a time until one is found
+ */
+function firstTimestamp(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const chunk = Buffer.alloc(64 * 1024);
+    const decoder = new StringDecoder('utf8');
+    let rest = '';
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      const lines = (rest + decoder.write(chunk.subarray(0, bytesRead))).split('\n');
+      rest = lines.pop();
+      for (const line of lines) {
+        const timestamp = lineTimestamp(line);
+        if (timestamp !== null) return timestamp;
+      }
+    }
+    return lineTimestamp(rest + decoder.end());
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function lineTimestamp(line) {
+  try {
+    const entry = line ? JSON.parse(line) : null;
+    return typeof entry?.timestamp === 'number' ? entry.timestamp : null;
+  } catch (e) {
+    return null; // Skip a torn line
+  }
+}
+
+class LogStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Directory for journal files
+   * @param {string} options.name - Journal base name (e.g. 'console-logs' → console-logs.ndjson)
+   * @param {string} options.key - Key used for the legacy JSON document shape ({ logs: [] } / { events: [] })
+   * @param {number} options.capacity - Number of recent entries kept in memory (default: 1000)
+   * @param {number} options.maxFileSize - Rotate the journal when it exceeds this many bytes (default: 5 MB)
+   * @param {number} options.maxFiles - Number of rotated journals to keep (default: 5)
+   * @param {Function} options.onRotate - Called with the store after each rotation, e.g. to prune
+   *   indexes down to what the journals still hold
+   */
+  constructor(options) {
+    const {
+      dir,
+      name,
+      key,
+      capacity = 1000,
+      maxFileSize = 5 * 1024 * 1024,
+      maxFiles = 5,
+      onRotate = null
+    } = options;
+
+    this.dir = dir;
+    this.name = name;
+    this.key = key;
+    this.maxFileSize = maxFileSize;
+    this.maxFiles = maxFiles;
+    this.onRotate = onRotate;
+    this.file = path.join(dir, `${name}.ndjson`);
+    this.buffer = new RingBuffer(capacity);
+
+    this.pending = [];
+    this.flushScheduled = false;
+    this.flushing = null; // Promise of the append in progress
+
+    this.migrateLegacyFile();
+    this.bytes = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    this.load();
+  }
+
+  /**
+   * Path of a rotated journal (1 = most recent)
+   */
+  rotatedFile(index) {
+    return path.join(this.dir, `${this.name}.${index}.ndjson`);
+  }
+
+  /**
+   * Import entries from the old whole-file JSON format (console-logs.json / events.json)
+   */
+  migrateLegacyFile() {
+    const legacyFile = path.join(this.dir, `${this.name}.json`);
+    if (!fs.existsSync(legacyFile) || fs.existsSync(this.file)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+      const entries = data[this.key] || [];
+      fs.writeFileSync(this.file, entries.map(e => JSON.stringify(e) + '\n').join(''));
+      fs.renameSync(legacyFile, `${legacyFile}.migrated`);
+      console.log(`📦 Migrated ${entries.length} entries from ${path.basename(legacyFile)} to ${path.basename(this.file)}`);
+    } catch (e) {
+      console.error(`Failed to migrate ${legacyFile}:`, e.message);
+    }
+  }
+
+  /**
+   * Fill the ring buffer from the newest journal entries, stopping at the last clear
+   */
+  load() {
+    const files = [this.file];
+    for (let i = 1; i <= this.maxFiles; i++) {
+      files.push(this.rotatedFile(i));
+    }
+
+    const newestFirst = [];
+    let reachedClear = false;
+    for (const file of files) {
+      if (reachedClear || newestFirst.length >= this.buffer.capacity || !fs.existsSync(file)) break;
+
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      for (let i = lines.length - 1; i >= 0 && newestFirst.length < this.buffer.capacity; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (e) {
+          continue; // Skip a torn final line
+        }
+        if (entry[CLEAR_MARKER]) {
+          reachedClear = true; // Nothing older than a clear belongs in the buffer
+          break;
+        }
+        newestFirst.push(entry);
+      }
+    }
+
+    for (let i = newestFirst.length - 1; i >= 0; i--) {
+      this.buffer.push(newestFirst[i]);
+    }
+  }
+
+  /**
+   * Add an entry to memory and queue it for the journal
+   */
+  append(entry) {
+    this.buffer.push(entry);
+    this.writeLine(entry);
+  }
+
+  /**
+   * Empty the in-memory buffer. The journal keeps its history behind a clear marker.
+   */
+  clear() {
+    this.buffer.clear();
+    this.writeLine({ [CLEAR_MARKER]: Date.now() });
+  }
+
+  /**
+   * Recent entries, oldest first
+   */
+  entries() {
+    return this.buffer.toArray();
+  }
+
+  /**
+   * Recent entries in the legacy JSON document shape, e.g. { logs: [...] }
+   */
+  toDocument(filter) {
+    const entries = this.entries();
+    return { [this.key]: filter ? entries.filter(filter) : entries };
+  }
+
+  writeLine(entry) {
+    this.pending.push(JSON.stringify(entry) + '\n');
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => this.flush());
+    }
+  }
+
+  /**
+   * Write queued lines in one append. Only one flush runs at a time.
+   */
+  async flush() {
+    this.flushScheduled = false;
+    if (this.flushing || this.pending.length === 0) return;
+
+    const chunk = this.pending.join('');
+    this.pending = [];
+    this.flushing = this.writeChunk(chunk);
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+      if (this.pending.length > 0) {
+        this.flushScheduled = true;
+        setImmediate(() => this.flush());
+      }
+    }
+  }
+
+  async writeChunk(chunk) {
+    try {
+      if (this.bytes > 0 && this.bytes + Buffer.byteLength(chunk) > this.maxFileSize) {
+        await this.rotate();
+        this.onRotate?.(this);
+      }
+      await fs.promises.appendFile(this.file, chunk);
+      this.bytes += Buffer.byteLength(chunk);
+    } catch (e) {
+      console.error(`Failed to write ${path.basename(this.file)}:`, e.message);
+    }
+  }
+
+  /**
+   * Write anything still queued. An append already in progress isn't included - use drain()
+   * when the caller can wait, so that chunk isn't lost or written out of order.
+   */
+  flushSync() {
+    if (this.pending.length === 0) return;
+    const chunk = this.pending.join('');
+    fs.appendFileSync(this.file, chunk);
+    this.bytes += Buffer.byteLength(chunk);
+    this.pending = [];
+  }
+
+  /**
+   * Wait for the append in progress, then write everything still queued (before exiting)
+   */
+  async drain() {
+    while (this.flushing) {
+      await this.flushing;
+    }
+    this.flushSync();
+  }
+
+  /**
+   * Timestamp of the oldest entry still in the journals, or null if they hold none.
+   * Only reads the head of the oldest journal (unless it holds no timestamped entries).
+   */
+  oldestTimestamp() {
+    for (let i = this.maxFiles; i >= 0; i--) {
+      const file = i === 0 ? this.file : this.rotatedFile(i);
+      if (!fs.existsSync(file)) continue;
+      const timestamp = firstTimestamp(file);
+      if (timestamp !== null) return timestamp;
+    }
+    return null;
+  }
+
+  /**
+   * Shift journals up by one (name.ndjson → name.1.ndjson → ...) and drop the oldest
+   */
+  async rotate() {
+    const oldest = this.rotatedFile(this.maxFiles);
+    await fs.promises.rm(oldest, { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = this.rotatedFile(i);
+      if (fs.existsSync(from)) {
+        await fs.promises.rename(from, this.rotatedFile(i + 1));
+      }
+    }
+    if (this.maxFiles > 0) {
+      await fs.promises.rename(this.file, this.rotatedFile(1));
+    } else {
+      await fs.promises.rm(this.file, { force: true });
+    }
+    this.bytes = 0;
+  }
+}
+
+export { LogStore, RingBuffer };
@@ -0,0 +1,368 @@
+// Scenario Runner - Declarative navigate → act → capture → assert flows
+// Scenarios are JSON or YAML files in the scenarios directory. Each has a list of steps
+// run in order against one browser client; the result is a per-step pass/fail report.
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { compareSessions, queryHtml } from '../shared/diff-utils.js';
+import { isValidSessionName } from './session-archive.js';
+
+const SCENARIO_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Actions forwarded to the extension like /execute
+const BROWSER_ACTIONS = ['navigate', 'click', 'type', 'run_js', 'scroll_to'];
+
+const STEP_ACTIONS = [
+  ...BROWSER_ACTIONS,
+  'wait',
+  'capture',
+  'assert_dom',
+  'assert_url',
+  'assert_console',
+  'compare'
+];
+
+// How often wait steps re-check the page
+const POLL_INTERVAL = 500;
+
+function parseScenarioFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return path.extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+}
+
+/**
+ * List scenario files in a directory
+ * @param {string} dir - Scenarios directory
+ * @returns {Array<{name, file, title, description, steps, error?}>}
+ */
+export function listScenarios(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => SCENARIO_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map(file => {
+      const name = path.basename(file, path.extname(file));
+      try {
+        const scenario = parseScenarioFile(path.join(dir, file));
+        return {
+          name,
+          file,
+          title: scenario?.name || name,
+          description: scenario?.description,
+          steps: Array.isArray(scenario?.steps) ? scenario.steps.length : 0
+        };
+      } catch (e) {
+        return { name, file, error: e.message };
+      }
+    });
+}
+
+/**
+ * Load and validate a scenario by name (file name without extension)
+ * @param {string} dir - Scenarios directory
+ * @param {string} name - Scenario name
+ * @returns {Object|null} Scenario, or null if no file matches
+ * @throws {Error} If the file can't be parsed or a step is invalid
+ */
+export function loadScenario(dir, name) {
+  const file = SCENARIO_EXTENSIONS
+    .map(ext => path.join(dir, name + ext))
+    .find(candidate => fs.existsSync(candidate));
+  if (!file || path.dirname(file) !== dir) return null;
+
+  const scenario = parseScenarioFile(file);
+  validateScenario(scenario);
+  return { ...scenario, id: name, file: path.basename(file) };
+}
+
+/**
+ * Check a scenario's structure before any step runs
+ * @throws {Error} Describing the first invalid step
+ */
+export function validateScenario(scenario) {
+  if (!scenario || !Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    throw new Error('Scenario must have a non-empty "steps" array');
+  }
+
+  scenario.steps.forEach((step, i) => {
+    const where = `Step ${i + 1}`;
+    if (!STEP_ACTIONS.includes(step?.action)) {
+      throw new Error(`${where}: unknown action "${step?.action}" (expected one of ${STEP_ACTIONS.join(', ')})`);
+    }
+    if (step.action === 'navigate' && !step.url) throw new Error(`${where}: navigate needs "url"`);
+    if (['click', 'type', 'scroll_to', 'assert_dom'].includes(step.action) && !step.selector) {
+      throw new Error(`${where}: ${step.action} needs "selector"`);
+    }
+    if (step.action === 'type' && step.text === undefined) throw new Error(`${where}: type needs "text"`);
+    if (step.action === 'run_js' && !step.code) throw new Error(`${where}: run_js needs "code"`);
+    if (step.action === 'wait' && step.ms === undefined && !step.selector && !step.url) {
+      throw new Error(`${where}: wait needs "ms", "selector" or "url"`);
+    }
+    if (step.action === 'assert_url' && !step.equals && !step.contains && !step.matches) {
+      throw new Error(`${where}: assert_url needs "equals", "contains" or "matches"`);
+    }
+    if (step.action === 'capture') {
+      if (step.name !== undefined && !isValidSessionName(step.name)) {
+        throw new Error(`${where}: capture "name" must be a valid session name`);
+      }
+      if (step.as !== undefined && !isValidSessionName(step.as)) {
+        throw new Error(`${where}: capture "as" must be a valid session name`);
+      }
+    }
+    if (step.action === 'compare' && !step.from) throw new Error(`${where}: compare needs "from"`);
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function describeStep(step) {
+  if (step.description) return step.description;
+  switch (step.action) {
+    case 'navigate': return `navigate to ${step.url}`;
+    case 'click': return `click ${step.selector}`;
+    case 'type': return `type into ${step.selector}`;
+    case 'scroll_to': return `scroll to ${step.selector}`;
+    case 'run_js': return 'run JavaScript';
+    case 'wait':
+      if (step.selector) return `wait for ${step.selector}`;
+      if (step.url) return `wait for URL containing ${step.url}`;
+      return `wait ${step.ms}ms`;
+    case 'capture': return `capture${step.as ? ` as "${step.as}"` : ''}`;
+    case 'assert_dom':
+      if (step.exists === false) return `assert ${step.selector} is absent`;
+      return step.text !== undefined ? `assert ${step.selector} contains "${step.text}"` : `assert ${step.selector} exists`;
+    case 'assert_url': return `assert URL ${step.equals ? `equals ${step.equals}` : step.contains ? `contains ${step.contains}` : `matches ${step.matches}`}`;
+    case 'assert_console':
+      if (step.contains) return `assert console ${step.absent ? 'lacks' : 'has'} "${step.contains}"`;
+      return `assert no console ${step.method && step.method !== 'error' ? `${step.method} entries` : 'errors'}`;
+    case 'compare': return `compare ${step.from} → ${step.to || 'last capture'}`;
+    default: return step.action;
+  }
+}
+
+function checkDom(step, html) {
+  const matches = queryHtml(html, step.selector);
+  const shouldExist = step.exists !== false;
+
+  if (!shouldExist) {
+    if (matches.length > 0) throw new Error(`Expected no match for ${step.selector}, found ${matches.length}`);
+    return { count: 0 };
+  }
+  if (matches.length === 0) throw new Error(`No element matches ${step.selector}`);
+  if (step.count !== undefined && matches.length !== step.count) {
+    throw new Error(`Expected ${step.count} match(es) for ${step.selector}, found ${matches.length}`);
+  }
+  if (step.text !== undefined) {
+    const texts = matches.map(el => el.textContent.replace(/\s+/g, ' ').trim());
+    if (!texts.some(t => t.includes(step.text))) {
+      throw new Error(`No ${step.selector} contains "${step.text}" (found: ${texts.slice(0, 3).map(t => `"${t.slice(0, 80)}"`).join(', ')})`);
+    }
+  }
+  return { count: matches.length };
+}
+
+function checkUrl(step, url) {
+  if (step.equals && url !== step.equals) throw new Error(`Expected URL ${step.equals}, got ${url}`);
+  if (step.contains && !url?.includes(step.contains)) throw new Error(`Expected URL containing ${step.contains}, got ${url}`);
+  if (step.matches && !new RegExp(step.matches).test(url || '')) throw new Error(`Expected URL matching /${step.matches}/, got ${url}`);
+  return { url };
+}
+
+function checkConsole(step, logs) {
+  const method = step.method || (step.contains ? undefined : 'error');
+  const matching = logs.filter(l =>
+    (!method || l.method === method) &&
+    (!step.contains || (l.args || []).join(' ').includes(step.contains))
+  );
+  const label = `${method ? `${method} ` : ''}console entries${step.contains ? ` containing "${step.contains}"` : ''}`;
+  // Without "contains" the default is "no console errors"
+  const expectAbsent = step.absent ?? !step.contains;
+
+  if (step.count !== undefined) {
+    if (matching.length !== step.count) throw new Error(`Expected ${step.count} ${label}, found ${matching.length}`);
+  } else if (expectAbsent && matching.length > 0) {
+    const first = (matching[0].args || []).join(' ').slice(0, 200);
+    throw new Error(`Expected no ${label}, found ${matching.length}: ${first}`);
+  } else if (!expectAbsent && matching.length === 0) {
+    throw new Error(`Expected ${label}, found none`);
+  }
+  return { matches: matching.length };
+}
+
+// Check compareSessions output against the step's expectations (default: no new issues)
+function checkDiff(step, diff) {
+  const expect = step.expect || { noNewErrors: true, noFailedEvents: true };
+  const failures = [];
+
+  if (expect.noNewErrors && diff.console.hasNewErrors) {
+    failures.push(`${diff.console.newErrors.length} new console error(s)`);
+  }
+  if (expect.noFailedEvents && diff.events.hasFailures) {
+    failures.push(`${diff.events.failedEvents.length} failed action(s)`);
+  }
+  if (expect.domChanged !== undefined && diff.dom.htmlChanged !== expect.domChanged) {
+    failures.push(expect.domChanged ? 'DOM did not change' : 'DOM changed');
+  }
+  if (expect.urlChanged !== undefined && diff.dom.urlChanged !== expect.urlChanged) {
+    failures.push(expect.urlChanged ? 'URL did not change' : 'URL changed');
+  }
+  if (failures.length > 0) {
+    throw new Error(`Comparison failed: ${failures.join(', ')}`);
+  }
+  return { summary: diff.summary };
+}
+
+// Poll until check() stops throwing or the timeout passes
+async function waitUntil(check, timeout) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    try {
+      return await check();
+    } catch (error) {
+      if (Date.now() + POLL_INTERVAL > deadline) throw error;
+      await sleep(POLL_INTERVAL);
+    }
+  }
+}
+
+/**
+ * Run a scenario against one browser client
+ * @param {Object} scenario - Scenario from loadScenario
+ * @param {Object} driver - Browser access provided by the server:
+ *   execute(command, timeout) → { success, result, error }
+ *   getDom(timeout) → { html, url }
+ *   getTabInfo() → { url, title, ... }
+ *   capture(name) → session data
+ *   consoleSince(timestamp) → console entries from this client
+ *   eventsSince(timestamp) → action events from this client
+ *   loadSession(name) → session data or null
+ * @returns {Promise<Object>} Report with one entry per step
+ */
+export async function runScenario(scenario, driver) {
+  const startedAt = Date.now();
+  const runId = new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+  const stopOnFailure = scenario.stopOnFailure !== false;
+  const captures = {};
+  let lastCapture = null;
+  let failed = false;
+
+  const report = {
+    scenario: scenario.id,
+    title: scenario.name || scenario.id,
+    file: scenario.file,
+    clientId: driver.clientId,
+    status: 'running',
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    steps: [],
+    captures,
+    summary: { total: scenario.steps.length, passed: 0, failed: 0, skipped: 0 }
+  };
+
+  // Session data for a capture label or session name
+  const resolveSession = (ref) => {
+    const name = captures[ref] || ref;
+    const session = driver.loadSession(name);
+    if (!session) throw new Error(`Session not found: ${ref}`);
+    return session;
+  };
+
+  const runStep = async (step, index) => {
+    const timeout = step.timeout || scenario.timeout || (step.action === 'navigate' ? 30000 : 5000);
+
+    if (BROWSER_ACTIONS.includes(step.action)) {
+      const { action, selector, text, code, url } = step;
+      const result = await driver.execute({ action, selector, text, code, url }, timeout);
+      if (result.success === false) throw new Error(result.error || `${action} failed`);
+      return result.result;
+    }
+
+    switch (step.action) {
+      case 'wait':
+        if (step.selector) {
+          return waitUntil(async () => checkDom(step, (await driver.getDom(timeout)).html), step.timeout || 10000);
+        }
+        if (step.url) {
+          return waitUntil(async () => checkUrl({ contains: step.url }, (await driver.getTabInfo()).url), step.timeout || 10000);
+        }
+        await sleep(step.ms);
+        return undefined;
+
+      case 'capture': {
+        const label = step.as || `step-${index + 1}`;
+        const name = step.name || `scenario-${scenario.id}-${runId}-${label}`;
+        if (!isValidSessionName(name)) throw new Error(`Invalid capture session name: ${name}`);
+        await driver.capture(name);
+        captures[label] = name;
+        lastCapture = name;
+        return { session: name };
+      }
+
+      case 'assert_dom':
+        return checkDom(step, (await driver.getDom(timeout)).html);
+
+      case 'assert_url':
+        return checkUrl(step, (await driver.getTabInfo()).url);
+
+      case 'assert_console':
+        return checkConsole(step, driver.consoleSince(startedAt));
+
+      case 'compare': {
+        const to = step.to || lastCapture;
+        if (!to) throw new Error('compare needs "to" or an earlier capture step');
+        const diff = compareSessions(resolveSession(step.from), resolveSession(to));
+        return checkDiff(step, diff);
+      }
+    }
+  };
+
+  for (let i = 0; i < scenario.steps.length; i++) {
+    const step = scenario.steps[i];
+    const entry = { index: i, action: step.action, description: describeStep(step) };
+
+    if (failed && stopOnFailure) {
+      report.steps.push({ ...entry, status: 'skipped' });
+      report.summary.skipped++;
+      continue;
+    }
+
+    const stepStart = Date.now();
+    try {
+      const result = await runStep(step, i);
+      report.steps.push({ ...entry, status: 'passed', result, durationMs: Date.now() - stepStart });
+      report.summary.passed++;
+    } catch (error) {
+      report.steps.push({ ...entry, status: 'failed', error: error.message, durationMs: Date.now() - stepStart });
+      report.summary.failed++;
+      failed = true;
+    }
+  }
+
+  // Overall before/after picture from the first and last captures
+  const captureNames = Object.values(captures);
+  if (captureNames.length >= 2) {
+    try {
+      const diff = compareSessions(
+        driver.loadSession(captureNames[0]),
+        driver.loadSession(captureNames[captureNames.length - 1])
+      );
+      report.diff = { from: captureNames[0], to: captureNames[captureNames.length - 1], summary: diff.summary };
+    } catch (error) {
+      report.diff = { error: error.message };
+    }
+  }
+
+  // What went wrong in the browser while the scenario ran
+  report.consoleErrors = driver.consoleSince(startedAt).filter(l => l.method === 'error');
+  report.failedEvents = driver.eventsSince(startedAt).filter(e => e.success === false);
+
+  report.status = failed ? 'failed' : 'passed';
+  report.finishedAt = new Date().toISOString();
+  report.durationMs = Date.now() - startedAt;
+  return report;
+}
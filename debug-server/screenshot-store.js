@@ -0,0 +1,108 @@
+// Screenshot Store - Screenshots as image files with a small JSON sidecar
+// screenshot.png (or .jpg) holds the image, screenshot-thumb.png a downscaled copy,
+// and screenshot.json only metadata. Older screenshot.json files that embed the image
+// as a data URL are converted the first time they are read.
+
+import fs from 'fs';
+import path from 'path';
+import { IMAGE_EXTENSIONS, decodeDataUrl, createThumbnail } from '../shared/image-utils.js';
+
+const META_FILE = 'screenshot.json';
+const THUMBNAIL_FILE = 'screenshot-thumb.png';
+export const THUMBNAIL_WIDTH = parseInt(process.env.THUMBNAIL_WIDTH) || 320;
+
+/**
+ * Write a screenshot image, its thumbnail and metadata into a directory
+ * @param {string} dir - Live data directory or a session folder
+ * @param {{ buffer: Buffer, mimeType: string }} image - Encoded image
+ * @param {Object} meta - Extra metadata (timestamp, clientId, tabId, ...)
+ * @returns {Object} The metadata written to screenshot.json
+ */
+export function saveScreenshot(dir, image, meta = {}) {
+  const extension = IMAGE_EXTENSIONS[image.mimeType] || 'png';
+  const file = `screenshot.${extension}`;
+
+  // Drop an image of another type left by a previous screenshot
+  for (const ext of Object.values(IMAGE_EXTENSIONS)) {
+    if (ext !== extension) fs.rmSync(path.join(dir, `screenshot.${ext}`), { force: true });
+  }
+  fs.writeFileSync(path.join(dir, file), image.buffer);
+
+  const metadata = {
+    file,
+    mimeType: image.mimeType,
+    bytes: image.buffer.length,
+    width: null,
+    height: null,
+    thumbnail: null,
+    ...meta
+  };
+
+  try {
+    const thumbnail = createThumbnail(image.buffer, image.mimeType, THUMBNAIL_WIDTH);
+    fs.writeFileSync(path.join(dir, THUMBNAIL_FILE), thumbnail.buffer);
+    metadata.width = thumbnail.source.width;
+    metadata.height = thumbnail.source.height;
+    metadata.thumbnail = { file: THUMBNAIL_FILE, width: thumbnail.width, height: thumbnail.height };
+  } catch (error) {
+    // Keep the full image even if it can't be decoded for a thumbnail
+    fs.rmSync(path.join(dir, THUMBNAIL_FILE), { force: true });
+    console.error(`Failed to create thumbnail in ${dir}:`, error.message);
+  }
+
+  fs.writeFileSync(path.join(dir, META_FILE), JSON.stringify(metadata, null, 2));
+  return metadata;
+}
+
+/**
+ * Save a screenshot received as a data URL
+ * @returns {Object|null} Metadata, or null if the data URL isn't a base64 image
+ */
+export function saveScreenshotDataUrl(dir, dataUrl, meta = {}) {
+  const image = decodeDataUrl(dataUrl);
+  return image ? saveScreenshot(dir, image, meta) : null;
+}
+
+/**
+ * Read screenshot metadata, converting a legacy inline data URL to files on the way
+ * @param {string} dir - Directory holding screenshot.json
+ * @returns {Object|null} Metadata, or null if there is no screenshot
+ */
+export function readScreenshotMeta(dir) {
+  const metaFile = path.join(dir, META_FILE);
+  if (!fs.existsSync(metaFile)) return null;
+
+  const meta = JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+  if (meta.dataUrl !== undefined) {
+    const { dataUrl, ...rest } = meta;
+    return saveScreenshotDataUrl(dir, dataUrl, rest);
+  }
+  return meta.file ? meta : null;
+}
+
+/**
+ * Read a screenshot (or its thumbnail) as bytes
+ * @param {string} dir - Directory holding screenshot.json
+ * @param {Object} options - { thumbnail: boolean }
+ * @returns {{ buffer: Buffer, mimeType: string, file: string }|null}
+ */
+export function readScreenshotImage(dir, options = {}) {
+  const meta = readScreenshotMeta(dir);
+  if (!meta) return null;
+
+  const entry = options.thumbnail
+    ? meta.thumbnail && { file: meta.thumbnail.file, mimeType: 'image/png' }
+    : { file: meta.file, mimeType: meta.mimeType };
+  const file = entry && path.join(dir, entry.file);
+  if (!file || !fs.existsSync(file)) return null;
+
+  return { buffer: fs.readFileSync(file), mimeType: entry.mimeType, file };
+}
+
+/**
+ * The screenshot as a data URL, for callers that explicitly ask for inline data
+ */
+export function readScreenshotDataUrl(dir) {
+  const image = readScreenshotImage(dir);
+  return image ? `data:${image.mimeType};base64,${image.buffer.toString('base64')}` : null;
+}
@@ -0,0 +1,282 @@
+// Session Archive - Pack a capture session into a single zip and unpack it again
+// The archive holds the session's JSON files, screenshots decoded to real image files,
+// and a manifest.json describing where the session came from. HAR files can be loaded
+// as sessions too, holding only a network log.
+
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { readScreenshotMeta, readScreenshotImage, saveScreenshot } from './screenshot-store.js';
+import { SESSION_META_FILE, createSessionMeta, normalizeTags, validateMetaFields } from './session-meta.js';
+import { fromHar } from '../shared/har.js';
+
+export const ARCHIVE_FORMAT = 'browser-debug-session';
+export const ARCHIVE_VERSION = 1;
+
+// Session files copied into the archive as-is
+const DATA_FILES = ['dom-snapshot.json', 'console-logs.json', 'events.json', 'network-log.json', 'performance.json', 'storage.json', SESSION_META_FILE];
+
+/**
+ * Session names double as folder names, so keep them to a safe character set
+ */
+export function isValidSessionName(name) {
+  return typeof name === 'string' && /^[\w.-]+$/.test(name) && name !== '.' && name !== '..';
+}
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Build a zip archive of a session folder
+ * @param {string} sessionDir - Session folder
+ * @param {string} name - Session name
+ * @returns {Buffer} Zip file contents
+ */
+export function exportSession(sessionDir, name) {
+  const zip = new AdmZip();
+  const files = [];
+
+  for (const file of DATA_FILES) {
+    const filePath = path.join(sessionDir, file);
+    if (fs.existsSync(filePath)) {
+      zip.addFile(file, fs.readFileSync(filePath));
+      files.push(file);
+    }
+  }
+
+  // Screenshot: the image file goes in as-is, its metadata into the manifest
+  const screenshot = readScreenshotMeta(sessionDir);
+  const image = readScreenshotImage(sessionDir);
+  const screenshotFile = image ? screenshot.file : null;
+  if (image) {
+    zip.addFile(screenshotFile, image.buffer);
+    files.push(screenshotFile);
+  }
+
+  const dom = readJson(path.join(sessionDir, 'dom-snapshot.json'));
+  const logs = readJson(path.join(sessionDir, 'console-logs.json'))?.logs || [];
+  const events = readJson(path.join(sessionDir, 'events.json'))?.events || [];
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    name,
+    exportedAt: new Date().toISOString(),
+    capturedAt: dom?.timestamp ? new Date(dom.timestamp).toISOString() : null,
+    url: dom?.url || null,
+    clientId: dom?.clientId || screenshot?.clientId || null,
+    clientName: dom?.clientName || null,
+    screenshot: screenshotFile
+      ? { file: screenshotFile, mimeType: image.mimeType, width: screenshot.width, height: screenshot.height, timestamp: screenshot.timestamp }
+      : null,
+    counts: {
+      consoleEntries: logs.length,
+      consoleErrors: logs.filter(l => l.method === 'error').length,
+      events: events.length,
+      failedEvents: events.filter(e => e.success === false).length
+    },
+    files
+  };
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+  return zip.toBuffer();
+}
+
+/**
+ * Read and check an archive's manifest without extracting it
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {{ zip: AdmZip, manifest: Object }}
+ * @throws {Error} If the buffer isn't a session archive
+ */
+export function readArchive(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (e) {
+    throw new Error(`Not a zip archive: ${e.message}`);
+  }
+
+  const manifestEntry = zip.getEntry('manifest.json');
+  if (!manifestEntry) {
+    throw new Error('Archive has no manifest.json');
+  }
+  const manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error(`Unsupported archive format: ${manifest.format}`);
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${manifest.version} is newer than supported (${ARCHIVE_VERSION})`);
+  }
+  return { zip, manifest };
+}
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID';
+  return error;
+}
+
+// Check an import target before anything is written
+function checkSessionTarget(dataDir, name, overwrite) {
+  if (!isValidSessionName(name)) {
+    throw invalid(`Invalid session name: ${name}`);
+  }
+  if (fs.existsSync(path.join(dataDir, name)) && !overwrite) {
+    const error = new Error(`Session already exists: ${name}`);
+    error.code = 'EXISTS';
+    throw error;
+  }
+}
+
+// Build a session in a hidden temp folder and move it into place only once write() succeeds,
+// so a failed import leaves neither a half-written session nor a replaced one
+function writeSessionDir(dataDir, name, overwrite, write) {
+  checkSessionTarget(dataDir, name, overwrite);
+  const tempDir = fs.mkdtempSync(path.join(dataDir, `.import-${name}-`));
+  try {
+    const result = write(tempDir);
+    const sessionDir = path.join(dataDir, name);
+    const replaced = fs.existsSync(sessionDir);
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+    fs.renameSync(tempDir, sessionDir);
+    return { ...result, dir: sessionDir, replaced };
+  } catch (error) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Unpack an archive into a new session folder
+ * Everything is checked before the session is written: each JSON file must parse, and the
+ * exported session.json must be an object with valid tags, note and action.
+ * @param {Buffer} buffer - Zip file contents
+ * @param {string} dataDir - Directory holding session folders
+ * @param {Object} options - { name?: override the session name, overwrite?: replace an existing session }
+ * @returns {{ name: string, dir: string, manifest: Object, files: string[], replaced: boolean }}
+ * @throws {Error} With `code` 'EXISTS' when the session already exists, 'INVALID' for bad contents
+ */
+export function importSession(buffer, dataDir, options = {}) {
+  const { zip, manifest } = readArchive(buffer);
+
+  const name = options.name || manifest.name;
+  checkSessionTarget(dataDir, name, options.overwrite);
+
+  // Only known files are extracted - entry names never become paths
+  const entries = [];
+  for (const file of DATA_FILES) {
+    const entry = zip.getEntry(file);
+    if (!entry) continue;
+    const data = entry.getData();
+    let json;
+    try {
+      json = JSON.parse(data.toString('utf8'));
+    } catch (e) {
+      throw invalid(`${file} in the archive is not valid JSON: ${e.message}`);
+    }
+    entries.push({ file, data, json });
+  }
+
+  const exportedMeta = entries.find(e => e.file === SESSION_META_FILE)?.json ?? {};
+  if (typeof exportedMeta !== 'object' || exportedMeta === null || Array.isArray(exportedMeta)) {
+    throw invalid(`${SESSION_META_FILE} in the archive must be an object`);
+  }
+  const tags = normalizeTags(exportedMeta.tags || []);
+  validateMetaFields(exportedMeta);
+
+  const screenshotEntry = manifest.screenshot && zip.getEntry(path.basename(String(manifest.screenshot.file)));
+  if (screenshotEntry && typeof manifest.screenshot.mimeType !== 'string') {
+    throw invalid('manifest.json has no screenshot mimeType');
+  }
+
+  return writeSessionDir(dataDir, name, options.overwrite, (sessionDir) => {
+    const files = [];
+    for (const { file, data } of entries) {
+      fs.writeFileSync(path.join(sessionDir, file), data);
+      files.push(file);
+    }
+
+    if (screenshotEntry) {
+      const meta = saveScreenshot(
+        sessionDir,
+        { buffer: screenshotEntry.getData(), mimeType: manifest.screenshot.mimeType },
+        { timestamp: manifest.screenshot.timestamp, clientId: manifest.clientId }
+      );
+      files.push(meta.file, 'screenshot.json');
+    }
+
+    // Keep the exported tags and note, but under the imported name
+    createSessionMeta(sessionDir, {
+      ...exportedMeta,
+      name,
+      tags,
+      source: 'import',
+      url: exportedMeta.url || manifest.url,
+      createdAt: exportedMeta.createdAt || manifest.capturedAt,
+      clientId: exportedMeta.clientId || manifest.clientId,
+      clientName: exportedMeta.clientName || manifest.clientName
+    });
+    if (!files.includes(SESSION_META_FILE)) files.push(SESSION_META_FILE);
+
+    fs.writeFileSync(path.join(sessionDir, 'import.json'), JSON.stringify({
+      importedAt: new Date().toISOString(),
+      originalName: manifest.name,
+      exportedAt: manifest.exportedAt,
+      url: manifest.url,
+      clientId: manifest.clientId,
+      clientName: manifest.clientName
+    }, null, 2));
+
+    return { name, manifest, files };
+  });
+}
+
+/**
+ * Load a HAR file as a new session holding only its network-log.json
+ * @param {Object|string} har - HAR document or its JSON text
+ * @param {string} dataDir - Directory holding session folders
+ * @param {Object} options - { name?: session name (default: har-<time of the first request>),
+ *   overwrite?: replace an existing session }
+ * @returns {{ name: string, dir: string, manifest: Object, files: string[], replaced: boolean }}
+ * @throws {Error} With `code` 'INVALID' for a malformed HAR, 'EXISTS' when the session already exists
+ */
+export function importHar(har, dataDir, options = {}) {
+  const { requests, pages, creator } = fromHar(har);
+
+  const firstStart = requests[0]?.startTime || Date.now();
+  const name = options.name || `har-${new Date(firstStart).toISOString().replaceAll(/[:.]/g, '-')}`;
+
+  const page = requests.find(r => r.type === 'document') || requests[0];
+  const manifest = {
+    format: 'har',
+    name,
+    capturedAt: new Date(firstStart).toISOString(),
+    url: page?.url || null,
+    creator,
+    pages: pages.map(p => ({ id: p.id, title: p.title, startedDateTime: p.startedDateTime })),
+    counts: {
+      requests: requests.length,
+      failedRequests: requests.filter(r => !r.status || r.status >= 400).length
+    }
+  };
+
+  return writeSessionDir(dataDir, name, options.overwrite, (sessionDir) => {
+    fs.writeFileSync(path.join(sessionDir, 'network-log.json'), JSON.stringify({ requests }, null, 2));
+    createSessionMeta(sessionDir, {
+      name,
+      source: 'har',
+      url: manifest.url,
+      createdAt: manifest.capturedAt
+    });
+    fs.writeFileSync(path.join(sessionDir, 'import.json'), JSON.stringify({
+      importedAt: new Date().toISOString(),
+      format: 'har',
+      creator,
+      pages: manifest.pages,
+      url: manifest.url
+    }, null, 2));
+
+    return { name, manifest, files: ['network-log.json', SESSION_META_FILE] };
+  });
+}
@@ -0,0 +1,171 @@
+// Session Metadata - session.json manifest of a capture session
+// Records where a session came from (URL, triggering action, parent session, source)
+// and what people have said about it (tags, note). Sessions captured before session.json
+// existed get the same shape derived from their dom-snapshot.json.
+
+import fs from 'fs';
+import path from 'path';
+
+export const SESSION_META_FILE = 'session.json';
+
+// Fields PATCH /session/:name may change
+const EDITABLE_FIELDS = ['tags', 'addTags', 'removeTags', 'note', 'parent', 'action'];
+// Longest note kept in session.json
+export const MAX_NOTE_LENGTH = 10000;
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID';
+  return error;
+}
+
+/**
+ * Clean up a tag list: trimmed, non-empty, unique, in the given order
+ * @throws {Error} With `code` 'INVALID' if tags isn't an array of strings
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) {
+    throw validationError('tags must be an array of strings');
+  }
+  return [...new Set(tags.map(t => t.trim()).filter(Boolean))];
+}
+
+/**
+ * Check the free-form fields of session.json; undefined means "not given"
+ * @param {Object} fields - { note, action }
+ * @throws {Error} With `code` 'INVALID' for a non-string or oversized note, or a bad action
+ */
+export function validateMetaFields({ note, action } = {}) {
+  if (note !== undefined && typeof note !== 'string') {
+    throw validationError('note must be a string');
+  }
+  if (typeof note === 'string' && note.length > MAX_NOTE_LENGTH) {
+    throw validationError(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  if (action !== undefined && action !== null && typeof action !== 'string' && typeof action !== 'object') {
+    throw validationError('action must be a string, an object or null');
+  }
+}
+
+/**
+ * Write session.json for a new session
+ * @param {string} dir - Session folder
+ * @param {Object} meta - { name, source, url, action, parent, tags, note, clientId, clientName }
+ * @returns {Object} The manifest written
+ */
+export function createSessionMeta(dir, meta) {
+  const now = new Date().toISOString();
+  const manifest = {
+    name: meta.name || path.basename(dir),
+    createdAt: meta.createdAt || now,
+    updatedAt: now,
+    source: meta.source || 'capture',
+    url: meta.url || null,
+    action: meta.action || null,
+    parent: meta.parent || null,
+    tags: normalizeTags(meta.tags || []),
+    note: meta.note || '',
+    clientId: meta.clientId || null,
+    clientName: meta.clientName || null
+  };
+  fs.writeFileSync(path.join(dir, SESSION_META_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/**
+ * Read a session's manifest, or derive one from its snapshot if it has none
+ * @param {string} dir - Session folder
+ * @returns {Object} Manifest
+ */
+export function readSessionMeta(dir) {
+  const meta = readJson(path.join(dir, SESSION_META_FILE));
+  if (meta) {
+    return { ...meta, name: path.basename(dir), tags: meta.tags || [], note: meta.note || '' };
+  }
+
+  const dom = readJson(path.join(dir, 'dom-snapshot.json'));
+  const createdAt = dom?.timestamp ? new Date(dom.timestamp) : fs.statSync(dir).mtime;
+  return {
+    name: path.basename(dir),
+    createdAt: createdAt.toISOString(),
+    updatedAt: null,
+    source: readJson(path.join(dir, 'import.json')) ? 'import' : 'capture',
+    url: dom?.url || null,
+    action: null,
+    parent: null,
+    tags: [],
+    note: '',
+    clientId: dom?.clientId || null,
+    clientName: dom?.clientName || null
+  };
+}
+
+/**
+ * Apply an edit to a session's manifest
+ * @param {string} dir - Session folder
+ * @param {Object} changes - { tags, addTags, removeTags, note, parent, action }
+ * @param {Function} sessionExists - (name) → boolean, used to check parent
+ * @returns {Object} Updated manifest
+ * @throws {Error} With `code` 'INVALID' for unknown fields or bad values
+ */
+export function updateSessionMeta(dir, changes, sessionExists = () => true) {
+  const unknown = Object.keys(changes).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw validationError(`Cannot change ${unknown.join(', ')} (editable: ${EDITABLE_FIELDS.join(', ')})`);
+  }
+
+  const meta = readSessionMeta(dir);
+  let tags = changes.tags !== undefined ? normalizeTags(changes.tags) : meta.tags;
+  if (changes.addTags !== undefined) {
+    tags = normalizeTags([...tags, ...normalizeTags(changes.addTags)]);
+  }
+  if (changes.removeTags !== undefined) {
+    const removed = new Set(normalizeTags(changes.removeTags));
+    tags = tags.filter(t => !removed.has(t));
+  }
+
+  validateMetaFields(changes);
+  if (changes.parent !== undefined && changes.parent !== null) {
+    if (changes.parent === meta.name) {
+      throw validationError('A session cannot be its own parent');
+    }
+    if (!sessionExists(changes.parent)) {
+      throw validationError(`Parent session not found: ${changes.parent}`);
+    }
+    // Parents are sibling folders; walk up from the new parent so the tree stays acyclic
+    const seen = new Set();
+    for (let ancestor = changes.parent; ancestor && !seen.has(ancestor); ) {
+      if (ancestor === meta.name) {
+        throw validationError(`Setting parent ${changes.parent} would create a cycle`);
+      }
+      seen.add(ancestor);
+      ancestor = sessionExists(ancestor) ? readSessionMeta(path.join(path.dirname(dir), ancestor)).parent : null;
+    }
+  }
+
+  const updated = {
+    ...meta,
+    tags,
+    ...(changes.note !== undefined ? { note: changes.note } : {}),
+    ...(changes.parent !== undefined ? { parent: changes.parent } : {}),
+    ...(changes.action !== undefined ? { action: changes.action } : {}),
+    updatedAt: new Date().toISOString()
+  };
+  fs.writeFileSync(path.join(dir, SESSION_META_FILE), JSON.stringify(updated, null, 2));
+  return updated;
+}
+
+/**
+ * Whether a manifest carries every one of the given tags
+ */
+export function hasTags(meta, tags) {
+  return tags.every(tag => meta.tags.includes(tag));
+}
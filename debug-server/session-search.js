@@ -0,0 +1,105 @@
+// Session Search - Full-text search over captured sessions
+// Looks through the visible text of each DOM snapshot, console messages and failed
+// action errors, and returns one hit per matching line or entry with a short snippet.
+
+import { extractVisibleText } from '../shared/diff-utils.js';
+
+export const SEARCH_SOURCES = ['dom', 'console', 'events'];
+
+const SNIPPET_CONTEXT = 60;
+const MAX_PATTERN_LENGTH = 500;
+
+// Visible text per session, reused while the DOM snapshot stays the same
+const textCache = new Map();
+
+/**
+ * Build a matcher for a plain-text or regex query
+ * @param {string} query - Search text or regular expression source
+ * @param {Object} options - { regex: boolean, caseSensitive: boolean }
+ * @returns {RegExp}
+ * @throws {Error} With `code` 'INVALID' for an empty query or a bad regex
+ */
+export function createMatcher(query, options = {}) {
+  const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID' });
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw invalid('Query is required (?q=)');
+  }
+  if (query.length > MAX_PATTERN_LENGTH) {
+    throw invalid(`Query is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try {
+    return new RegExp(source, options.caseSensitive ? '' : 'i');
+  } catch (error) {
+    throw invalid(error.message);
+  }
+}
+
+// The text around a match, with ellipses where it was cut
+function snippet(text, match) {
+  const start = Math.max(0, match.index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, match.index + match[0].length + SNIPPET_CONTEXT);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+function visibleLines(session) {
+  const dom = session.dom_snapshot;
+  if (!dom?.html) return [];
+  const key = `${dom.timestamp}:${dom.html.length}`;
+  const cached = textCache.get(session.name);
+  if (cached?.key === key) return cached.lines;
+
+  const lines = extractVisibleText(dom.html);
+  textCache.set(session.name, { key, lines });
+  return lines;
+}
+
+/**
+ * Search one session
+ * @param {Object} session - Session data as returned by readSession
+ * @param {RegExp} matcher - From createMatcher
+ * @param {string[]} sources - Any of SEARCH_SOURCES
+ * @returns {Array<Object>} Hits: { session, source, snippet, ... }
+ */
+export function searchSession(session, matcher, sources = SEARCH_SOURCES) {
+  const hits = [];
+
+  if (sources.includes('dom')) {
+    visibleLines(session).forEach((line, index) => {
+      const match = matcher.exec(line);
+      if (match) {
+        hits.push({ session: session.name, source: 'dom', line: index + 1, url: session.dom_snapshot.url, snippet: snippet(line, match) });
+      }
+    });
+  }
+
+  if (sources.includes('console')) {
+    for (const entry of session.console_logs?.logs || []) {
+      const message = entry.args?.join(' ') || entry.message || '';
+      const match = matcher.exec(message);
+      if (match) {
+        hits.push({ session: session.name, source: 'console', method: entry.method, timestamp: entry.timestamp, url: entry.url, snippet: snippet(message, match) });
+      }
+    }
+  }
+
+  if (sources.includes('events')) {
+    for (const event of session.events?.events || []) {
+      if (!event.error) continue;
+      const match = matcher.exec(event.error);
+      if (match) {
+        hits.push({ session: session.name, source: 'events', action: event.action, selector: event.selector, timestamp: event.timestamp, url: event.url, snippet: snippet(event.error, match) });
+      }
+    }
+  }
+
+  return hits;
+}
+
+/**
+ * Forget cached text of a session that was deleted or replaced
+ */
+export function forgetSession(name) {
+  textCache.delete(name);
+}
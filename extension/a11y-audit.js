@@ -0,0 +1,348 @@
+// Browser Dev Bridge - Accessibility Audit
+// A small local rule set that runs against the live page (extension or Playwright) and, through
+// JSDOM, against a session's DOM snapshot (shared/diff-utils.js). Defines
+// window.__aiTestBridgeAuditAccessibility(), which returns { url, title, timestamp, findings,
+// contrast }; each finding is { rule, severity, message, selector, html }.
+
+(function() {
+  if (window.__aiTestBridgeAuditAccessibility) return;
+
+  const MAX_CONTRAST_CHECKS = 2000; // Text elements checked for contrast on large pages
+  const MAX_HTML_LENGTH = 200;
+
+  // Severity per rule (duplicate-id is raised to serious when the id is referenced)
+  const RULES = {
+    "image-alt": "critical",
+    "label": "critical",
+    "button-name": "critical",
+    "link-name": "serious",
+    "html-has-lang": "serious",
+    "color-contrast": "serious",
+    "heading-order": "moderate",
+    "duplicate-id": "minor"
+  };
+
+  // Per-audit caches: computed styles, how often each id occurs, label[for] text by id
+  // (element.labels searches the whole document in JSDOM) and sibling positions
+  const styles = new Map();
+  const idCounts = new Map();
+  const labelsFor = new Map();
+  const positions = new Map();
+  function style(element) {
+    if (!styles.has(element)) styles.set(element, window.getComputedStyle(element));
+    return styles.get(element);
+  }
+
+  function isHidden(element) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      if (node.hidden || node.getAttribute("aria-hidden") === "true") return true;
+      const computed = style(node);
+      if (computed.display === "none") return true;
+    }
+    const visibility = style(element).visibility;
+    return visibility === "hidden" || visibility === "collapse";
+  }
+
+  function cssEscape(value) {
+    if (window.CSS && window.CSS.escape) return window.CSS.escape(value);
+    return value.replace(/^(\d)/, "\\3$1 ").replace(/[^\w-]/g, c => `\\${c}`);
+  }
+
+  function isUniqueId(id) {
+    return idCounts.get(id) === 1;
+  }
+
+  // [nth-of-type index, siblings with the same tag], worked out once per parent; sibling links
+  // rather than parent.children, which is slow in JSDOM
+  function positionOf(element) {
+    const parent = element.parentNode;
+    if (!positions.has(parent)) {
+      const counts = new Map();
+      const indexes = new Map();
+      for (let child = parent.firstElementChild; child; child = child.nextElementSibling) {
+        counts.set(child.localName, (counts.get(child.localName) || 0) + 1);
+        indexes.set(child, counts.get(child.localName));
+      }
+      positions.set(parent, { counts, indexes });
+    }
+    const { counts, indexes } = positions.get(parent);
+    return [indexes.get(element), counts.get(element.localName)];
+  }
+
+  // Short CSS path: the nearest unique id, then tag:nth-of-type steps
+  function selectorFor(element) {
+    const parts = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      if (node.id && isUniqueId(node.id)) {
+        parts.unshift(`#${cssEscape(node.id)}`);
+        break;
+      }
+      const tag = node.localName;
+      if (tag === "html") {
+        parts.unshift(tag);
+        break;
+      }
+      const [index, count] = positionOf(node);
+      parts.unshift(count > 1 ? `${tag}:nth-of-type(${index})` : tag);
+    }
+    return parts.join(" > ");
+  }
+
+  function snippet(element) {
+    const html = element.outerHTML;
+    // The whole document says nothing about <html>; its start tag does
+    if (element === document.documentElement) return html.slice(0, html.indexOf(">") + 1);
+    return html.length > MAX_HTML_LENGTH ? `${html.slice(0, MAX_HTML_LENGTH)}…` : html;
+  }
+
+  function clean(text) {
+    return (text || "").replace(/\s+/g, " ").trim();
+  }
+
+  // Text a subtree contributes to a name: visible text, image alt and aria-label of children
+  function subtreeText(element) {
+    let text = "";
+    for (let node = element.firstChild; node; node = node.nextSibling) {
+      if (node.nodeType === 3) {
+        text += node.textContent;
+      } else if (node.nodeType === 1 && node.getAttribute("aria-hidden") !== "true" && !node.hidden) {
+        const label = node.getAttribute("aria-label") || (node.localName === "img" ? node.getAttribute("alt") : null);
+        text += ` ${label != null ? label : subtreeText(node)} `;
+      }
+    }
+    return clean(text);
+  }
+
+  function labelledByText(element) {
+    const ids = clean(element.getAttribute("aria-labelledby")).split(" ").filter(Boolean);
+    return clean(ids.map(id => {
+      const target = document.getElementById(id);
+      return target ? subtreeText(target) : "";
+    }).join(" "));
+  }
+
+  // Simplified accessible name: aria-labelledby, aria-label, native labels, content, title
+  function accessibleName(element) {
+    const name = labelledByText(element) || clean(element.getAttribute("aria-label"));
+    if (name) return name;
+
+    const tag = element.localName;
+    const type = (element.getAttribute("type") || "").toLowerCase();
+    if (["input", "select", "textarea"].includes(tag)) {
+      if (tag === "input" && type === "image") return clean(element.getAttribute("alt")) || clean(element.getAttribute("title"));
+      if (tag === "input" && ["submit", "reset", "button"].includes(type)) {
+        return clean(element.getAttribute("value")) || (type === "button" ? "" : type) || clean(element.getAttribute("title"));
+      }
+      const wrapping = element.closest("label");
+      const labels = `${element.id ? labelsFor.get(element.id) || "" : ""} ${wrapping ? subtreeText(wrapping) : ""}`;
+      return clean(labels) || clean(element.getAttribute("title")) || clean(element.getAttribute("placeholder"));
+    }
+    if (tag === "img" || tag === "area") {
+      return clean(element.getAttribute("alt")) || clean(element.getAttribute("title"));
+    }
+    return subtreeText(element) || clean(element.getAttribute("title"));
+  }
+
+  // ===== Colour contrast =====
+
+  function parseColor(value) {
+    const match = /^rgba?\(([^)]+)\)$/.exec(value || "");
+    if (!match) return null;
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(Number.parseFloat);
+    if (parts.length < 3 || parts.slice(0, 3).some(Number.isNaN)) return null;
+    return { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 && !Number.isNaN(parts[3]) ? parts[3] : 1 };
+  }
+
+  function blend(top, bottom) {
+    const a = top.a + bottom.a * (1 - top.a);
+    if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+    const mix = (t, b) => (t * top.a + b * bottom.a * (1 - top.a)) / a;
+    return { r: mix(top.r, bottom.r), g: mix(top.g, bottom.g), b: mix(top.b, bottom.b), a };
+  }
+
+  // Background colour behind an element, or null when an image or unknown colour is in the way
+  function backgroundOf(element) {
+    const layers = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      const computed = style(node);
+      if (computed.backgroundImage && computed.backgroundImage !== "none") return null;
+      const color = parseColor(computed.backgroundColor);
+      if (!color) {
+        if (computed.backgroundColor && computed.backgroundColor !== "transparent") return null;
+        continue;
+      }
+      if (color.a > 0) layers.push(color);
+      if (color.a >= 1) break;
+    }
+    // The canvas behind the page is white
+    return layers.reduceRight((below, layer) => blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+  }
+
+  function luminance({ r, g, b }) {
+    const channel = (value) => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  }
+
+  function contrastRatio(foreground, background) {
+    const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+    return (light + 0.05) / (dark + 0.05);
+  }
+
+  function isLargeText(computed) {
+    const size = Number.parseFloat(computed.fontSize) || 16;
+    const weight = computed.fontWeight === "bold" ? 700 : Number.parseInt(computed.fontWeight) || 400;
+    return size >= 24 || (size >= 18.66 && weight >= 700);
+  }
+
+  // Elements with their own visible text, checked against WCAG AA (4.5:1, 3:1 for large text)
+  function checkContrast(report) {
+    const result = { checked: 0, skipped: 0, truncated: false };
+    const walker = document.createTreeWalker(document.body || document.documentElement, 4 /* NodeFilter.SHOW_TEXT */);
+    const seen = new Set();
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const element = node.parentElement;
+      if (!element || seen.has(element) || !node.textContent.trim()) continue;
+      if (["script", "style", "noscript", "template", "option"].includes(element.localName)) continue;
+      seen.add(element);
+      if (isHidden(element)) continue;
+      if (result.checked + result.skipped >= MAX_CONTRAST_CHECKS) {
+        result.truncated = true;
+        break;
+      }
+
+      const computed = style(element);
+      const color = parseColor(computed.color);
+      const background = color && backgroundOf(element);
+      if (!color || !background) {
+        result.skipped++;
+        continue;
+      }
+      result.checked++;
+      const ratio = contrastRatio(blend(color, background), background);
+      const required = isLargeText(computed) ? 3 : 4.5;
+      if (ratio < required) {
+        report(element, "color-contrast", `Text contrast is ${ratio.toFixed(2)}:1, below the required ${required}:1`);
+      }
+    }
+    return result;
+  }
+
+  // ===== Rules =====
+
+  function audit() {
+    const byId = new Map();
+    for (const element of document.querySelectorAll("[id]")) {
+      if (!element.id) continue;
+      if (!byId.has(element.id)) byId.set(element.id, []);
+      byId.get(element.id).push(element);
+      idCounts.set(element.id, byId.get(element.id).length);
+    }
+
+    for (const label of document.querySelectorAll("label[for]")) {
+      const id = label.getAttribute("for");
+      labelsFor.set(id, `${labelsFor.get(id) || ""} ${subtreeText(label)}`);
+    }
+
+    const findings = [];
+    const report = (element, rule, message, severity = RULES[rule]) => {
+      findings.push({ rule, severity, message, selector: selectorFor(element), html: snippet(element) });
+    };
+
+    // html-has-lang
+    const root = document.documentElement;
+    if (!clean(root.getAttribute("lang"))) {
+      report(root, "html-has-lang", "The <html> element has no lang attribute");
+    }
+
+    // image-alt
+    for (const element of document.querySelectorAll("img, input[type=image], area[href], [role=img]")) {
+      const role = element.getAttribute("role");
+      if (role === "presentation" || role === "none" || isHidden(element)) continue;
+      if (element.localName === "img" && element.hasAttribute("alt") && role !== "img") continue;
+      if (!accessibleName(element)) {
+        report(element, "image-alt", element.localName === "img"
+          ? "Image has no alt text (use alt=\"\" for decorative images)"
+          : "Image has no text alternative");
+      }
+    }
+
+    // label
+    const controls = document.querySelectorAll("input:not([type=hidden]):not([type=submit]):not([type=reset]):not([type=button]):not([type=image]), select, textarea");
+    for (const element of controls) {
+      if (isHidden(element)) continue;
+      if (!accessibleName(element)) {
+        report(element, "label", `Form control <${element.localName}${element.getAttribute("type") ? ` type="${element.getAttribute("type")}"` : ""}> has no label`);
+      }
+    }
+
+    // button-name
+    for (const element of document.querySelectorAll("button, [role=button], input[type=submit], input[type=reset], input[type=button]")) {
+      if (isHidden(element)) continue;
+      if (!accessibleName(element)) {
+        report(element, "button-name", "Button has no text or accessible name");
+      }
+    }
+
+    // link-name
+    for (const element of document.querySelectorAll("a[href], [role=link]")) {
+      if (isHidden(element)) continue;
+      if (!accessibleName(element)) {
+        report(element, "link-name", "Link has no text or accessible name");
+      }
+    }
+
+    // duplicate-id: serious when labels or ARIA attributes point at the id
+    const referenced = new Set();
+    for (const element of document.querySelectorAll("label[for], [aria-labelledby], [aria-describedby], [aria-controls], [aria-owns]")) {
+      for (const attribute of ["for", "aria-labelledby", "aria-describedby", "aria-controls", "aria-owns"]) {
+        clean(element.getAttribute(attribute)).split(" ").filter(Boolean).forEach(id => referenced.add(id));
+      }
+    }
+    for (const [id, elements] of byId) {
+      if (elements.length < 2) continue;
+      for (const element of elements.slice(1)) {
+        report(element, "duplicate-id",
+          `id "${id}" is used ${elements.length} times${referenced.has(id) ? " and referenced by a label or ARIA attribute" : ""}`,
+          referenced.has(id) ? "serious" : RULES["duplicate-id"]);
+      }
+    }
+
+    // heading-order: levels should only go down one step at a time
+    let previous = null;
+    for (const element of document.querySelectorAll("h1, h2, h3, h4, h5, h6, [role=heading]")) {
+      if (isHidden(element)) continue;
+      const level = element.getAttribute("role") === "heading"
+        ? Number.parseInt(element.getAttribute("aria-level")) || 2
+        : Number.parseInt(element.localName.slice(1));
+      if (previous !== null && level > previous + 1) {
+        report(element, "heading-order", `Heading level jumps from h${previous} to h${level}`);
+      }
+      previous = level;
+    }
+
+    const contrast = checkContrast(report);
+
+    const rank = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+    findings.sort((a, b) => rank[a.severity] - rank[b.severity] || a.rule.localeCompare(b.rule));
+
+    return {
+      url: location.href,
+      title: document.title,
+      timestamp: Date.now(),
+      rules: Object.keys(RULES),
+      findings,
+      contrast
+    };
+  }
+
+  window.__aiTestBridgeAuditAccessibility = function() {
+    try {
+      return audit();
+    } finally {
+      for (const cache of [styles, idCounts, labelsFor, positions]) cache.clear();
+    }
+  };
+})();
@@ -12,6 +12,172 @@ const HEARTBEAT_INTERVAL = 15000; // Send heartbeat every 15 seconds
 const RECONNECT_DELAY = 3000;     // Reconnect after 3 seconds
 const KEEPALIVE_INTERVAL = 20000; // Keep service worker alive every 20 seconds
 
+// Commands this client understands, reported to the server on connect
+const CAPABILITIES = [
+  "execute", "run_js", "navigate", "get_tab_info", "pin_tab", "unpin_tab",
+  "list_tabs", "open_tab", "close_tab", "activate_tab",
+  "request_dom", "capture_screenshot", "capture_all", "reload_extension", "network_capture",
+  "get_performance", "get_storage", "set_storage", "delete_storage", "clear_storage", "audit_a11y"
+];
+
+// Tab pinned as the command target for this session (survives focus changes)
+let pinnedTabId = null;
+
+// Restore the pinned tab after a service worker restart
+chrome.storage.session.get("pinnedTabId").then((stored) => {
+  if (stored.pinnedTabId != null && pinnedTabId === null) {
+    pinnedTabId = stored.pinnedTabId;
+  }
+});
+
+async function setPinnedTab(tabId) {
+  pinnedTabId = tabId;
+  if (tabId === null) {
+    await chrome.storage.session.remove("pinnedTabId");
+  } else {
+    await chrome.storage.session.set({ pinnedTabId: tabId });
+  }
+}
+
+// Resolve the tab a command should run in:
+// explicit tabId > active tab of windowId > pinned tab > active tab of the current window
+async function resolveTargetTab(msg = {}) {
+  if (msg.tabId != null) {
+    return chrome.tabs.get(msg.tabId);
+  }
+  if (msg.windowId != null) {
+    const [tab] = await chrome.tabs.query({ active: true, windowId: msg.windowId });
+    return tab;
+  }
+  if (pinnedTabId !== null) {
+    try {
+      return await chrome.tabs.get(pinnedTabId);
+    } catch (e) {
+      // Pinned tab is gone - fall back to the active tab
+      await setPinnedTab(null);
+    }
+  }
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab;
+}
+
+// Serializable description of a tab for the server
+function describeTab(tab) {
+  return {
+    id: tab.id,
+    windowId: tab.windowId,
+    index: tab.index,
+    url: tab.url,
+    title: tab.title,
+    status: tab.status,
+    active: tab.active,
+    audible: !!tab.audible,
+    muted: !!tab.mutedInfo?.muted,
+    discarded: !!tab.discarded,
+    pinned: tab.pinned,
+    incognito: tab.incognito,
+    openerTabId: tab.openerTabId,
+    targetPinned: tab.id === pinnedTabId
+  };
+}
+
+// Resolve once a tab finishes loading (or reject after timeout)
+function waitForTabComplete(tabId, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error(`Timeout waiting for tab ${tabId} to load`));
+    }, timeout);
+    function listener(updatedId, info, tab) {
+      if (updatedId === tabId && info.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve(tab);
+      }
+    }
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// ===== Tab & Window Management =====
+
+async function listTabs(msg) {
+  const windows = await chrome.windows.getAll({ populate: true });
+  const filtered = msg.windowId != null ? windows.filter(w => w.id === msg.windowId) : windows;
+  return {
+    windows: filtered.map(w => ({
+      id: w.id,
+      focused: w.focused,
+      state: w.state,
+      type: w.type,
+      incognito: w.incognito,
+      tabCount: w.tabs?.length || 0
+    })),
+    tabs: filtered.flatMap(w => (w.tabs || []).map(describeTab))
+  };
+}
+
+async function openTab(msg) {
+  let tab;
+  if (msg.newWindow) {
+    const win = await chrome.windows.create({ url: msg.url, focused: msg.active !== false });
+    tab = win.tabs[0];
+  } else {
+    tab = await chrome.tabs.create({
+      url: msg.url,
+      windowId: msg.windowId,
+      active: msg.active !== false
+    });
+  }
+  if (msg.waitForLoad && tab.status !== 'complete') {
+    tab = await waitForTabComplete(tab.id, msg.timeout);
+  }
+  return { tab: describeTab(tab) };
+}
+
+async function closeTab(msg) {
+  await chrome.tabs.remove(msg.tabId);
+  return { closed: true, tabId: msg.tabId };
+}
+
+async function activateTab(msg) {
+  const tab = await chrome.tabs.update(msg.tabId, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+  return { tab: describeTab(tab) };
+}
+
+const TAB_COMMANDS = {
+  list_tabs: listTabs,
+  open_tab: openTab,
+  close_tab: closeTab,
+  activate_tab: activateTab
+};
+
+// captureVisibleTab only sees the active tab of a window, so bring the target to front first
+async function captureTab(tab) {
+  if (!tab.active) {
+    await chrome.tabs.update(tab.id, { active: true });
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return chrome.tabs.captureVisibleTab(tab.windowId, { format: "png" });
+}
+
+// Get (or create) the persistent identity used by the server to route commands to this browser
+async function getClientIdentity() {
+  const stored = await chrome.storage.local.get(["clientId", "clientName"]);
+  let clientId = stored.clientId;
+  if (!clientId) {
+    clientId = crypto.randomUUID();
+    await chrome.storage.local.set({ clientId });
+  }
+  return {
+    clientId,
+    name: stored.clientName || `Chrome ${clientId.slice(0, 8)}`,
+    capabilities: CAPABILITIES,
+    userAgent: navigator.userAgent
+  };
+}
+
 // Update icon badge to show connection status
 function updateConnectionBadge(connected) {
   if (connected) {
@@ -81,7 +247,7 @@ function scheduleReconnect() {
 }
 
 // Connect to the AI test server
-function connect() {
+async function connect() {
   // Clear any pending reconnect
   if (reconnectTimeout) {
     clearTimeout(reconnectTimeout);
@@ -99,26 +265,36 @@ function connect() {
 
   console.log("[AI Bridge] Connecting to AI server...");
   
+  // The server rejects connections without the token shown in its console
+  const { authToken } = await chrome.storage.local.get("authToken");
+  const url = authToken
+    ? `ws://localhost:8123/?token=${encodeURIComponent(authToken)}`
+    : "ws://localhost:8123";
+  
   try {
-    ws = new WebSocket("ws://localhost:8123");
+    ws = new WebSocket(url);
   } catch (e) {
     console.error("[AI Bridge] Failed to create WebSocket:", e);
     scheduleReconnect();
     return;
   }
 
-  ws.onopen = () => {
+  ws.onopen = async () => {
     isConnected = true;
     updateConnectionBadge(true);
     console.log("[AI Bridge] Connected to AI server");
-    ws.send(JSON.stringify({ type: "extension_ready", timestamp: Date.now() }));
+    const identity = await getClientIdentity();
+    ws.send(JSON.stringify({ type: "extension_ready", ...identity, timestamp: Date.now() }));
     
     // Start heartbeat to keep connection alive
     startHeartbeat();
     startKeepAlive();
   };
 
+  const socket = ws;
   ws.onclose = (event) => {
+    // A socket replaced by a newer connect() (e.g. after pairing) must not schedule a reconnect
+    if (ws !== socket) return;
     isConnected = false;
     updateConnectionBadge(false);
     stopHeartbeat();
@@ -155,7 +331,7 @@ function connect() {
       const commandId = msg.commandId;
       console.log("[AI Bridge] Navigating to:", url);
       try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const tab = await resolveTargetTab(msg);
         if (tab) {
           await chrome.tabs.update(tab.id, { url });
           // Wait for page to load
@@ -166,7 +342,7 @@ function connect() {
                 type: "command_result",
                 commandId,
                 success: true,
-                result: { url, action: "navigate" }
+                result: { url, action: "navigate", tabId: tab.id }
               }));
             }
           });
@@ -185,12 +361,35 @@ function connect() {
     if (msg.type === "get_tab_info") {
       const commandId = msg.commandId;
       try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const tab = await resolveTargetTab(msg);
+        ws.send(JSON.stringify({
+          type: "command_result",
+          commandId,
+          success: true,
+          result: tab ? describeTab(tab) : {}
+        }));
+      } catch (error) {
+        ws.send(JSON.stringify({
+          type: "command_result",
+          commandId,
+          success: false,
+          error: error.message
+        }));
+      }
+    }
+
+    // Read the target tab's performance metrics
+    if (msg.type === "get_performance") {
+      const commandId = msg.commandId;
+      try {
+        const tab = await resolveTargetTab(msg);
+        const metrics = tab ? await collectPerformance(tab) : null;
+        if (!metrics) throw new Error("Performance metrics not available for this tab");
         ws.send(JSON.stringify({
           type: "command_result",
           commandId,
           success: true,
-          result: { url: tab?.url, title: tab?.title, id: tab?.id }
+          result: metrics
         }));
       } catch (error) {
         ws.send(JSON.stringify({
@@ -202,9 +401,74 @@ function connect() {
       }
     }
 
+    // Run the accessibility rules against the target tab
+    if (msg.type === "audit_a11y") {
+      const commandId = msg.commandId;
+      try {
+        const tab = await resolveTargetTab(msg);
+        if (!tab) throw new Error("No tab found to audit");
+        const audit = await auditAccessibility(tab);
+        ws.send(JSON.stringify({
+          type: "command_result",
+          commandId,
+          success: true,
+          result: audit
+        }));
+      } catch (error) {
+        ws.send(JSON.stringify({
+          type: "command_result",
+          commandId,
+          success: false,
+          error: error.message
+        }));
+      }
+    }
+
+    // Pin a tab as the target for subsequent commands
+    if (msg.type === "pin_tab" || msg.type === "unpin_tab") {
+      const commandId = msg.commandId;
+      try {
+        let result = { pinned: false, tabId: null };
+        if (msg.type === "pin_tab") {
+          const tab = await resolveTargetTab(msg);
+          if (!tab) throw new Error("No tab found to pin");
+          await setPinnedTab(tab.id);
+          result = { pinned: true, tabId: tab.id, windowId: tab.windowId, url: tab.url, title: tab.title };
+        } else {
+          await setPinnedTab(null);
+        }
+        ws.send(JSON.stringify({ type: "command_result", commandId, success: true, result }));
+      } catch (error) {
+        ws.send(JSON.stringify({
+          type: "command_result",
+          commandId,
+          success: false,
+          error: error.message
+        }));
+      }
+    }
+
+    // Tab, window and storage management
+    const handler = TAB_COMMANDS[msg.type] || STORAGE_COMMANDS[msg.type];
+    if (handler) {
+      const commandId = msg.commandId;
+      try {
+        const result = await handler(msg);
+        ws.send(JSON.stringify({ type: "command_result", commandId, success: true, result }));
+      } catch (error) {
+        ws.send(JSON.stringify({
+          type: "command_result",
+          commandId,
+          success: false,
+          error: error.message
+        }));
+      }
+      return;
+    }
+
     // Execute JavaScript directly using chrome.scripting API (bypasses CSP)
     if (msg.type === "execute" && msg.action === "run_js") {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const tab = await resolveTargetTab(msg).catch(() => null);
       if (tab && tab.id) {
         // Check if it's a restricted URL
         if (tab.url && (tab.url.startsWith('chrome://') || tab.url.startsWith('edge://') || 
@@ -416,7 +680,7 @@ function connect() {
             action: "run_js",
             commandId: msg.commandId,
             success: false,
-            error: "No active tab found"
+            error: msg.tabId != null ? `Tab not found: ${msg.tabId}` : "No active tab found"
           },
           timestamp: Date.now()
         }));
@@ -426,7 +690,7 @@ function connect() {
 
     // Execute command in content script (for non-JS actions like click, input, etc.)
     if (msg.type === "execute") {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const tab = await resolveTargetTab(msg).catch(() => null);
       if (tab && tab.id) {
         // Check if it's a restricted URL
         if (tab.url && (tab.url.startsWith('chrome://') || tab.url.startsWith('edge://') || 
@@ -518,7 +782,7 @@ function connect() {
             action: msg.action,
             commandId: msg.commandId,
             success: false,
-            error: "No active tab found"
+            error: msg.tabId != null ? `Tab not found: ${msg.tabId}` : "No active tab found"
           },
           timestamp: Date.now()
         }));
@@ -527,38 +791,119 @@ function connect() {
 
     // Capture screenshot
     if (msg.type === "capture_screenshot") {
-      captureScreenshot();
+      captureScreenshot(msg);
     }
 
     // Request DOM snapshot
     if (msg.type === "request_dom") {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const tab = await resolveTargetTab(msg).catch(() => null);
       if (tab) {
         chrome.tabs.sendMessage(tab.id, { type: "get_dom" });
       }
     }
+
+    // Server-initiated capture (POST /capture) - the server already created the session folder
+    if (msg.type === "request_dom_all") {
+      const tab = await resolveTargetTab(msg).catch(() => null);
+      if (tab) {
+        captureDomAll(tab, Date.now());
+      }
+    }
+
+    if (msg.type === "capture_screenshot_all") {
+      const tab = await resolveTargetTab(msg).catch(() => null);
+      if (tab) {
+        captureScreenshotAll(tab, Date.now());
+      }
+    }
   };
 }
 
-// Capture visible tab screenshot
-function captureScreenshot() {
-  chrome.tabs.captureVisibleTab(null, { format: "png" }, (dataUrl) => {
-    if (chrome.runtime.lastError) {
-      console.error("[AI Bridge] Screenshot error:", chrome.runtime.lastError);
-      return;
-    }
+// Capture screenshot of the target tab
+async function captureScreenshot(target = {}) {
+  try {
+    const tab = await resolveTargetTab(target);
+    if (!tab) return;
+    const dataUrl = await captureTab(tab);
     if (ws && ws.readyState === WebSocket.OPEN) {
       ws.send(JSON.stringify({ 
         type: "screenshot", 
         dataUrl,
+        tabId: tab.id,
         timestamp: Date.now()
       }));
     }
-  });
+  } catch (err) {
+    console.error("[AI Bridge] Screenshot error:", err);
+  }
+}
+
+// Send the DOM of a tab as part of a capture-all session
+async function captureDomAll(tab, timestamp) {
+  // Metrics and storage go first, so they are in the session folder before the DOM completes the capture
+  try {
+    const metrics = await collectPerformance(tab);
+    if (metrics) {
+      ws.send(JSON.stringify({ type: "performance_all", metrics, tabId: tab.id, timestamp }));
+    }
+  } catch (err) {
+    console.log("[AI Bridge] No performance metrics for this capture:", err.message);
+  }
+  if (originOf(tab.url)) {
+    try {
+      const storage = await getStorage({ tabId: tab.id });
+      ws.send(JSON.stringify({ type: "storage_all", storage, tabId: tab.id, timestamp }));
+    } catch (err) {
+      console.log("[AI Bridge] No storage for this capture:", err.message);
+    }
+  }
+
+  try {
+    // Try sending to content script first
+    chrome.tabs.sendMessage(tab.id, { type: "get_dom", captureAll: true, timestamp }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.log("[AI Bridge] Content script not available, injecting script to get DOM");
+        // Fallback: inject script directly to capture DOM
+        chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: () => document.documentElement.outerHTML
+        }).then((results) => {
+          if (results && results[0] && results[0].result) {
+            ws.send(JSON.stringify({
+              type: "dom_snapshot_all",
+              html: results[0].result,
+              url: tab.url,
+              tabId: tab.id,
+              timestamp
+            }));
+          }
+        }).catch(err => {
+          console.error("[AI Bridge] Failed to get DOM:", err);
+        });
+      }
+    });
+  } catch (err) {
+    console.error("[AI Bridge] Error requesting DOM:", err);
+  }
+}
+
+// Send a screenshot of a tab as part of a capture-all session
+async function captureScreenshotAll(tab, timestamp) {
+  try {
+    const dataUrl = await captureTab(tab);
+    ws.send(JSON.stringify({ 
+      type: "screenshot_all", 
+      dataUrl,
+      tabId: tab.id,
+      timestamp
+    }));
+  } catch (err) {
+    console.error("[AI Bridge] Screenshot error:", err);
+  }
 }
 
 // Capture All - DOM + Screenshot + Console logs to timestamped folder
-async function captureAll() {
+async function captureAll(target = {}) {
   if (!ws || ws.readyState !== WebSocket.OPEN) {
     console.error("[AI Bridge] Not connected to server");
     return;
@@ -569,55 +914,443 @@ async function captureAll() {
   // Signal server to start a new capture session
   ws.send(JSON.stringify({ type: "capture_all_start", timestamp }));
 
-  // Get active tab
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  
-  // Request DOM from content script
-  if (tab && tab.id) {
-    try {
-      // Try sending to content script first
-      chrome.tabs.sendMessage(tab.id, { type: "get_dom", captureAll: true, timestamp }, (response) => {
-        if (chrome.runtime.lastError) {
-          console.log("[AI Bridge] Content script not available, injecting script to get DOM");
-          // Fallback: inject script directly to capture DOM
-          chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: () => document.documentElement.outerHTML
-          }).then((results) => {
-            if (results && results[0] && results[0].result) {
-              ws.send(JSON.stringify({
-                type: "dom_snapshot_all",
-                html: results[0].result,
-                url: tab.url,
-                timestamp
-              }));
-            }
-          }).catch(err => {
-            console.error("[AI Bridge] Failed to get DOM:", err);
-          });
+  // Get target tab
+  const tab = await resolveTargetTab(target).catch(() => null);
+  if (!tab || !tab.id) {
+    console.error("[AI Bridge] No tab to capture");
+    return;
+  }
+
+  captureDomAll(tab, timestamp);
+  await captureScreenshotAll(tab, timestamp);
+}
+
+// ===== Performance Metrics =====
+// performance-observer.js runs in each page's main world from document_start and keeps
+// LCP, CLS, INP, long task and resource totals. Pages that were open before the extension
+// loaded get it injected on first use, so they miss the long tasks and interactions so far.
+
+async function collectPerformance(tab) {
+  const read = () => chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    world: "MAIN",
+    func: () => window.__aiTestBridgeCollectPerformance ? window.__aiTestBridgeCollectPerformance() : null
+  }).then(results => results?.[0]?.result ?? null);
+
+  let metrics = await read();
+  if (!metrics) {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      world: "MAIN",
+      files: ["performance-observer.js"]
+    });
+    metrics = await read();
+  }
+  return metrics ? { ...metrics, source: "extension", tabId: tab.id } : null;
+}
+
+// ===== Accessibility Audit =====
+// a11y-audit.js is injected into the extension's isolated world, which sees the page's DOM
+// and computed styles without being subject to its CSP.
+
+async function auditAccessibility(tab) {
+  await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    files: ["a11y-audit.js"]
+  });
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: () => window.__aiTestBridgeAuditAccessibility()
+  });
+  const audit = results?.[0]?.result;
+  if (!audit) throw new Error("Accessibility audit not available for this tab");
+  return { ...audit, source: "extension", tabId: tab.id };
+}
+
+// ===== Cookies & Storage =====
+// Cookies go through chrome.cookies, web storage through chrome.scripting in the extension's
+// isolated world, which shares localStorage/sessionStorage with the page but not its CSP.
+// Web storage is per origin and only reachable through an open tab of that origin.
+
+const STORAGE_AREAS = ["cookies", "localStorage", "sessionStorage"];
+const CHROME_SAME_SITE = { Strict: "strict", Lax: "lax", None: "no_restriction" };
+
+function originOf(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === "null" ? null : origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The origin a storage command works on and a tab to reach its web storage through:
+// msg.origin (default: the target tab's), using the target tab if it is on that origin,
+// else any open tab of the origin (tab is null when there is none)
+async function resolveStorageTarget(msg) {
+  const target = await resolveTargetTab(msg).catch(() => null);
+  const origin = msg.origin ? originOf(msg.origin) : originOf(target?.url);
+  if (!origin) {
+    throw new Error(msg.origin ? `Invalid origin: ${msg.origin}` : "The target tab has no origin - pass an origin or open a web page");
+  }
+  if (target && originOf(target.url) === origin) {
+    return { origin, tab: target };
+  }
+  const [tab] = await chrome.tabs.query({ url: `${origin}/*` });
+  return { origin, tab: tab || null };
+}
+
+// Cookies sent to the origin's host, including those of parent domains
+async function originCookies(origin) {
+  const host = new URL(origin).hostname;
+  const cookies = await chrome.cookies.getAll({});
+  return cookies.filter((cookie) => {
+    if (cookie.hostOnly) return cookie.domain === host;
+    const domain = cookie.domain.replace(/^\./, "");
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+// URL chrome.cookies.remove needs to address a cookie
+function cookieUrl(cookie) {
+  return `${cookie.secure ? "https" : "http"}://${cookie.domain.replace(/^\./, "")}${cookie.path}`;
+}
+
+// Run a storage operation on localStorage or sessionStorage in a tab
+async function runWebStorage(tab, area, operation, name, value) {
+  if (!tab) {
+    throw new Error(`${area} needs an open tab on the origin`);
+  }
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: (area, operation, name, value) => {
+      const storage = window[area];
+      switch (operation) {
+        case "get": return Object.fromEntries(Object.keys(storage).map(key => [key, storage.getItem(key)]));
+        case "set": storage.setItem(name, value); return true;
+        case "delete": {
+          const existed = storage.getItem(name) !== null;
+          storage.removeItem(name);
+          return existed;
         }
-      });
+        case "clear": {
+          const count = storage.length;
+          storage.clear();
+          return count;
+        }
+      }
+    },
+    args: [area, operation, name ?? null, value ?? null]
+  });
+  return result?.result;
+}
+
+function storageAreas(msg) {
+  const areas = msg.areas?.length ? msg.areas : STORAGE_AREAS;
+  const unknown = areas.find(area => !STORAGE_AREAS.includes(area));
+  if (unknown) throw new Error(`Unknown storage area: ${unknown}`);
+  return areas;
+}
+
+// Cookies and web storage of an origin; areas that can't be read are listed in errors
+async function getStorage(msg) {
+  const { origin, tab } = await resolveStorageTarget(msg);
+  const snapshot = { url: tab?.url || origin, origin, tabId: tab?.id ?? null, timestamp: Date.now(), source: "extension" };
+  const errors = {};
+  for (const area of storageAreas(msg)) {
+    try {
+      snapshot[area] = area === "cookies"
+        ? await originCookies(origin)
+        : await runWebStorage(tab, area, "get");
     } catch (err) {
-      console.error("[AI Bridge] Error requesting DOM:", err);
+      errors[area] = err.message;
     }
   }
+  if (Object.keys(errors).length > 0) snapshot.errors = errors;
+  return snapshot;
+}
 
-  // Capture screenshot
-  chrome.tabs.captureVisibleTab(null, { format: "png" }, (dataUrl) => {
-    if (chrome.runtime.lastError) {
-      console.error("[AI Bridge] Screenshot error:", chrome.runtime.lastError);
-      return;
+// Set a cookie ({ name, value, domain, path, expires (ms), httpOnly, secure, sameSite })
+// or a web storage item on the origin
+async function setStorage(msg) {
+  const { origin, tab } = await resolveStorageTarget(msg);
+  if (msg.area !== "cookies") {
+    await runWebStorage(tab, msg.area, "set", msg.name, msg.value);
+    return { origin, area: msg.area, name: msg.name, set: true };
+  }
+  const cookie = await chrome.cookies.set({
+    url: `${origin}${msg.path || "/"}`,
+    name: msg.name,
+    value: msg.value,
+    domain: msg.domain,
+    path: msg.path,
+    secure: msg.secure,
+    httpOnly: msg.httpOnly,
+    sameSite: msg.sameSite ? CHROME_SAME_SITE[msg.sameSite] : undefined,
+    expirationDate: msg.expires != null ? msg.expires / 1000 : undefined
+  });
+  if (!cookie) {
+    throw new Error(`Chrome rejected the cookie ${msg.name}`);
+  }
+  return { origin, area: "cookies", name: msg.name, set: true, cookie };
+}
+
+// Delete a cookie (every domain/path variant unless domain or path is given) or a web storage item
+async function deleteStorage(msg) {
+  const { origin, tab } = await resolveStorageTarget(msg);
+  if (msg.area !== "cookies") {
+    const existed = await runWebStorage(tab, msg.area, "delete", msg.name);
+    return { origin, area: msg.area, name: msg.name, deleted: existed ? 1 : 0 };
+  }
+  const cookies = (await originCookies(origin)).filter(c =>
+    c.name === msg.name &&
+    (msg.domain === undefined || c.domain.replace(/^\./, "") === msg.domain.replace(/^\./, "")) &&
+    (msg.path === undefined || c.path === msg.path));
+  for (const cookie of cookies) {
+    await chrome.cookies.remove({ url: cookieUrl(cookie), name: cookie.name, storeId: cookie.storeId });
+  }
+  return { origin, area: "cookies", name: msg.name, deleted: cookies.length };
+}
+
+// Clear the given areas (default: all) of the origin
+async function clearStorage(msg) {
+  const { origin, tab } = await resolveStorageTarget(msg);
+  const areas = storageAreas(msg);
+  // Fail before clearing anything rather than after the cookies are gone
+  const webArea = areas.find(area => area !== "cookies");
+  if (webArea && !tab) {
+    throw new Error(`${webArea} needs an open tab on the origin`);
+  }
+
+  const cleared = {};
+  const errors = {};
+  for (const area of areas) {
+    try {
+      if (area === "cookies") {
+        const cookies = await originCookies(origin);
+        for (const cookie of cookies) {
+          await chrome.cookies.remove({ url: cookieUrl(cookie), name: cookie.name, storeId: cookie.storeId });
+        }
+        cleared.cookies = cookies.length;
+      } else {
+        cleared[area] = await runWebStorage(tab, area, "clear");
+      }
+    } catch (error) {
+      errors[area] = error.message;
     }
-    ws.send(JSON.stringify({ 
-      type: "screenshot_all", 
-      dataUrl,
-      timestamp
+  }
+  return { origin, cleared, ...(Object.keys(errors).length > 0 ? { errors } : {}) };
+}
+
+const STORAGE_COMMANDS = {
+  get_storage: getStorage,
+  set_storage: setStorage,
+  delete_storage: deleteStorage,
+  clear_storage: clearStorage
+};
+
+// ===== Network Capture =====
+// Every request made by a tab is reported to the server once it completes, fails or redirects.
+// With body capture on (popup setting), network-hook.js also runs in each page to read
+// fetch/XHR response bodies, which are attached here to the matching request.
+
+const MAX_BODY_LENGTH = 64 * 1024;
+const BODY_WAIT = 1000;          // How long a finished fetch/XHR waits for its body from the page
+const UNCLAIMED_BODY_TTL = 5000; // How long a body waits for its request to finish
+const NETWORK_HOOK_ID = "bdb-network-hook";
+const NETWORK_FILTER = { urls: ["<all_urls>"] };
+// Requests to the debug server itself (e.g. from the dashboard) are not captured
+const DEBUG_SERVER_URL = /^(https?|wss?):\/\/(localhost|127\.0\.0\.1):812[34]\//;
+
+let captureNetworkBodies = false;
+const inflightRequests = new Map(); // requestId → request being recorded
+const awaitingBody = [];            // Finished fetch/XHR requests waiting for their body: { request, timer }
+const unclaimedBodies = [];         // Bodies that arrived before their request finished
+
+// Register or remove the page-world hook that reads response bodies
+async function setNetworkBodyCapture(enabled) {
+  captureNetworkBodies = enabled;
+  await chrome.storage.local.set({ networkBodies: enabled });
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [NETWORK_HOOK_ID] });
+  if (enabled && registered.length === 0) {
+    await chrome.scripting.registerContentScripts([{
+      id: NETWORK_HOOK_ID,
+      js: ["network-hook.js"],
+      matches: ["<all_urls>"],
+      runAt: "document_start",
+      world: "MAIN"
+    }]);
+  } else if (!enabled && registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [NETWORK_HOOK_ID] });
+  }
+}
+
+chrome.storage.local.get("networkBodies").then((stored) => {
+  setNetworkBodyCapture(!!stored.networkBodies).catch((err) => {
+    console.error("[AI Bridge] Failed to set up body capture:", err);
+  });
+});
+
+function isCapturedRequest(details) {
+  return details.tabId >= 0 && !DEBUG_SERVER_URL.test(details.url);
+}
+
+// webRequest request body (form fields or raw bytes) as text
+function readRequestBody(requestBody) {
+  if (!requestBody) return null;
+  if (requestBody.formData) {
+    const params = new URLSearchParams();
+    for (const [name, values] of Object.entries(requestBody.formData)) {
+      values.forEach(value => params.append(name, value));
+    }
+    return params.toString();
+  }
+  const parts = (requestBody.raw || []).filter(part => part.bytes);
+  if (parts.length === 0) return null;
+  const decoder = new TextDecoder();
+  return parts.map(part => decoder.decode(part.bytes, { stream: true })).join("") + decoder.decode();
+}
+
+function sendNetworkRequest(request) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    const truncated = (body) => typeof body === "string" && body.length > MAX_BODY_LENGTH;
+    ws.send(JSON.stringify({
+      type: "network_request",
+      request: {
+        ...request,
+        requestBody: request.requestBody?.slice(0, MAX_BODY_LENGTH),
+        bodyTruncated: truncated(request.requestBody) || request.bodyTruncated || false
+      },
+      timestamp: Date.now()
     }));
+  }
+}
+
+function isSameRequest(request, body) {
+  return request.tabId === body.tabId && request.method === body.method && request.url.split("#")[0] === body.url;
+}
+
+function withBody(request, body) {
+  return {
+    ...request,
+    type: body.kind === "fetch" ? "fetch" : request.type,
+    responseBody: body.body,
+    bodyTruncated: body.truncated
+  };
+}
+
+// A request is done: send it, or wait briefly for its response body
+function finishRequest(request) {
+  inflightRequests.delete(request.requestId);
+  if (!captureNetworkBodies || request.type !== "xmlhttprequest" || request.error) {
+    sendNetworkRequest(request);
+    return;
+  }
+  const index = unclaimedBodies.findIndex(body => isSameRequest(request, body));
+  if (index >= 0) {
+    const [body] = unclaimedBodies.splice(index, 1);
+    sendNetworkRequest(withBody(request, body));
+    return;
+  }
+  const waiting = { request };
+  waiting.timer = setTimeout(() => {
+    awaitingBody.splice(awaitingBody.indexOf(waiting), 1);
+    sendNetworkRequest(request);
+  }, BODY_WAIT);
+  awaitingBody.push(waiting);
+}
+
+// A response body read by network-hook.js
+function attachNetworkBody(body) {
+  const index = awaitingBody.findIndex(waiting => isSameRequest(waiting.request, body));
+  if (index >= 0) {
+    const [waiting] = awaitingBody.splice(index, 1);
+    clearTimeout(waiting.timer);
+    sendNetworkRequest(withBody(waiting.request, body));
+    return;
+  }
+  const now = Date.now();
+  unclaimedBodies.push({ ...body, receivedAt: now });
+  while (unclaimedBodies.length > 0 && now - unclaimedBodies[0].receivedAt > UNCLAIMED_BODY_TTL) {
+    unclaimedBodies.shift();
+  }
+}
+
+chrome.webRequest.onBeforeRequest.addListener((details) => {
+  if (!isCapturedRequest(details)) return;
+  inflightRequests.set(details.requestId, {
+    requestId: details.requestId,
+    url: details.url,
+    method: details.method,
+    type: details.type,
+    tabId: details.tabId,
+    frameId: details.frameId,
+    documentUrl: details.documentUrl || details.initiator,
+    startTime: details.timeStamp,
+    requestBody: captureNetworkBodies ? readRequestBody(details.requestBody) : undefined
   });
+}, NETWORK_FILTER, ["requestBody"]);
+
+chrome.webRequest.onSendHeaders.addListener((details) => {
+  const request = inflightRequests.get(details.requestId);
+  if (!request) return;
+  request.requestHeaders = details.requestHeaders;
+  request.sendTime = details.timeStamp;
+}, NETWORK_FILTER, ["requestHeaders", "extraHeaders"]);
+
+// Status and headers, shared by the response, redirect and completion events
+function recordResponse(request, details) {
+  request.status = details.statusCode;
+  request.statusLine = details.statusLine;
+  request.responseHeaders = details.responseHeaders || request.responseHeaders;
+  request.fromCache = details.fromCache;
+  request.remoteAddress = details.ip;
 }
 
+chrome.webRequest.onResponseStarted.addListener((details) => {
+  const request = inflightRequests.get(details.requestId);
+  if (!request) return;
+  recordResponse(request, details);
+  request.responseTime = details.timeStamp;
+}, NETWORK_FILTER, ["responseHeaders", "extraHeaders"]);
+
+// The redirect is reported as its own request; the next hop starts again at onBeforeRequest
+chrome.webRequest.onBeforeRedirect.addListener((details) => {
+  const request = inflightRequests.get(details.requestId);
+  if (!request) return;
+  recordResponse(request, details);
+  request.redirectUrl = details.redirectUrl;
+  request.endTime = details.timeStamp;
+  finishRequest(request);
+}, NETWORK_FILTER, ["responseHeaders", "extraHeaders"]);
+
+chrome.webRequest.onCompleted.addListener((details) => {
+  const request = inflightRequests.get(details.requestId);
+  if (!request) return;
+  recordResponse(request, details);
+  request.endTime = details.timeStamp;
+  finishRequest(request);
+}, NETWORK_FILTER, ["responseHeaders", "extraHeaders"]);
+
+chrome.webRequest.onErrorOccurred.addListener((details) => {
+  const request = inflightRequests.get(details.requestId);
+  if (!request) return;
+  request.error = details.error;
+  request.endTime = details.timeStamp;
+  finishRequest(request);
+}, NETWORK_FILTER);
+
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Response bodies read by network-hook.js
+  if (msg.type === "network_body") {
+    if (sender.tab) {
+      attachNetworkBody({ ...msg, tabId: sender.tab.id });
+    }
+    return false;
+  }
+
+
   // Forward console logs to server
   if (msg.type === "console") {
     if (ws && ws.readyState === WebSocket.OPEN) {
@@ -626,6 +1359,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         method: msg.method,
         args: msg.args,
         url: sender.tab?.url,
+        tabId: sender.tab?.id,
         timestamp: Date.now()
       }));
     }
@@ -638,6 +1372,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         type: msg.captureAll ? "dom_snapshot_all" : "dom_snapshot",
         html: msg.html,
         url: msg.url || sender.tab?.url,  // Prefer URL from message, fallback to sender.tab
+        tabId: sender.tab?.id,
         timestamp: msg.timestamp || Date.now()
       }));
     }
@@ -650,6 +1385,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         type: "event",
         event: msg.event,
         url: sender.tab?.url,
+        tabId: sender.tab?.id,
         timestamp: Date.now()
       }));
     }
@@ -664,7 +1400,41 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       isConnected = actuallyConnected;
       updateConnectionBadge(isConnected);
     }
-    sendResponse({ connected: actuallyConnected });
+    Promise.all([getClientIdentity(), chrome.storage.local.get("authToken")]).then(([identity, stored]) => {
+      sendResponse({
+        connected: actuallyConnected,
+        clientId: identity.clientId,
+        clientName: identity.name,
+        hasToken: !!stored.authToken,
+        networkBodies: captureNetworkBodies
+      });
+    });
+  }
+
+  // Pair with the server: store its token and reconnect
+  if (msg.type === "set_auth_token") {
+    chrome.storage.local.set({ authToken: msg.token }).then(() => {
+      connect();
+      sendResponse({ ok: true });
+    });
+  }
+
+  // Rename this client and tell the server
+  if (msg.type === "set_client_name") {
+    chrome.storage.local.set({ clientName: msg.name }).then(async () => {
+      const identity = await getClientIdentity();
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: "client_info", ...identity, timestamp: Date.now() }));
+      }
+      sendResponse({ ok: true, clientName: identity.name });
+    });
+  }
+
+  // Turn response body capture on or off (popup setting)
+  if (msg.type === "set_network_bodies") {
+    setNetworkBodyCapture(!!msg.enabled)
+      .then(() => sendResponse({ ok: true, enabled: captureNetworkBodies }))
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
   }
 
   if (msg.type === "connect") {
@@ -683,7 +1453,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
 
   if (msg.type === "request_dom") {
-    chrome.tabs.query({ active: true, currentWindow: true }, async ([tab]) => {
+    resolveTargetTab().then(async (tab) => {
       if (tab) {
         chrome.tabs.sendMessage(tab.id, { type: "get_dom" }, async (response) => {
           if (chrome.runtime.lastError) {
@@ -708,6 +1478,29 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   return true; // Keep message channel open for async responses
 });
 
+// Report navigations (URL changes and finished loads) to the server
+chrome.tabs.onUpdated.addListener((tabId, info, tab) => {
+  if (!info.url && info.status !== 'complete') return;
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: "navigation",
+      tabId,
+      windowId: tab.windowId,
+      url: tab.url,
+      title: tab.title,
+      status: info.status || tab.status,
+      timestamp: Date.now()
+    }));
+  }
+});
+
+// Forget the pinned tab when it is closed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  if (tabId === pinnedTabId) {
+    setPinnedTab(null);
+  }
+});
+
 // Initialize badge to disconnected state
 updateConnectionBadge(false);
 
@@ -63,6 +63,18 @@
     } catch (e) {}
   });
 
+  // ===== Network Bodies =====
+  // network-hook.js (page world, only when body capture is on) posts response bodies here
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.source !== 'bdb-network-hook') return;
+    try {
+      const { kind, url, method, status, body, truncated } = event.data;
+      chrome.runtime.sendMessage({ type: "network_body", kind, url, method, status, body, truncated });
+    } catch (e) {
+      // Extension context may be invalidated
+    }
+  });
+
   // ===== Message Handler =====
   chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     console.log("[AI Bridge] Content received:", msg);
@@ -187,10 +199,20 @@
       const el = document.querySelector(msg.selector);
       if (el) {
         el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        sendResponse({ ok: true });
-      } else {
-        sendResponse({ ok: false, error: "Element not found" });
       }
+      try {
+        chrome.runtime.sendMessage({
+          type: "event",
+          event: el
+            ? { action: "scroll_to", selector: msg.selector, success: true, commandId: msg.commandId }
+            : { action: "scroll_to", selector: msg.selector, success: false, error: "Element not found", commandId: msg.commandId }
+        }, () => {
+          if (chrome.runtime.lastError) {
+            console.error("[AI Bridge] Failed to send scroll result:", chrome.runtime.lastError.message);
+          }
+        });
+      } catch (e) {}
+      sendResponse(el ? { ok: true } : { ok: false, error: "Element not found" });
       return false;
     }
 
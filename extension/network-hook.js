@@ -0,0 +1,67 @@
+// Browser Dev Bridge - Network Hook
+// Registered in the page's own world only while body capture is on (popup setting).
+// Wraps fetch and XMLHttpRequest to read text response bodies and posts them to content.js,
+// which hands them to the background script to attach to the captured request.
+
+(function() {
+  if (window.__aiTestBridgeNetworkHook) return;
+  window.__aiTestBridgeNetworkHook = true;
+
+  const MAX_BODY_LENGTH = 64 * 1024;
+  const TEXT_TYPES = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i;
+
+  // Streams never finish, so their bodies can't be read as a whole
+  function isReadable(contentType) {
+    return !!contentType && TEXT_TYPES.test(contentType) && !contentType.includes('event-stream');
+  }
+
+  function report(kind, url, method, status, body) {
+    if (typeof body !== 'string') return;
+    window.postMessage({
+      source: 'bdb-network-hook',
+      kind,
+      url: new URL(url, location.href).href.split('#')[0],
+      method: (method || 'GET').toUpperCase(),
+      status,
+      body: body.slice(0, MAX_BODY_LENGTH),
+      truncated: body.length > MAX_BODY_LENGTH
+    }, '*');
+  }
+
+  // ===== fetch =====
+  const originalFetch = window.fetch;
+  window.fetch = function(input, init) {
+    const method = init?.method || (input instanceof Request ? input.method : 'GET');
+    const promise = originalFetch.apply(this, arguments);
+    promise.then((response) => {
+      if (!isReadable(response.headers.get('content-type'))) return;
+      response.clone().text()
+        .then((body) => report('fetch', response.url, method, response.status, body))
+        .catch(() => {});
+    }).catch(() => {});
+    return promise;
+  };
+
+  // ===== XMLHttpRequest =====
+  const originalOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function(method, url) {
+    this.__aiTestBridgeRequest = { method, url };
+    return originalOpen.apply(this, arguments);
+  };
+
+  const originalSend = XMLHttpRequest.prototype.send;
+  XMLHttpRequest.prototype.send = function() {
+    this.addEventListener('loadend', () => {
+      const request = this.__aiTestBridgeRequest;
+      if (!request || this.status === 0 || !isReadable(this.getResponseHeader('content-type'))) return;
+      let body = null;
+      if (this.responseType === '' || this.responseType === 'text') {
+        body = this.responseText;
+      } else if (this.responseType === 'json') {
+        body = JSON.stringify(this.response);
+      }
+      report('xhr', this.responseURL || request.url, request.method, this.status, body);
+    });
+    return originalSend.apply(this, arguments);
+  };
+})();
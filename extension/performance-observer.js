@@ -0,0 +1,148 @@
+// Browser Dev Bridge - Performance Observer
+// Runs in the page's own world from document_start (and as a Playwright init script), so the
+// observers see the whole page load. window.__aiTestBridgeCollectPerformance() returns a
+// snapshot: Navigation Timing, resource totals, FCP, LCP, CLS, INP, long tasks and JS heap.
+
+(function() {
+  if (window.__aiTestBridgeCollectPerformance) return;
+
+  const LONG_TASK_BLOCKING = 50; // ms of a long task that count as blocking (Total Blocking Time)
+  const CLS_GAP = 1000;          // Layout shifts this far apart start a new session window
+  const CLS_WINDOW = 5000;       // Longest session window
+
+  const state = {
+    lcp: null,
+    lcpElement: null,
+    cls: 0,
+    clsWindow: { value: 0, first: 0, last: 0 },
+    interactions: new Map(), // interactionId → longest event duration
+    longTasks: { count: 0, totalDuration: 0, totalBlockingTime: 0 },
+    resources: { count: 0, transferSize: 0, decodedBodySize: 0, byType: {}, slowest: [] }
+  };
+
+  function observe(type, callback, options = {}) {
+    try {
+      new PerformanceObserver((list) => callback(list.getEntries())).observe({ type, buffered: true, ...options });
+    } catch (e) {
+      // Entry type not supported by this browser
+    }
+  }
+
+  function describeElement(element) {
+    if (!element || !element.tagName) return null;
+    const id = element.id ? `#${element.id}` : '';
+    const classes = typeof element.className === 'string' && element.className.trim()
+      ? `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+      : '';
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  }
+
+  observe('largest-contentful-paint', (entries) => {
+    const last = entries[entries.length - 1];
+    if (!last) return;
+    state.lcp = last.startTime;
+    state.lcpElement = describeElement(last.element) || last.url || null;
+  });
+
+  // CLS is the largest burst of shifts without recent input (session windows)
+  observe('layout-shift', (entries) => {
+    for (const entry of entries) {
+      if (entry.hadRecentInput) continue;
+      const current = state.clsWindow;
+      if (current.value > 0 && entry.startTime - current.last < CLS_GAP && entry.startTime - current.first < CLS_WINDOW) {
+        current.value += entry.value;
+        current.last = entry.startTime;
+      } else {
+        state.clsWindow = { value: entry.value, first: entry.startTime, last: entry.startTime };
+      }
+      state.cls = Math.max(state.cls, state.clsWindow.value);
+    }
+  });
+
+  function recordInteraction(entry) {
+    if (!entry.interactionId) return;
+    const previous = state.interactions.get(entry.interactionId) || 0;
+    state.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+  }
+  observe('event', (entries) => entries.forEach(recordInteraction), { durationThreshold: 16 });
+  observe('first-input', (entries) => entries.forEach(recordInteraction));
+
+  observe('longtask', (entries) => {
+    for (const entry of entries) {
+      state.longTasks.count++;
+      state.longTasks.totalDuration += entry.duration;
+      state.longTasks.totalBlockingTime += Math.max(0, entry.duration - LONG_TASK_BLOCKING);
+    }
+  });
+
+  // Totals are kept here because the resource timing buffer stops at 250 entries
+  observe('resource', (entries) => {
+    const totals = state.resources;
+    for (const entry of entries) {
+      totals.count++;
+      totals.transferSize += entry.transferSize || 0;
+      totals.decodedBodySize += entry.decodedBodySize || 0;
+      const type = totals.byType[entry.initiatorType] || (totals.byType[entry.initiatorType] = { count: 0, transferSize: 0 });
+      type.count++;
+      type.transferSize += entry.transferSize || 0;
+      totals.slowest.push({ url: entry.name, type: entry.initiatorType, duration: Math.round(entry.duration) });
+      totals.slowest.sort((a, b) => b.duration - a.duration);
+      totals.slowest.length = Math.min(totals.slowest.length, 5);
+    }
+  });
+
+  // INP: the worst interaction, ignoring one outlier per 50 interactions
+  function interactionToNextPaint() {
+    const durations = [...state.interactions.values()].sort((a, b) => b - a);
+    if (durations.length === 0) return null;
+    return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+  }
+
+  function round(value) {
+    return value == null ? null : Math.round(value);
+  }
+
+  window.__aiTestBridgeCollectPerformance = function() {
+    const nav = performance.getEntriesByType('navigation')[0];
+    const fcp = performance.getEntriesByName('first-contentful-paint')[0];
+    const memory = performance.memory;
+
+    return {
+      url: location.href,
+      timestamp: Date.now(),
+      navigation: nav ? {
+        type: nav.type,
+        ttfb: round(nav.responseStart),
+        domInteractive: round(nav.domInteractive),
+        domContentLoaded: round(nav.domContentLoadedEventEnd),
+        load: nav.loadEventEnd > 0 ? round(nav.loadEventEnd) : null,
+        transferSize: nav.transferSize,
+        decodedBodySize: nav.decodedBodySize,
+        redirectCount: nav.redirectCount
+      } : null,
+      fcp: round(fcp?.startTime),
+      lcp: round(state.lcp),
+      lcpElement: state.lcpElement,
+      cls: Number(state.cls.toFixed(4)),
+      inp: round(interactionToNextPaint()),
+      interactions: state.interactions.size,
+      longTasks: {
+        count: state.longTasks.count,
+        totalDuration: round(state.longTasks.totalDuration),
+        totalBlockingTime: round(state.longTasks.totalBlockingTime)
+      },
+      resources: {
+        count: state.resources.count,
+        transferSize: state.resources.transferSize,
+        decodedBodySize: state.resources.decodedBodySize,
+        byType: state.resources.byType,
+        slowest: state.resources.slowest.slice()
+      },
+      jsHeap: memory ? {
+        usedSize: memory.usedJSHeapSize,
+        totalSize: memory.totalJSHeapSize,
+        limit: memory.jsHeapSizeLimit
+      } : null
+    };
+  };
+})();
@@ -6,6 +6,12 @@ const connectBtn = document.getElementById('connectBtn');
 const captureAllBtn = document.getElementById('captureAllBtn');
 const domBtn = document.getElementById('domBtn');
 const screenshotBtn = document.getElementById('screenshotBtn');
+const clientNameInput = document.getElementById('clientNameInput');
+const saveNameBtn = document.getElementById('saveNameBtn');
+const clientIdText = document.getElementById('clientIdText');
+const tokenInput = document.getElementById('tokenInput');
+const saveTokenBtn = document.getElementById('saveTokenBtn');
+const networkBodiesInput = document.getElementById('networkBodiesInput');
 
 // Update UI based on connection status
 function updateStatus(connected) {
@@ -30,6 +36,10 @@ function updateStatus(connected) {
 chrome.runtime.sendMessage({ type: 'get_status' }, (response) => {
   if (response) {
     updateStatus(response.connected);
+    clientNameInput.value = response.clientName || '';
+    clientIdText.textContent = response.clientId || '-';
+    tokenInput.placeholder = response.hasToken ? 'Paired (enter a new token to change)' : 'Server token (see server console)';
+    networkBodiesInput.checked = !!response.networkBodies;
   }
 });
 
@@ -94,3 +104,47 @@ captureAllBtn.addEventListener('click', () => {
     }, 1500);
   });
 });
+
+// Save client name - lets the server tell several connected browsers apart
+saveNameBtn.addEventListener('click', () => {
+  const name = clientNameInput.value.trim();
+  if (!name) return;
+  saveNameBtn.disabled = true;
+  
+  chrome.runtime.sendMessage({ type: 'set_client_name', name }, () => {
+    saveNameBtn.textContent = 'Saved';
+    setTimeout(() => {
+      saveNameBtn.disabled = false;
+      saveNameBtn.textContent = 'Save';
+    }, 1000);
+  });
+});
+
+// Pair button - store the server's auth token and reconnect with it
+saveTokenBtn.addEventListener('click', () => {
+  const token = tokenInput.value.trim();
+  if (!token) return;
+  saveTokenBtn.disabled = true;
+  saveTokenBtn.textContent = 'Pairing...';
+  
+  chrome.runtime.sendMessage({ type: 'set_auth_token', token }, () => {
+    tokenInput.value = '';
+    tokenInput.placeholder = 'Paired (enter a new token to change)';
+    setTimeout(() => {
+      chrome.runtime.sendMessage({ type: 'get_status' }, (response) => {
+        updateStatus(response?.connected || false);
+        saveTokenBtn.disabled = false;
+        saveTokenBtn.textContent = 'Pair';
+      });
+    }, 1000);
+  });
+});
+
+// Body capture toggle - adds request and fetch/XHR response bodies to the network log
+networkBodiesInput.addEventListener('change', () => {
+  networkBodiesInput.disabled = true;
+  chrome.runtime.sendMessage({ type: 'set_network_bodies', enabled: networkBodiesInput.checked }, (response) => {
+    networkBodiesInput.checked = !!response?.enabled;
+    networkBodiesInput.disabled = false;
+  });
+});
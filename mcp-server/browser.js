@@ -2,12 +2,23 @@
 // Launches Chrome with the debug extension loaded and manages browser lifecycle
 
 import { chromium } from 'playwright';
+import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
+import { normalizeResourceType, normalizeHeaders, isTextContentType, truncateBody } from '../shared/network-utils.js';
+import { toHar } from '../shared/har.js';
+import { cookieMatchesHost, normalizeCookie, normalizeStorage, originOf, parseStorageAreas, validateStorageChange } from '../shared/storage-utils.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const EXTENSION_PATH = path.join(__dirname, '..', 'extension');
+// Same page-world observer the extension uses, added to every page as an init script
+const PERFORMANCE_OBSERVER_PATH = path.join(EXTENSION_PATH, 'performance-observer.js');
+// Accessibility rules shared with the extension and the snapshot audit
+const A11Y_AUDIT_PATH = path.join(EXTENSION_PATH, 'a11y-audit.js');
+
+// Requests kept by the network capture (oldest dropped first)
+const MAX_NETWORK_REQUESTS = 1000;
 
 // Default Chrome user data directory paths by OS
 function getDefaultChromeUserDataDir() {
@@ -33,6 +44,9 @@ class BrowserManager {
     this.page = null;
     this.isLaunched = false;
     this.isCdpConnected = false;  // Track if connected via CDP
+    this.networkRequests = [];
+    this.networkRequestCounter = 0;
+    this.captureNetworkBodies = false;
   }
 
   /**
@@ -41,11 +55,13 @@ class BrowserManager {
    * @param {Object} options - Connection options
    * @param {string} options.endpointUrl - CDP WebSocket endpoint URL (default: http://localhost:9222)
    * @param {number} options.timeout - Connection timeout in ms (default: 10000)
+   * @param {boolean} options.captureNetworkBodies - Keep request/response bodies in the network log
    */
   async connectCDP(options = {}) {
     const {
       endpointUrl = 'http://localhost:9222',
-      timeout = 10000
+      timeout = 10000,
+      captureNetworkBodies = false
     } = options;
 
     if (this.isLaunched) {
@@ -73,6 +89,8 @@ class BrowserManager {
       this.page = pages[0];
       this.isLaunched = true;
       this.isCdpConnected = true;
+      this.startNetworkCapture(captureNetworkBodies);
+      await this.context.addInitScript({ path: PERFORMANCE_OBSERVER_PATH });
 
       // Set up handlers
       this.context.on('close', () => {
@@ -109,6 +127,7 @@ class BrowserManager {
    * @param {string} options.userDataDir - Chrome user data directory (for existing session)
    * @param {boolean} options.useExistingSession - Use existing Chrome session with logins (default: true)
    * @param {string} options.profileName - Chrome profile name (default: 'Default')
+   * @param {boolean} options.captureNetworkBodies - Keep request/response bodies in the network log
    */
   async launch(options = {}) {
     const {
@@ -118,7 +137,8 @@ class BrowserManager {
       height = 720,
       userDataDir,
       useExistingSession = true,
-      profileName = 'Default'
+      profileName = 'Default',
+      captureNetworkBodies = false
     } = options;
 
     if (this.isLaunched) {
@@ -178,6 +198,8 @@ class BrowserManager {
     const pages = this.context.pages();
     this.page = pages.length > 0 ? pages[0] : await this.context.newPage();
     this.isLaunched = true;
+    this.startNetworkCapture(captureNetworkBodies);
+    await this.context.addInitScript({ path: PERFORMANCE_OBSERVER_PATH });
 
     // Set up error handlers
     this.page.on('pageerror', (error) => {
@@ -456,6 +478,327 @@ class BrowserManager {
     }
   }
 
+  /**
+   * Record every request of the context (all pages) in the shared network request shape
+   * @param {boolean} captureBodies - Keep request bodies and text response bodies
+   */
+  startNetworkCapture(captureBodies = false) {
+    this.networkRequests = [];
+    this.captureNetworkBodies = captureBodies;
+    const started = new WeakMap();
+
+    this.context.on('request', (request) => {
+      started.set(request, { id: `pw-${++this.networkRequestCounter}`, startTime: Date.now() });
+    });
+    this.context.on('requestfinished', (request) => {
+      this.recordNetworkRequest(request, started.get(request)).catch(() => {});
+    });
+    this.context.on('requestfailed', (request) => {
+      this.recordNetworkRequest(request, started.get(request), request.failure()?.errorText || 'failed').catch(() => {});
+    });
+  }
+
+  /**
+   * Turn a finished or failed Playwright request into a network log entry
+   */
+  async recordNetworkRequest(request, started = {}, error = null) {
+    const response = error ? null : await request.response().catch(() => null);
+    const timing = request.timing();
+    const startTime = timing.startTime > 0 ? Math.round(timing.startTime) : started.startTime || Date.now();
+    const relative = (value) => value >= 0 ? Math.round(value) : -1;
+    const responseHeaders = response ? normalizeHeaders(await response.allHeaders().catch(() => response.headers())) : {};
+
+    let requestBody = null;
+    let responseBody = null;
+    let bodyTruncated = false;
+    if (this.captureNetworkBodies) {
+      const sent = truncateBody(request.postData());
+      requestBody = sent.body;
+      if (response && isTextContentType(responseHeaders['content-type'])) {
+        const received = truncateBody(await response.text().catch(() => null));
+        responseBody = received.body;
+        bodyTruncated = sent.truncated || received.truncated;
+      } else {
+        bodyTruncated = sent.truncated;
+      }
+    }
+
+    let documentUrl = null;
+    try {
+      documentUrl = request.frame().url();
+    } catch (e) {
+      // Service worker requests have no frame
+    }
+
+    const durationMs = timing.responseEnd >= 0 ? Math.round(timing.responseEnd) : Date.now() - startTime;
+    this.networkRequests.push({
+      id: started.id || `pw-${++this.networkRequestCounter}`,
+      url: request.url(),
+      method: request.method(),
+      type: normalizeResourceType(request.resourceType()),
+      status: response?.status() || null,
+      statusText: response?.statusText() || '',
+      requestHeaders: normalizeHeaders(await request.allHeaders().catch(() => request.headers())),
+      responseHeaders,
+      requestBody,
+      responseBody,
+      bodyTruncated,
+      startTime,
+      endTime: startTime + durationMs,
+      durationMs,
+      timing: {
+        domainLookupStart: relative(timing.domainLookupStart),
+        domainLookupEnd: relative(timing.domainLookupEnd),
+        connectStart: relative(timing.connectStart),
+        secureConnectionStart: relative(timing.secureConnectionStart),
+        connectEnd: relative(timing.connectEnd),
+        requestStart: relative(timing.requestStart),
+        responseStart: relative(timing.responseStart),
+        responseEnd: relative(timing.responseEnd)
+      },
+      fromCache: false,
+      remoteAddress: response ? (await response.serverAddr().catch(() => null))?.ipAddress || null : null,
+      redirectUrl: request.redirectedTo()?.url() || null,
+      error,
+      tabId: null,
+      documentUrl
+    });
+    if (this.networkRequests.length > MAX_NETWORK_REQUESTS) {
+      this.networkRequests.shift();
+    }
+  }
+
+  /**
+   * Requests captured since launch or connect, oldest first
+   */
+  getNetworkRequests() {
+    return [...this.networkRequests];
+  }
+
+  /**
+   * Captured requests as a HAR 1.2 document, with the current page as its page entry
+   * @param {Array<Object>} requests - Requests to include (default: all captured)
+   */
+  async exportHar(requests = this.networkRequests) {
+    const page = this.page && !this.page.isClosed()
+      ? { url: this.page.url(), title: await this.page.title().catch(() => '') }
+      : null;
+    return toHar(requests, { page, creator: { name: 'BrowserDevWizard (Playwright)', version: '1.0.0' } });
+  }
+
+  /**
+   * Performance metrics of the current page: the page-world observer's snapshot (Navigation
+   * Timing, resources, LCP, CLS, INP, long tasks) plus CDP Performance.getMetrics under `cdp`.
+   * Pages loaded before launch/connect get the observer late, so they miss earlier long tasks.
+   */
+  async getPerformanceMetrics() {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch() first.');
+    }
+    const read = () => this.page.evaluate(() => window.__aiTestBridgeCollectPerformance?.() ?? null);
+    let metrics = await read();
+    if (!metrics) {
+      await this.page.evaluate(fs.readFileSync(PERFORMANCE_OBSERVER_PATH, 'utf8'));
+      metrics = await read();
+    }
+    if (!metrics) {
+      throw new Error('Performance metrics not available for this page');
+    }
+
+    let cdp = null;
+    try {
+      const session = await this.context.newCDPSession(this.page);
+      await session.send('Performance.enable');
+      const { metrics: list } = await session.send('Performance.getMetrics');
+      await session.detach();
+      cdp = Object.fromEntries(list.map(m => [m.name, m.value]));
+    } catch (e) {
+      // CDP sessions are only available in Chromium
+    }
+
+    return {
+      ...metrics,
+      source: 'playwright',
+      jsHeap: metrics.jsHeap || (cdp?.JSHeapUsedSize != null ? { usedSize: cdp.JSHeapUsedSize, totalSize: cdp.JSHeapTotalSize, limit: null } : null),
+      cdp
+    };
+  }
+
+  /**
+   * The origin a storage call works on (default: the current page's) and an open page of it,
+   * which web storage needs (null when no page of the origin is open)
+   */
+  resolveStorageOrigin(origin) {
+    if (!this.context) {
+      throw new Error('Browser not launched. Call launch() first.');
+    }
+    const resolved = originOf(origin || this.page?.url());
+    if (!resolved) {
+      throw new Error(origin ? `Invalid origin: ${origin}` : 'The current page has no origin - pass an origin or navigate to a web page');
+    }
+    const page = [this.page, ...this.context.pages()].find(p => p && !p.isClosed() && originOf(p.url()) === resolved);
+    return { origin: resolved, page: page || null };
+  }
+
+  /**
+   * Cookies of the origin's host (parent domains included), from context.cookies()
+   */
+  async originCookies(origin) {
+    const host = new URL(origin).hostname;
+    return (await this.context.cookies()).filter(c => cookieMatchesHost(normalizeCookie(c), host));
+  }
+
+  /**
+   * Run a localStorage/sessionStorage operation in a page of the origin
+   */
+  async runWebStorage(page, area, operation, name = null, value = null) {
+    if (!page) {
+      throw new Error(`${area} needs an open page on the origin`);
+    }
+    return page.evaluate(([area, operation, name, value]) => {
+      const storage = window[area];
+      switch (operation) {
+        case 'get': return Object.fromEntries(Object.keys(storage).map(key => [key, storage.getItem(key)]));
+        case 'set': storage.setItem(name, value); return true;
+        case 'delete': {
+          const existed = storage.getItem(name) !== null;
+          storage.removeItem(name);
+          return existed;
+        }
+        case 'clear': {
+          const count = storage.length;
+          storage.clear();
+          return count;
+        }
+      }
+    }, [area, operation, name, value]);
+  }
+
+  /**
+   * Cookies, localStorage and sessionStorage of an origin in the shared storage shape.
+   * localStorage falls back to storageState() when no page of the origin is open;
+   * areas that can't be read are listed in `errors`.
+   * @param {Object} options - { origin, areas: subset of STORAGE_AREAS (default: all) }
+   */
+  async getStorage(options = {}) {
+    const { origin, page } = this.resolveStorageOrigin(options.origin);
+    const snapshot = { url: page?.url() || origin, origin, timestamp: Date.now(), source: 'playwright' };
+    const errors = {};
+    for (const area of parseStorageAreas(options.areas)) {
+      try {
+        if (area === 'cookies') {
+          snapshot.cookies = await this.originCookies(origin);
+        } else if (area === 'localStorage' && !page) {
+          const state = await this.context.storageState();
+          const items = state.origins.find(o => o.origin === origin)?.localStorage || [];
+          snapshot.localStorage = Object.fromEntries(items.map(item => [item.name, item.value]));
+        } else {
+          snapshot[area] = await this.runWebStorage(page, area, 'get');
+        }
+      } catch (error) {
+        errors[area] = error.message;
+      }
+    }
+    if (Object.keys(errors).length > 0) snapshot.errors = errors;
+    return normalizeStorage(snapshot);
+  }
+
+  /**
+   * Set a cookie or a web storage item
+   * @param {Object} change - { area, name, value, origin }, for cookies also domain, path,
+   *   expires (ms), httpOnly, secure, sameSite (see validateStorageChange)
+   */
+  async setStorage(change) {
+    const { area, name, value, ...cookie } = validateStorageChange(change, { requireValue: true });
+    const { origin, page } = this.resolveStorageOrigin(change.origin);
+    if (area !== 'cookies') {
+      await this.runWebStorage(page, area, 'set', name, value);
+      return { origin, area, name, set: true };
+    }
+    // Playwright takes either a url (host-only cookie) or a domain and path
+    const scope = cookie.domain || cookie.path
+      ? { domain: cookie.domain || new URL(origin).hostname, path: cookie.path || '/' }
+      : { url: origin };
+    await this.context.addCookies([{
+      name,
+      value,
+      ...scope,
+      ...(cookie.expires != null ? { expires: cookie.expires / 1000 } : {}),
+      ...(cookie.httpOnly !== undefined ? { httpOnly: cookie.httpOnly } : {}),
+      ...(cookie.secure !== undefined ? { secure: cookie.secure } : {}),
+      ...(cookie.sameSite ? { sameSite: cookie.sameSite } : {})
+    }]);
+    return { origin, area, name, set: true };
+  }
+
+  /**
+   * Delete a cookie (every domain/path variant unless domain or path is given) or a web storage item
+   * @param {Object} change - { area, name, origin, domain, path }
+   */
+  async deleteStorage(change) {
+    const { area, name, domain, path: cookiePath } = validateStorageChange(change);
+    const { origin, page } = this.resolveStorageOrigin(change.origin);
+    if (area !== 'cookies') {
+      const existed = await this.runWebStorage(page, area, 'delete', name);
+      return { origin, area, name, deleted: existed ? 1 : 0 };
+    }
+    const cookies = (await this.originCookies(origin)).filter(c =>
+      c.name === name &&
+      (domain === undefined || c.domain.replace(/^\./, '') === domain.replace(/^\./, '')) &&
+      (cookiePath === undefined || c.path === cookiePath));
+    for (const cookie of cookies) {
+      await this.context.clearCookies({ name: cookie.name, domain: cookie.domain, path: cookie.path });
+    }
+    return { origin, area, name, deleted: cookies.length };
+  }
+
+  /**
+   * Clear cookies and web storage of an origin. Nothing is cleared when a web storage area
+   * has no open page on the origin; areas that fail later are listed in `errors`.
+   * @param {Object} options - { origin, areas (default: all) }
+   */
+  async clearStorage(options = {}) {
+    const { origin, page } = this.resolveStorageOrigin(options.origin);
+    const areas = parseStorageAreas(options.areas);
+    // Fail before clearing anything rather than after the cookies are gone
+    const webArea = areas.find(area => area !== 'cookies');
+    if (webArea && !page) {
+      throw new Error(`${webArea} needs an open page on the origin`);
+    }
+
+    const cleared = {};
+    const errors = {};
+    for (const area of areas) {
+      try {
+        if (area === 'cookies') {
+          const cookies = await this.originCookies(origin);
+          for (const cookie of cookies) {
+            await this.context.clearCookies({ name: cookie.name, domain: cookie.domain, path: cookie.path });
+          }
+          cleared.cookies = cookies.length;
+        } else {
+          cleared[area] = await this.runWebStorage(page, area, 'clear');
+        }
+      } catch (error) {
+        errors[area] = error.message;
+      }
+    }
+    return { origin, cleared, ...(Object.keys(errors).length > 0 ? { errors } : {}) };
+  }
+
+  /**
+   * Run the accessibility rules against the current page
+   * @returns {Object} { url, title, timestamp, source: 'playwright', rules, findings, contrast }
+   */
+  async auditAccessibility() {
+    if (!this.page) {
+      throw new Error('Browser not launched. Call launch() first.');
+    }
+    await this.page.evaluate(fs.readFileSync(A11Y_AUDIT_PATH, 'utf8'));
+    const audit = await this.page.evaluate(() => window.__aiTestBridgeAuditAccessibility());
+    return { ...audit, source: 'playwright' };
+  }
+
   /**
    * Close the browser connection
    * For CDP connections, this disconnects without closing the browser
@@ -6,28 +6,66 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { getBrowserManager } from './browser.js';
-import { compareSessions, extractErrors, formatDiffForAI } from './diff-utils.js';
+import { A11Y_RULES, A11Y_SEVERITIES, extractErrors, filterAudit, formatDiffForAI } from '../shared/diff-utils.js';
+import { REPORT_FORMATS, formatReport } from '../shared/report-utils.js';
+import { RESOURCE_TYPES, filterNetworkRequests } from '../shared/network-utils.js';
+import { PERFORMANCE_METRICS, summarizePerformance, formatMetricValue } from '../shared/performance-utils.js';
+import { STORAGE_AREAS } from '../shared/storage-utils.js';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DEBUG_SERVER_URL = process.env.DEBUG_SERVER_URL || 'http://localhost:8124';
+const DEBUG_SERVER_TOKEN_FILE = path.join(__dirname, '..', 'debug-server', 'data', 'auth-token');
+
+// Token for the debug-server API: DEBUG_SERVER_TOKEN, or the token file of a debug-server
+// in the same checkout (read on each call so it works if the server starts later)
+function getAuthToken() {
+  if (process.env.DEBUG_SERVER_TOKEN) {
+    return process.env.DEBUG_SERVER_TOKEN;
+  }
+  try {
+    return fs.readFileSync(DEBUG_SERVER_TOKEN_FILE, 'utf8').trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Authenticated fetch against the debug-server, returning the raw Response
+function fetchDebugServer(endpoint, options = {}) {
+  const token = getAuthToken();
+  return fetch(`${DEBUG_SERVER_URL}${endpoint}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      ...options.headers
+    }
+  });
+}
 
 // Helper to call debug-server HTTP API
 async function callDebugServer(endpoint, options = {}) {
-  const url = `${DEBUG_SERVER_URL}${endpoint}`;
   try {
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    });
+    const response = await fetchDebugServer(endpoint, options);
     return await response.json();
   } catch (error) {
     return { error: error.message };
   }
 }
 
+// Performance budget overrides, checked by the debug-server against PERFORMANCE_METRICS
+const performanceBudgets = z.record(
+  z.string(),
+  z.object({
+    max: z.number().min(0).optional(),
+    maxIncrease: z.number().min(0).optional(),
+    minChange: z.number().min(0).optional()
+  })
+).optional().describe(`Budget overrides per metric (${Object.keys(PERFORMANCE_METRICS).join(', ')}): max (absolute limit), maxIncrease (allowed growth ratio, 0.2 = 20%), minChange (smaller growth is noise). E.g. { "lcp": { "max": 3000 } }`);
+
 // Create MCP server
 const server = new McpServer({
   name: 'browser-debug',
@@ -81,6 +119,46 @@ server.tool(
   }
 );
 
+// Tool: list_clients
+server.tool(
+  'list_clients',
+  'List all browsers connected via the extension. Use the returned clientId to target a specific browser with navigate, execute_action or capture_state.',
+  {},
+  async () => {
+    try {
+      const result = await callDebugServer('/clients');
+      
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            count: result.count,
+            clients: result.clients.map(c => ({
+              clientId: c.id,
+              name: c.name,
+              capabilities: c.capabilities,
+              connectedAt: new Date(c.connectedAt).toISOString(),
+              isDefault: c.isDefault
+            }))
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
 // Tool: connect_browser
 server.tool(
   'connect_browser',
@@ -145,13 +223,14 @@ server.tool(
   'Connect to a running Chrome browser via Chrome DevTools Protocol (CDP). This bypasses CSP restrictions and allows full JS execution. Chrome must be started with --remote-debugging-port=9222. Use this for sites with strict CSP like Gemini.',
   {
     endpointUrl: z.string().optional().describe('CDP endpoint URL (default: http://localhost:9222)'),
-    timeout: z.number().optional().describe('Connection timeout in ms (default: 10000)')
+    timeout: z.number().optional().describe('Connection timeout in ms (default: 10000)'),
+    captureNetworkBodies: z.boolean().optional().describe('Keep request and text response bodies in the Playwright network log (default: false)')
   },
-  async ({ endpointUrl, timeout }) => {
+  async ({ endpointUrl, timeout, captureNetworkBodies }) => {
     const browser = getBrowserManager();
     
     try {
-      const result = await browser.connectCDP({ endpointUrl, timeout });
+      const result = await browser.connectCDP({ endpointUrl, timeout, captureNetworkBodies });
       
       return {
         content: [{
@@ -209,13 +288,14 @@ server.tool(
     height: z.number().optional().describe('Viewport height (default: 720)'),
     useExistingSession: z.boolean().optional().describe('Use existing Chrome session with saved logins (default: true). Set to false for a fresh session.'),
     userDataDir: z.string().optional().describe('Custom Chrome user data directory path. Uses default Chrome profile location if not specified.'),
-    profileName: z.string().optional().describe('Chrome profile name to use (default: "Default"). Use for different Chrome profiles.')
+    profileName: z.string().optional().describe('Chrome profile name to use (default: "Default"). Use for different Chrome profiles.'),
+    captureNetworkBodies: z.boolean().optional().describe('Keep request and text response bodies in the Playwright network log (default: false)')
   },
-  async ({ url, width, height, useExistingSession, userDataDir, profileName }) => {
+  async ({ url, width, height, useExistingSession, userDataDir, profileName, captureNetworkBodies }) => {
     const browser = getBrowserManager();
     
     try {
-      const result = await browser.launch({ url, width, height, useExistingSession, userDataDir, profileName });
+      const result = await browser.launch({ url, width, height, useExistingSession, userDataDir, profileName, captureNetworkBodies });
       
       // Wait for extension to connect
       await new Promise(resolve => setTimeout(resolve, 2000));
@@ -257,9 +337,12 @@ server.tool(
     url: z.string().describe('URL to navigate to'),
     waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle']).optional()
       .describe('When to consider navigation complete (default: domcontentloaded)'),
-    usePlaywright: z.boolean().optional().describe('Force using Playwright instead of extension (default: false)')
+    usePlaywright: z.boolean().optional().describe('Force using Playwright instead of extension (default: false)'),
+    clientId: z.string().optional().describe('Target browser client ID from list_clients (default: most recently connected)'),
+    tabId: z.number().optional().describe('Target tab ID (default: pinned tab, else the active tab)'),
+    windowId: z.number().optional().describe('Target the active tab of this window (ignored when tabId is given)')
   },
-  async ({ url, waitUntil, usePlaywright = false }) => {
+  async ({ url, waitUntil, usePlaywright = false, clientId, tabId, windowId }) => {
     try {
       // First try using the extension (works with existing browser)
       if (!usePlaywright) {
@@ -267,7 +350,7 @@ server.tool(
         if (status.connected) {
           const result = await callDebugServer('/navigate', {
             method: 'POST',
-            body: JSON.stringify({ url })
+            body: JSON.stringify({ url, clientId, tabId, windowId })
           });
           
           if (result.success) {
@@ -277,11 +360,14 @@ server.tool(
             // Trigger a fresh DOM capture to update the cache
             await callDebugServer('/refresh-dom', {
               method: 'POST',
-              body: JSON.stringify({ timeout: 5000 })
+              body: JSON.stringify({ timeout: 5000, clientId: result.clientId, tabId: result.result?.tabId, windowId })
             });
             
             // Get tab info after navigation
-            const tabInfo = await callDebugServer('/tab');
+            const params = new URLSearchParams({ clientId: result.clientId });
+            if (result.result?.tabId) params.set('tabId', result.result.tabId.toString());
+            else if (windowId !== undefined) params.set('windowId', windowId.toString());
+            const tabInfo = await callDebugServer(`/tab?${params.toString()}`);
             return {
               content: [{
                 type: 'text',
@@ -289,7 +375,9 @@ server.tool(
                   success: true,
                   url: tabInfo.url || url,
                   title: tabInfo.title || '',
-                  method: 'extension'
+                  method: 'extension',
+                  clientId: result.clientId,
+                  tabId: tabInfo.id
                 }, null, 2)
               }]
             };
@@ -326,15 +414,23 @@ server.tool(
 // Tool: capture_state
 server.tool(
   'capture_state',
-  'Capture current browser state: DOM, screenshot, console logs, and events. Saves to a timestamped session folder.',
+  'Capture current browser state: DOM, screenshot, console logs, events, network log, performance metrics, cookies and web storage. Saves to a timestamped session folder.',
   {
-    name: z.string().optional().describe('Optional name for this capture session (auto-generated if not provided)')
+    name: z.string().optional().describe('Optional name for this capture session (auto-generated if not provided)'),
+    clientId: z.string().optional().describe('Browser client ID to capture from (default: most recently connected)'),
+    tabId: z.number().optional().describe('Tab ID to capture (default: pinned tab, else the active tab)'),
+    windowId: z.number().optional().describe('Capture the active tab of this window (ignored when tabId is given)'),
+    tags: z.array(z.string()).optional().describe('Tags to file the session under, e.g. ["checkout", "bug-123"]'),
+    note: z.string().optional().describe('Free-text note on why this session was captured'),
+    action: z.string().optional().describe('What triggered the capture (default: the last action sent to the browser)'),
+    parent: z.string().optional().describe('Session this one follows (default: the previous capture from the same browser)'),
+    usePlaywright: z.boolean().optional().describe('Store performance metrics (page-world observer + CDP Performance.getMetrics) and cookies/storage read through Playwright instead of the extension\'s; requires launch_browser or connect_browser_by_cdp')
   },
-  async ({ name }) => {
+  async ({ name, clientId, tabId, windowId, tags, note, action, parent, usePlaywright }) => {
     try {
       const result = await callDebugServer('/capture', {
         method: 'POST',
-        body: JSON.stringify({ name })
+        body: JSON.stringify({ name, clientId, tabId, windowId, tags, note, action, parent })
       });
       
       if (result.error) {
@@ -343,20 +439,41 @@ server.tool(
       
       // Return summary without full data
       const session = result.session;
+      if (usePlaywright) {
+        session.performance = await getBrowserManager().getPerformanceMetrics();
+        const stored = await callDebugServer(`/session/${encodeURIComponent(session.name)}/performance`, {
+          method: 'PUT',
+          body: JSON.stringify(session.performance)
+        });
+        if (!stored.success) throw new Error(stored.error);
+        session.storage = await getBrowserManager().getStorage();
+        const storedStorage = await callDebugServer(`/session/${encodeURIComponent(session.name)}/storage`, {
+          method: 'PUT',
+          body: JSON.stringify(session.storage)
+        });
+        if (!storedStorage.success) throw new Error(storedStorage.error);
+      }
       return {
         content: [{
           type: 'text',
           text: JSON.stringify({
             success: true,
             sessionName: session.name,
+            clientId: session.clientId,
+            clientName: session.clientName,
             captured: {
               dom: !!session.dom_snapshot?.html,
               domLength: session.dom_snapshot?.html?.length || 0,
-              screenshot: !!session.screenshot?.dataUrl,
+              screenshot: !!session.screenshot?.file,
               consoleEntries: session.console_logs?.logs?.length || 0,
-              events: session.events?.events?.length || 0
+              events: session.events?.events?.length || 0,
+              performance: session.performance?.source || false,
+              cookies: session.storage?.cookies?.length || 0,
+              storageItems: Object.keys(session.storage?.localStorage || {}).length + Object.keys(session.storage?.sessionStorage || {}).length
             },
             url: session.dom_snapshot?.url,
+            parent: session.meta?.parent,
+            tags: session.meta?.tags,
             consoleErrors: (session.console_logs?.logs || [])
               .filter(l => l.method === 'error')
               .map(e => e.args?.join(' ').slice(0, 100))
@@ -385,9 +502,12 @@ server.tool(
     text: z.string().optional().describe('Text to type (for type action)'),
     code: z.string().optional().describe('JavaScript code to execute (for run_js action)'),
     timeout: z.number().optional().describe('Timeout in ms (default: 5000)'),
-    usePlaywright: z.boolean().optional().describe('Use Playwright directly instead of extension (bypasses CSP, requires launch_browser first)')
+    usePlaywright: z.boolean().optional().describe('Use Playwright directly instead of extension (bypasses CSP, requires launch_browser first)'),
+    clientId: z.string().optional().describe('Target browser client ID from list_clients (default: most recently connected)'),
+    tabId: z.number().optional().describe('Target tab ID (default: pinned tab, else the active tab)'),
+    windowId: z.number().optional().describe('Target the active tab of this window (ignored when tabId is given)')
   },
-  async ({ action, selector, text, code, timeout, usePlaywright }) => {
+  async ({ action, selector, text, code, timeout, usePlaywright, clientId, tabId, windowId }) => {
     try {
       // Use Playwright directly if requested
       if (usePlaywright) {
@@ -423,7 +543,7 @@ server.tool(
       // Otherwise use extension via debug server
       const result = await callDebugServer('/execute', {
         method: 'POST',
-        body: JSON.stringify({ action, selector, text, code, timeout })
+        body: JSON.stringify({ action, selector, text, code, timeout, clientId, tabId, windowId })
       });
       
       // If CSP blocked and it's run_js, suggest using Playwright
@@ -459,6 +579,216 @@ server.tool(
   }
 );
 
+// Tool: pin_tab
+server.tool(
+  'pin_tab',
+  'Pin a tab as the target for all following commands, so they keep going to it even if you switch windows or tabs. Pins the active tab when no tabId is given.',
+  {
+    tabId: z.number().optional().describe('Tab ID to pin (default: the active tab)'),
+    windowId: z.number().optional().describe('Pin the active tab of this window'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)')
+  },
+  async ({ tabId, windowId, clientId }) => {
+    try {
+      const result = await callDebugServer('/tab/pin', {
+        method: 'POST',
+        body: JSON.stringify({ tabId, windowId, clientId })
+      });
+      
+      if (result.error) throw new Error(result.error);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: unpin_tab
+server.tool(
+  'unpin_tab',
+  'Unpin the target tab. Commands go to the active tab again.',
+  {
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)')
+  },
+  async ({ clientId }) => {
+    try {
+      const query = clientId ? `?clientId=${encodeURIComponent(clientId)}` : '';
+      const result = await callDebugServer(`/tab/pin${query}`, { method: 'DELETE' });
+      
+      if (result.error) throw new Error(result.error);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: list_tabs
+server.tool(
+  'list_tabs',
+  'List all open tabs and windows in the extension-connected browser, with URL, title, load status, window and audible/discarded flags.',
+  {
+    windowId: z.number().optional().describe('Only list tabs in this window'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)')
+  },
+  async ({ windowId, clientId }) => {
+    try {
+      const params = new URLSearchParams();
+      if (windowId !== undefined) params.set('windowId', windowId.toString());
+      if (clientId) params.set('clientId', clientId);
+      
+      const result = await callDebugServer(`/tabs?${params.toString()}`);
+      if (result.error) throw new Error(result.error);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            windows: result.windows,
+            tabs: result.tabs
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: open_tab
+server.tool(
+  'open_tab',
+  'Open a new tab (or a new window) in the extension-connected browser. Returns the new tab ID, which can be passed as tabId to other tools.',
+  {
+    url: z.string().optional().describe('URL to open (default: new tab page)'),
+    windowId: z.number().optional().describe('Window to open the tab in (default: current window)'),
+    active: z.boolean().optional().describe('Bring the new tab to front (default: true)'),
+    newWindow: z.boolean().optional().describe('Open in a new window instead of a new tab'),
+    waitForLoad: z.boolean().optional().describe('Wait for the page to finish loading (default: false)'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)')
+  },
+  async ({ url, windowId, active, newWindow, waitForLoad, clientId }) => {
+    try {
+      const result = await callDebugServer('/tabs', {
+        method: 'POST',
+        body: JSON.stringify({ url, windowId, active, newWindow, waitForLoad, clientId })
+      });
+      if (result.error) throw new Error(result.error);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: close_tab
+server.tool(
+  'close_tab',
+  'Close a tab by ID.',
+  {
+    tabId: z.number().describe('Tab ID to close (from list_tabs)'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)')
+  },
+  async ({ tabId, clientId }) => {
+    try {
+      const query = clientId ? `?clientId=${encodeURIComponent(clientId)}` : '';
+      const result = await callDebugServer(`/tabs/${tabId}${query}`, { method: 'DELETE' });
+      if (result.error) throw new Error(result.error);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: activate_tab
+server.tool(
+  'activate_tab',
+  'Switch to a tab: bring it to front and focus its window.',
+  {
+    tabId: z.number().describe('Tab ID to activate (from list_tabs)'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)')
+  },
+  async ({ tabId, clientId }) => {
+    try {
+      const result = await callDebugServer(`/tabs/${tabId}/activate`, {
+        method: 'POST',
+        body: JSON.stringify({ clientId })
+      });
+      if (result.error) throw new Error(result.error);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
 // Tool: get_state
 server.tool(
   'get_state',
@@ -484,7 +814,7 @@ server.tool(
         }
       }
       
-      state = await callDebugServer('/state');
+      state = await callDebugServer(includeScreenshot ? '/state?screenshot=inline' : '/state');
       
       if (state.error) {
         throw new Error(state.error);
@@ -504,6 +834,8 @@ server.tool(
       
       if (includeScreenshot && state.screenshot?.dataUrl) {
         result.screenshot = state.screenshot.dataUrl;
+      } else if (state.screenshot) {
+        result.screenshotUrl = `${DEBUG_SERVER_URL}${state.screenshot.url}`;
       }
       
       return {
@@ -527,11 +859,14 @@ server.tool(
 // Tool: list_sessions
 server.tool(
   'list_sessions',
-  'List all captured sessions (timestamped folders with DOM, screenshot, logs).',
-  {},
-  async () => {
+  'List captured sessions (folders with DOM, screenshot, logs) with their URL, triggering action, parent session, tags and note.',
+  {
+    tags: z.array(z.string()).optional().describe('Only sessions carrying all of these tags')
+  },
+  async ({ tags }) => {
     try {
-      const result = await callDebugServer('/sessions');
+      const query = tags?.length ? `?tag=${encodeURIComponent(tags.join(','))}` : '';
+      const result = await callDebugServer(`/sessions${query}`);
       
       if (result.error) {
         throw new Error(result.error);
@@ -544,6 +879,12 @@ server.tool(
             count: result.sessions.length,
             sessions: result.sessions.map(s => ({
               name: s.name,
+              createdAt: s.createdAt,
+              url: s.url,
+              action: s.action,
+              parent: s.parent,
+              tags: s.tags,
+              note: s.note || undefined,
               files: s.files
             }))
           }, null, 2)
@@ -561,31 +902,32 @@ server.tool(
   }
 );
 
-// Tool: compare_states
+// Tool: update_session
 server.tool(
-  'compare_states',
-  'Compare two capture sessions and identify changes, errors, and issues.',
+  'update_session',
+  'Edit the metadata of a capture session: tags, note, parent session or triggering action.',
   {
-    session1: z.string().describe('Name of first session (before)'),
-    session2: z.string().describe('Name of second session (after)')
+    session: z.string().describe('Session name'),
+    tags: z.array(z.string()).optional().describe('Replace all tags'),
+    addTags: z.array(z.string()).optional().describe('Tags to add'),
+    removeTags: z.array(z.string()).optional().describe('Tags to remove'),
+    note: z.string().optional().describe('Free-text note (replaces the current note)'),
+    parent: z.string().nullable().optional().describe('Session this one follows (null to clear)'),
+    action: z.string().optional().describe('What triggered the capture')
   },
-  async ({ session1, session2 }) => {
+  async ({ session, ...changes }) => {
     try {
-      // Get both sessions
-      const data1 = await callDebugServer(`/session/${session1}`);
-      const data2 = await callDebugServer(`/session/${session2}`);
-      
-      if (data1.error) throw new Error(`Session 1: ${data1.error}`);
-      if (data2.error) throw new Error(`Session 2: ${data2.error}`);
-      
-      // Compare
-      const diff = compareSessions(data1, data2);
-      const formatted = formatDiffForAI(diff);
+      const body = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+      const result = await callDebugServer(`/session/${encodeURIComponent(session)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(body)
+      });
+      if (!result.success) throw new Error(result.error);
       
       return {
         content: [{
           type: 'text',
-          text: formatted
+          text: JSON.stringify({ success: true, session: result.session }, null, 2)
         }]
       };
     } catch (error) {
@@ -600,40 +942,22 @@ server.tool(
   }
 );
 
-// Tool: get_errors
+// Tool: delete_session
 server.tool(
-  'get_errors',
-  'Get all console errors from current state or a specific session.',
+  'delete_session',
+  'Delete a capture session folder (DOM, screenshot, logs, metadata) and its history entries. This cannot be undone; export_session first to keep a copy.',
   {
-    session: z.string().optional().describe('Session name (uses current state if not provided)')
+    session: z.string().describe('Session name')
   },
   async ({ session }) => {
     try {
-      let consoleLogs;
-      
-      if (session) {
-        const data = await callDebugServer(`/session/${session}`);
-        if (data.error) throw new Error(data.error);
-        consoleLogs = data.console_logs;
-      } else {
-        const state = await callDebugServer('/state');
-        if (state.error) throw new Error(state.error);
-        consoleLogs = state.console;
-      }
-      
-      const errors = extractErrors(consoleLogs);
+      const result = await callDebugServer(`/session/${encodeURIComponent(session)}`, { method: 'DELETE' });
+      if (!result.success) throw new Error(result.error);
       
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify({
-            errorCount: errors.length,
-            errors: errors.map(e => ({
-              message: e.message,
-              timestamp: new Date(e.timestamp).toISOString(),
-              url: e.url
-            }))
-          }, null, 2)
+          text: JSON.stringify({ success: true, deleted: result.deleted }, null, 2)
         }]
       };
     } catch (error) {
@@ -648,72 +972,1017 @@ server.tool(
   }
 );
 
-// Tool: get_console_logs
+// Tool: export_session
 server.tool(
-  'get_console_logs',
-  'Get all console messages (log, info, warn, debug, error) - not just errors. Use this to see full console output including console.log statements.',
+  'export_session',
+  'Export a capture session as a single zip archive (DOM snapshot, console logs, events, PNG screenshot and a manifest) to attach a reproduction to a bug report or hand it to a teammate.',
   {
-    methods: z.array(z.enum(['log', 'info', 'warn', 'debug', 'error'])).optional()
-      .describe('Filter by console method types (default: all types)'),
-    limit: z.number().optional().describe('Maximum number of log entries to return (default: 100)'),
-    since: z.number().optional().describe('Only return logs after this timestamp (ms since epoch)'),
-    session: z.string().optional().describe('Session name (uses current state if not provided)')
+    session: z.string().describe('Session name'),
+    outputPath: z.string().optional().describe('File to write (default: <session>.zip in the working directory)')
   },
-  async ({ methods, limit = 100, since, session }) => {
+  async ({ session, outputPath }) => {
     try {
-      let result;
+      const response = await fetchDebugServer(`/session/${encodeURIComponent(session)}/export`);
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Export failed (HTTP ${response.status})`);
+      }
       
-      if (session) {
-        // Get from session
-        const data = await callDebugServer(`/session/${session}`);
-        if (data.error) throw new Error(data.error);
-        
-        let logs = data.console_logs?.logs || [];
-        
-        // Apply filters manually for session data
-        if (methods && methods.length > 0) {
-          logs = logs.filter(l => methods.includes(l.method));
-        }
-        if (since) {
-          logs = logs.filter(l => l.timestamp > since);
+      const file = path.resolve(outputPath || `${session}.zip`);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const archive = Buffer.from(await response.arrayBuffer());
+      fs.writeFileSync(file, archive);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: true, session, path: file, bytes: archive.length }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: import_session
+server.tool(
+  'import_session',
+  'Import a session archive created by export_session, or a HAR file (from export_har, browser DevTools or other tools), so it can be inspected with get_errors/get_dom/get_network_requests or compared with compare_states. A HAR file becomes a session holding only its network log.',
+  {
+    archivePath: z.string().describe('Path to the .zip archive or .har file'),
+    name: z.string().optional().describe('Session name to import as (default: the name in the archive, or har-<time> for HAR files)'),
+    overwrite: z.boolean().optional().describe('Replace an existing session with the same name')
+  },
+  async ({ archivePath, name, overwrite }) => {
+    try {
+      const params = new URLSearchParams();
+      if (name) params.set('name', name);
+      if (overwrite) params.set('overwrite', 'true');
+      
+      const file = path.resolve(archivePath);
+      const result = await callDebugServer(`/sessions/import?${params.toString()}`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.endsWith('.har') ? 'application/json' : 'application/zip' },
+        body: fs.readFileSync(file)
+      });
+      if (!result.success) throw new Error(result.error);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            session: result.session,
+            files: result.files,
+            url: result.manifest.url,
+            capturedAt: result.manifest.capturedAt,
+            counts: result.manifest.counts
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: compare_states
+server.tool(
+  'compare_states',
+  'Compare two capture sessions and identify changes, errors, and issues. Screenshots are compared pixel by pixel to catch visual regressions (moved elements, modals that did not close, broken layout). Cookie, localStorage and sessionStorage changes are listed too.',
+  {
+    session1: z.string().describe('Name of first session (before)'),
+    session2: z.string().describe('Name of second session (after)'),
+    mode: z.enum(['full', 'text']).optional().describe('full: DOM, console, events and screenshots (default). text: unified diff of the visible page text only, without framework markup noise'),
+    threshold: z.number().min(0).max(1).optional().describe('Colour distance (0-1) below which pixels count as equal (default: 0.1)'),
+    minChangedRatio: z.number().min(0).max(1).optional().describe('Share of changed pixels below which screenshots count as unchanged (default: 0.001)'),
+    includeDiffImage: z.boolean().optional().describe('Also return the highlighted diff image when the screenshots differ'),
+    budgets: performanceBudgets
+  },
+  async ({ session1, session2, mode = 'full', threshold, minChangedRatio, includeDiffImage, budgets }) => {
+    try {
+      // The debug-server's /diff does the comparison, so HTTP and MCP users get the same answer
+      const params = new URLSearchParams({ mode });
+      if (threshold !== undefined) params.set('threshold', threshold);
+      if (minChangedRatio !== undefined) params.set('minChangedRatio', minChangedRatio);
+      if (budgets) params.set('budgets', JSON.stringify(budgets));
+      const endpoint = `/diff/${encodeURIComponent(session1)}/${encodeURIComponent(session2)}`;
+      
+      // The image needs the JSON result to know whether the screenshots differ;
+      // otherwise ask for the Markdown report directly
+      const wantsImage = includeDiffImage && mode === 'full';
+      if (!wantsImage) params.set('format', 'md');
+      
+      const response = await fetchDebugServer(`${endpoint}?${params.toString()}`);
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Debug server returned ${response.status}`);
+      }
+      
+      if (!wantsImage) {
+        return {
+          content: [{
+            type: 'text',
+            text: await response.text()
+          }]
+        };
+      }
+      
+      const diff = await response.json();
+      const content = [{
+        type: 'text',
+        text: formatDiffForAI(diff)
+      }];
+      if (diff.visual?.changed) {
+        const image = await fetchDebugServer(`${endpoint}/visual.png`);
+        if (image.ok) {
+          content.push({
+            type: 'image',
+            data: Buffer.from(await image.arrayBuffer()).toString('base64'),
+            mimeType: 'image/png'
+          });
+        }
+      }
+      
+      return { content };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: search_sessions
+server.tool(
+  'search_sessions',
+  'Full-text search across all captured sessions: visible page text, console messages and failed action errors. Example: query "quota exceeded" finds every session where that text was shown or logged.',
+  {
+    query: z.string().describe('Text to find (or a regular expression with regex: true)'),
+    regex: z.boolean().optional().describe('Treat query as a regular expression'),
+    caseSensitive: z.boolean().optional().describe('Match case (default: case-insensitive)'),
+    sources: z.array(z.enum(['dom', 'console', 'events'])).optional().describe('Where to search (default: all)'),
+    tags: z.array(z.string()).optional().describe('Only sessions carrying all of these tags'),
+    limit: z.number().optional().describe('Maximum hits to return (default: 50)')
+  },
+  async ({ query, regex, caseSensitive, sources, tags, limit = 50 }) => {
+    try {
+      const params = new URLSearchParams({ q: query, limit: String(limit) });
+      if (regex) params.set('regex', 'true');
+      if (caseSensitive) params.set('caseSensitive', 'true');
+      if (sources?.length) params.set('source', sources.join(','));
+      if (tags?.length) params.set('tag', tags.join(','));
+      
+      const result = await callDebugServer(`/search?${params.toString()}`);
+      if (result.error) throw new Error(result.error);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            total: result.total,
+            truncated: result.truncated,
+            sessions: result.sessions,
+            results: result.results
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: search_history
+server.tool(
+  'search_history',
+  'Search indexed history of console logs, action events, DOM snapshots and capture sessions (requires the debug-server history DB). Example: type:"console", text:"TypeError", url:"/checkout", distinctSessions:true finds every session where a TypeError appeared on /checkout.',
+  {
+    type: z.enum(['console', 'events', 'dom', 'sessions']).optional().describe('What to search (default: console)'),
+    text: z.string().optional().describe('Substring to match: console message, event error, or page title for dom/sessions'),
+    url: z.string().optional().describe('Substring of the page URL'),
+    methods: z.array(z.enum(['log', 'info', 'warn', 'debug', 'error'])).optional().describe('Console methods to include'),
+    actions: z.array(z.string()).optional().describe('Event actions to include (e.g. ["click", "type"])'),
+    success: z.boolean().optional().describe('Only events that succeeded (true) or failed (false)'),
+    session: z.string().optional().describe('Restrict to one session'),
+    scope: z.enum(['live', 'sessions', 'all']).optional().describe('Live logs, captured sessions, or both (default: all)'),
+    since: z.string().optional().describe('Lower time bound: ms since epoch, ISO date, or relative like "24h" / "7d"'),
+    until: z.string().optional().describe('Upper time bound (same formats as since)'),
+    distinctSessions: z.boolean().optional().describe('Return the list of matching sessions instead of individual rows'),
+    limit: z.number().optional().describe('Maximum results (default: 100)')
+  },
+  async ({ type, text, url, methods, actions, success, session, scope, since, until, distinctSessions, limit }) => {
+    try {
+      const params = new URLSearchParams();
+      if (type) params.set('type', type);
+      if (text) params.set('text', text);
+      if (url) params.set('url', url);
+      if (methods && methods.length > 0) params.set('method', methods.join(','));
+      if (actions && actions.length > 0) params.set('action', actions.join(','));
+      if (success !== undefined) params.set('success', success.toString());
+      if (session) params.set('session', session);
+      if (scope) params.set('scope', scope);
+      if (since) params.set('since', since);
+      if (until) params.set('until', until);
+      if (distinctSessions) params.set('distinct', 'session');
+      if (limit) params.set('limit', limit.toString());
+      
+      const result = await callDebugServer(`/query?${params.toString()}`);
+      if (result.error) throw new Error(result.error);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: list_scenarios
+server.tool(
+  'list_scenarios',
+  'List the declarative test scenarios (JSON/YAML files in debug-server/scenarios) that run_scenario can run.',
+  {},
+  async () => {
+    try {
+      const result = await callDebugServer('/scenarios');
+      if (result.error) throw new Error(result.error);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: run_scenario
+server.tool(
+  'run_scenario',
+  'Run a test scenario in the extension-connected browser: navigate, click/type/run_js, waits, captures and assertions on DOM, URL and console, plus before/after comparisons. Returns a per-step pass/fail report.',
+  {
+    name: z.string().describe('Scenario name (file name in debug-server/scenarios without extension)'),
+    clientId: z.string().optional().describe('Browser client ID to run in (default: the scenario\'s clientId, else most recently connected)'),
+    tabId: z.number().optional().describe('Tab ID to run in (default: pinned tab, else the active tab)')
+  },
+  async ({ name, clientId, tabId }) => {
+    try {
+      const result = await callDebugServer(`/scenarios/${encodeURIComponent(name)}/run`, {
+        method: 'POST',
+        body: JSON.stringify({ clientId, tabId })
+      });
+      if (!result.report) throw new Error(result.error || 'Scenario run failed');
+      
+      const { report } = result;
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            scenario: report.scenario,
+            status: report.status,
+            summary: report.summary,
+            durationMs: report.durationMs,
+            steps: report.steps.map(s => ({
+              step: s.index + 1,
+              status: s.status,
+              description: s.description,
+              ...(s.error ? { error: s.error } : {})
+            })),
+            captures: report.captures,
+            diff: report.diff
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: write_report
+server.tool(
+  'write_report',
+  'Write a test report file (JUnit XML, JSON or Markdown) for the latest run of a scenario, the last commands.json run, or a comparison of two sessions. Includes failed actions, new console errors and screenshot paths.',
+  {
+    source: z.enum(['scenario', 'commands', 'diff']).describe('What to report on'),
+    scenario: z.string().optional().describe('Scenario name (source: scenario)'),
+    session1: z.string().optional().describe('Before session (source: diff)'),
+    session2: z.string().optional().describe('After session (source: diff)'),
+    format: z.enum(['junit', 'json', 'md']).optional().describe('Report format (default: junit)'),
+    outputPath: z.string().optional().describe('File to write (default: test-reports/<source>.<ext> in the working directory)')
+  },
+  async ({ source, scenario, session1, session2, format = 'junit', outputPath }) => {
+    try {
+      let endpoint;
+      if (source === 'scenario') {
+        if (!scenario) throw new Error('scenario is required for source "scenario"');
+        endpoint = `/reports/scenarios/${encodeURIComponent(scenario)}`;
+      } else if (source === 'diff') {
+        if (!session1 || !session2) throw new Error('session1 and session2 are required for source "diff"');
+        endpoint = `/reports/diff/${encodeURIComponent(session1)}/${encodeURIComponent(session2)}`;
+      } else {
+        endpoint = '/reports/commands';
+      }
+      
+      // Fetch the normalized report and serialize it here, so it can be written locally
+      const report = await callDebugServer(`${endpoint}?format=json`);
+      if (report.error) throw new Error(report.error);
+      
+      const baseName = source === 'scenario' ? `scenario-${scenario}` : source === 'diff' ? `diff-${session1}-${session2}` : 'commands';
+      const file = path.resolve(outputPath || path.join('test-reports', `${baseName}.${REPORT_FORMATS[format].extension}`));
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, formatReport(report, format));
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            path: file,
+            format,
+            status: report.status,
+            summary: report.summary,
+            consoleErrors: report.consoleErrors.length,
+            failedEvents: report.failedEvents.length,
+            attachments: report.attachments.map(a => a.path)
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: get_errors
+server.tool(
+  'get_errors',
+  'Get all console errors from current state or a specific session.',
+  {
+    session: z.string().optional().describe('Session name (uses current state if not provided)')
+  },
+  async ({ session }) => {
+    try {
+      let consoleLogs;
+      
+      if (session) {
+        const data = await callDebugServer(`/session/${session}`);
+        if (data.error) throw new Error(data.error);
+        consoleLogs = data.console_logs;
+      } else {
+        const state = await callDebugServer('/state');
+        if (state.error) throw new Error(state.error);
+        consoleLogs = state.console;
+      }
+      
+      const errors = extractErrors(consoleLogs);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            errorCount: errors.length,
+            errors: errors.map(e => ({
+              message: e.message,
+              timestamp: new Date(e.timestamp).toISOString(),
+              url: e.url
+            }))
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: get_console_logs
+server.tool(
+  'get_console_logs',
+  'Get all console messages (log, info, warn, debug, error) - not just errors. Use this to see full console output including console.log statements.',
+  {
+    methods: z.array(z.enum(['log', 'info', 'warn', 'debug', 'error'])).optional()
+      .describe('Filter by console method types (default: all types)'),
+    limit: z.number().optional().describe('Maximum number of log entries to return (default: 100)'),
+    since: z.number().optional().describe('Only return logs after this timestamp (ms since epoch)'),
+    session: z.string().optional().describe('Session name (uses current state if not provided)')
+  },
+  async ({ methods, limit = 100, since, session }) => {
+    try {
+      let result;
+      
+      if (session) {
+        // Get from session
+        const data = await callDebugServer(`/session/${session}`);
+        if (data.error) throw new Error(data.error);
+        
+        let logs = data.console_logs?.logs || [];
+        
+        // Apply filters manually for session data
+        if (methods && methods.length > 0) {
+          logs = logs.filter(l => methods.includes(l.method));
+        }
+        if (since) {
+          logs = logs.filter(l => l.timestamp > since);
+        }
+        if (limit > 0) {
+          logs = logs.slice(-limit);
+        }
+        
+        // Calculate stats
+        const stats = { total: logs.length, byMethod: {} };
+        for (const log of logs) {
+          stats.byMethod[log.method] = (stats.byMethod[log.method] || 0) + 1;
+        }
+        
+        result = { logs, stats, filters: { methods, limit, since } };
+      } else {
+        // Use the /console endpoint with query params
+        const params = new URLSearchParams();
+        if (methods && methods.length > 0) params.set('methods', methods.join(','));
+        if (limit) params.set('limit', limit.toString());
+        if (since) params.set('since', since.toString());
+        
+        result = await callDebugServer(`/console?${params.toString()}`);
+        if (result.error) throw new Error(result.error);
+      }
+      
+      // Format logs for AI consumption
+      const formattedLogs = result.logs.map(log => ({
+        method: log.method,
+        message: log.args?.join(' ') || '',
+        timestamp: new Date(log.timestamp).toISOString(),
+        url: log.url
+      }));
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            totalLogs: result.stats?.total || formattedLogs.length,
+            stats: result.stats?.byMethod || {},
+            logs: formattedLogs
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: get_network_requests
+server.tool(
+  'get_network_requests',
+  'Get captured network requests: URL, method, status, timing and optionally headers and bodies. Use this to find the failing API call behind a console error. Filter by status, URL pattern and resource type.',
+  {
+    status: z.string().optional().describe('Status filter: 404, 4xx, 400-499, >=400, failed (no response) or error (failed or >= 400). Comma-separate to combine.'),
+    urlPattern: z.string().optional().describe('Regular expression matched against the URL (case-insensitive), e.g. "/api/orders"'),
+    resourceTypes: z.array(z.enum(RESOURCE_TYPES)).optional().describe('Resource types to include, e.g. ["xhr", "fetch"] (default: all)'),
+    method: z.string().optional().describe('HTTP method, e.g. POST'),
+    since: z.number().optional().describe('Only requests started after this timestamp (ms since epoch)'),
+    limit: z.number().optional().describe('Maximum number of requests, most recent kept (default: 50)'),
+    includeHeaders: z.boolean().optional().describe('Include request and response headers (default: false)'),
+    includeBodies: z.boolean().optional().describe('Include request/response bodies. They are only captured when body capture is on in the extension popup, or with captureNetworkBodies for Playwright (default: false)'),
+    session: z.string().optional().describe('Session name (uses the live log if not provided)'),
+    clientId: z.string().optional().describe('Only requests from this browser client'),
+    usePlaywright: z.boolean().optional().describe('Read the Playwright network log of the browser from launch_browser / connect_browser_by_cdp instead of the extension log')
+  },
+  async ({ status, urlPattern, resourceTypes, method, since, limit = 50, includeHeaders = false, includeBodies = false, session, clientId, usePlaywright }) => {
+    try {
+      let result;
+      
+      if (usePlaywright) {
+        const browser = getBrowserManager();
+        if (!browser.isLaunched) {
+          throw new Error('Browser not launched. Use launch_browser or connect_browser_by_cdp first.');
         }
-        if (limit > 0) {
-          logs = logs.slice(-limit);
+        result = filterNetworkRequests(browser.getNetworkRequests(), {
+          status, url: urlPattern, type: resourceTypes, method, since, limit, bodies: includeBodies
+        });
+        result.total = result.matched;
+      } else {
+        const params = new URLSearchParams({ limit: String(limit) });
+        if (status) params.set('status', status);
+        if (urlPattern) params.set('url', urlPattern);
+        if (resourceTypes?.length) params.set('type', resourceTypes.join(','));
+        if (method) params.set('method', method);
+        if (since) params.set('since', String(since));
+        if (session) params.set('session', session);
+        if (clientId) params.set('clientId', clientId);
+        if (includeBodies) params.set('bodies', 'true');
+        
+        result = await callDebugServer(`/network?${params.toString()}`);
+        if (result.error) throw new Error(result.error);
+      }
+      
+      // Keep the listing short unless headers or bodies are asked for
+      const requests = result.requests.map(r => ({
+        method: r.method,
+        url: r.url,
+        status: r.status,
+        statusText: r.statusText || undefined,
+        type: r.type,
+        durationMs: r.durationMs,
+        startedAt: new Date(r.startTime).toISOString(),
+        error: r.error || undefined,
+        redirectUrl: r.redirectUrl || undefined,
+        fromCache: r.fromCache || undefined,
+        ...(includeHeaders ? { requestHeaders: r.requestHeaders, responseHeaders: r.responseHeaders } : {}),
+        ...(includeBodies ? { requestBody: r.requestBody, responseBody: r.responseBody, bodyTruncated: r.bodyTruncated } : {})
+      }));
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            total: result.total,
+            returned: requests.length,
+            truncated: result.truncated,
+            stats: result.stats,
+            requests
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: get_performance_metrics
+server.tool(
+  'get_performance_metrics',
+  'Measure page performance: Navigation Timing, resource totals, LCP, CLS, INP, long tasks (total blocking time) and JS heap size, each checked against its budget. Use before and after a change to see whether it made the page slower; compare_states reports regressions between captured sessions.',
+  {
+    session: z.string().optional().describe('Read the metrics stored with a captured session instead of measuring now'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)'),
+    tabId: z.number().optional().describe('Tab ID to measure (default: pinned tab, else the active tab)'),
+    usePlaywright: z.boolean().optional().describe('Measure the Playwright page (adds CDP Performance.getMetrics); requires launch_browser or connect_browser_by_cdp'),
+    budgets: performanceBudgets
+  },
+  async ({ session, clientId, tabId, usePlaywright, budgets }) => {
+    try {
+      let metrics;
+      let summary;
+      
+      if (usePlaywright) {
+        const browser = getBrowserManager();
+        if (!browser.isLaunched) {
+          throw new Error('Browser not launched. Use launch_browser or connect_browser_by_cdp first.');
         }
+        metrics = await browser.getPerformanceMetrics();
+        summary = summarizePerformance(metrics, budgets);
+      } else {
+        // The debug-server applies its performance-budgets.json under the overrides
+        const params = new URLSearchParams();
+        if (session) params.set('session', session);
+        if (clientId) params.set('clientId', clientId);
+        if (tabId !== undefined) params.set('tabId', String(tabId));
+        if (budgets) params.set('budgets', JSON.stringify(budgets));
         
-        // Calculate stats
-        const stats = { total: logs.length, byMethod: {} };
-        for (const log of logs) {
-          stats.byMethod[log.method] = (stats.byMethod[log.method] || 0) + 1;
+        const result = await callDebugServer(`/performance?${params.toString()}`);
+        if (result.error) throw new Error(result.error);
+        ({ metrics, summary } = result);
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            url: metrics.url,
+            source: metrics.source,
+            measuredAt: new Date(metrics.timestamp).toISOString(),
+            overBudget: summary.filter(m => m.overBudget).map(m => m.metric),
+            metrics: Object.fromEntries(summary.map(m => [m.metric, {
+              value: formatMetricValue(m.value, m.unit),
+              ...(m.max != null ? { budget: formatMetricValue(m.max, m.unit), overBudget: m.overBudget } : {})
+            }])),
+            lcpElement: metrics.lcpElement || undefined,
+            slowestResources: metrics.resources?.slowest,
+            cdp: metrics.cdp || undefined
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Cookie/storage area of set_storage and delete_storage, and the areas of get/clear_storage
+const storageArea = z.enum(STORAGE_AREAS).describe('cookies, localStorage or sessionStorage');
+const storageAreas = z.array(z.enum(STORAGE_AREAS)).optional().describe('Areas to include (default: cookies, localStorage and sessionStorage)');
+
+// Tool: get_storage
+server.tool(
+  'get_storage',
+  'Read the cookies, localStorage and sessionStorage of an origin (default: the current page\'s) without running page JavaScript, so it also works on strict-CSP sites. Useful for auth and feature-flag bugs; capture_state saves the same snapshot and compare_states diffs it.',
+  {
+    origin: z.string().optional().describe('Origin (or any URL on it) to read, e.g. "https://app.example.com" (default: the target tab\'s)'),
+    areas: storageAreas,
+    session: z.string().optional().describe('Read the snapshot stored with a captured session instead of the live browser'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)'),
+    tabId: z.number().optional().describe('Tab whose origin to read (default: pinned tab, else the active tab)'),
+    usePlaywright: z.boolean().optional().describe('Read from the Playwright browser context; requires launch_browser or connect_browser_by_cdp')
+  },
+  async ({ origin, areas, session, clientId, tabId, usePlaywright }) => {
+    try {
+      let storage;
+      
+      if (usePlaywright) {
+        const browser = getBrowserManager();
+        if (!browser.isLaunched) {
+          throw new Error('Browser not launched. Use launch_browser or connect_browser_by_cdp first.');
         }
+        storage = await browser.getStorage({ origin, areas });
+      } else {
+        const params = new URLSearchParams();
+        if (origin) params.set('origin', origin);
+        if (areas?.length) params.set('area', areas.join(','));
+        if (session) params.set('session', session);
+        if (clientId) params.set('clientId', clientId);
+        if (tabId !== undefined) params.set('tabId', String(tabId));
         
-        result = { logs, stats, filters: { methods, limit, since } };
+        const result = await callDebugServer(`/storage?${params.toString()}`);
+        if (result.error) throw new Error(result.error);
+        storage = result.storage;
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(storage, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: set_storage
+server.tool(
+  'set_storage',
+  'Set a cookie or a localStorage/sessionStorage item on an origin, e.g. to flip a feature flag or plant an auth token. Web storage needs an open tab on the origin; cookies don\'t.',
+  {
+    area: storageArea,
+    name: z.string().describe('Cookie name or storage key'),
+    value: z.string().describe('Value to store'),
+    origin: z.string().optional().describe('Origin to set it on (default: the target tab\'s)'),
+    domain: z.string().optional().describe('Cookie domain, e.g. ".example.com" to share it with subdomains (default: host-only cookie)'),
+    path: z.string().optional().describe('Cookie path (default: /)'),
+    expires: z.union([z.number(), z.string()]).optional().describe('Cookie expiry as ms since epoch or a date string (default: session cookie)'),
+    httpOnly: z.boolean().optional().describe('Mark the cookie HttpOnly'),
+    secure: z.boolean().optional().describe('Mark the cookie Secure'),
+    sameSite: z.enum(['Strict', 'Lax', 'None']).optional().describe('Cookie SameSite attribute'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)'),
+    tabId: z.number().optional().describe('Tab whose origin to use (default: pinned tab, else the active tab)'),
+    usePlaywright: z.boolean().optional().describe('Set it in the Playwright browser context; requires launch_browser or connect_browser_by_cdp')
+  },
+  async ({ area, name, clientId, tabId, usePlaywright, ...change }) => {
+    try {
+      let result;
+      
+      if (usePlaywright) {
+        const browser = getBrowserManager();
+        if (!browser.isLaunched) {
+          throw new Error('Browser not launched. Use launch_browser or connect_browser_by_cdp first.');
+        }
+        result = { success: true, ...await browser.setStorage({ area, name, ...change }) };
+      } else {
+        result = await callDebugServer(`/storage/${encodeURIComponent(area)}/${encodeURIComponent(name)}`, {
+          method: 'PUT',
+          body: JSON.stringify({ ...change, clientId, tabId })
+        });
+        if (result.error) throw new Error(result.error);
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: delete_storage
+server.tool(
+  'delete_storage',
+  'Delete a cookie or a localStorage/sessionStorage item from an origin. A cookie name matches every domain/path variant the origin sees unless domain or path narrows it.',
+  {
+    area: storageArea,
+    name: z.string().describe('Cookie name or storage key'),
+    origin: z.string().optional().describe('Origin to delete it from (default: the target tab\'s)'),
+    domain: z.string().optional().describe('Only delete the cookie with this domain'),
+    path: z.string().optional().describe('Only delete the cookie with this path'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)'),
+    tabId: z.number().optional().describe('Tab whose origin to use (default: pinned tab, else the active tab)'),
+    usePlaywright: z.boolean().optional().describe('Delete it from the Playwright browser context; requires launch_browser or connect_browser_by_cdp')
+  },
+  async ({ area, name, origin, domain, path: cookiePath, clientId, tabId, usePlaywright }) => {
+    try {
+      let result;
+      
+      if (usePlaywright) {
+        const browser = getBrowserManager();
+        if (!browser.isLaunched) {
+          throw new Error('Browser not launched. Use launch_browser or connect_browser_by_cdp first.');
+        }
+        result = { success: true, ...await browser.deleteStorage({ area, name, origin, domain, path: cookiePath }) };
       } else {
-        // Use the /console endpoint with query params
         const params = new URLSearchParams();
-        if (methods && methods.length > 0) params.set('methods', methods.join(','));
-        if (limit) params.set('limit', limit.toString());
-        if (since) params.set('since', since.toString());
+        if (origin) params.set('origin', origin);
+        if (domain) params.set('domain', domain);
+        if (cookiePath) params.set('path', cookiePath);
+        if (clientId) params.set('clientId', clientId);
+        if (tabId !== undefined) params.set('tabId', String(tabId));
         
-        result = await callDebugServer(`/console?${params.toString()}`);
+        result = await callDebugServer(`/storage/${encodeURIComponent(area)}/${encodeURIComponent(name)}?${params.toString()}`, { method: 'DELETE' });
         if (result.error) throw new Error(result.error);
       }
       
-      // Format logs for AI consumption
-      const formattedLogs = result.logs.map(log => ({
-        method: log.method,
-        message: log.args?.join(' ') || '',
-        timestamp: new Date(log.timestamp).toISOString(),
-        url: log.url
-      }));
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: clear_storage
+server.tool(
+  'clear_storage',
+  'Clear the cookies, localStorage and/or sessionStorage of an origin, e.g. to reproduce a first visit or a logged-out state. Returns how many entries were removed per area, and `errors` for areas that could not be cleared.',
+  {
+    areas: storageAreas,
+    origin: z.string().optional().describe('Origin to clear (default: the target tab\'s)'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)'),
+    tabId: z.number().optional().describe('Tab whose origin to clear (default: pinned tab, else the active tab)'),
+    usePlaywright: z.boolean().optional().describe('Clear the Playwright browser context; requires launch_browser or connect_browser_by_cdp')
+  },
+  async ({ areas, origin, clientId, tabId, usePlaywright }) => {
+    try {
+      let result;
+      
+      if (usePlaywright) {
+        const browser = getBrowserManager();
+        if (!browser.isLaunched) {
+          throw new Error('Browser not launched. Use launch_browser or connect_browser_by_cdp first.');
+        }
+        result = { success: true, ...await browser.clearStorage({ origin, areas }) };
+      } else {
+        const params = new URLSearchParams();
+        if (areas?.length) params.set('area', areas.join(','));
+        if (origin) params.set('origin', origin);
+        if (clientId) params.set('clientId', clientId);
+        if (tabId !== undefined) params.set('tabId', String(tabId));
+        
+        result = await callDebugServer(`/storage?${params.toString()}`, { method: 'DELETE' });
+        if (result.error) throw new Error(result.error);
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: audit_accessibility
+server.tool(
+  'audit_accessibility',
+  'Check a page for common accessibility problems: missing alt text, unlabeled form controls, empty buttons and links, duplicate IDs, skipped heading levels, a missing lang attribute and low colour contrast. Each finding has a rule, a severity (critical, serious, moderate, minor), a message and a CSS selector to locate the element. Audits the live page, or the DOM snapshot of a captured session (contrast there only covers colours set in the snapshot itself, not linked stylesheets).',
+  {
+    session: z.string().optional().describe('Audit the DOM snapshot of a captured session instead of the live page'),
+    clientId: z.string().optional().describe('Browser client ID (default: most recently connected)'),
+    tabId: z.number().optional().describe('Tab ID to audit (default: pinned tab, else the active tab)'),
+    usePlaywright: z.boolean().optional().describe('Audit the Playwright page; requires launch_browser or connect_browser_by_cdp'),
+    rules: z.array(z.enum(A11Y_RULES)).optional().describe('Only report these rules (default: all)'),
+    severity: z.enum(A11Y_SEVERITIES).optional().describe('Minimum severity to report (default: minor, i.e. everything)'),
+    limit: z.number().optional().describe('Maximum findings returned (default: 100)')
+  },
+  async ({ session, clientId, tabId, usePlaywright, rules, severity, limit }) => {
+    try {
+      let audit;
+      
+      if (usePlaywright) {
+        const browser = getBrowserManager();
+        if (!browser.isLaunched) {
+          throw new Error('Browser not launched. Use launch_browser or connect_browser_by_cdp first.');
+        }
+        audit = filterAudit(await browser.auditAccessibility(), { rules, severity, limit });
+      } else {
+        const params = new URLSearchParams();
+        if (session) params.set('session', session);
+        if (clientId) params.set('clientId', clientId);
+        if (tabId !== undefined) params.set('tabId', String(tabId));
+        if (rules?.length) params.set('rules', rules.join(','));
+        if (severity) params.set('severity', severity);
+        if (limit !== undefined) params.set('limit', String(limit));
+        
+        const result = await callDebugServer(`/audit/a11y?${params.toString()}`);
+        if (result.error) throw new Error(result.error);
+        audit = result.audit;
+      }
       
       return {
         content: [{
           type: 'text',
           text: JSON.stringify({
-            totalLogs: result.stats?.total || formattedLogs.length,
-            stats: result.stats?.byMethod || {},
-            logs: formattedLogs
+            url: audit.url,
+            source: audit.source,
+            total: audit.total,
+            bySeverity: audit.counts.bySeverity,
+            byRule: audit.counts.byRule,
+            findings: audit.findings,
+            truncated: audit.truncated || undefined,
+            contrast: audit.contrast
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: false, error: error.message }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Tool: export_har
+server.tool(
+  'export_har',
+  'Export captured network traffic as a HAR 1.2 file, to open in browser DevTools or other HAR viewers, or hand to a teammate. Reads the extension log of a session or the live log, or the Playwright log of the launched browser.',
+  {
+    session: z.string().optional().describe('Session name (uses the live log if not provided)'),
+    status: z.string().optional().describe('Status filter: 404, 4xx, 400-499, >=400, failed or error. Comma-separate to combine.'),
+    urlPattern: z.string().optional().describe('Regular expression matched against the URL (case-insensitive)'),
+    resourceTypes: z.array(z.enum(RESOURCE_TYPES)).optional().describe('Resource types to include (default: all)'),
+    clientId: z.string().optional().describe('Only requests from this browser client (live log)'),
+    usePlaywright: z.boolean().optional().describe('Export the Playwright network log of the browser from launch_browser / connect_browser_by_cdp'),
+    outputPath: z.string().optional().describe('File to write (default: <session>.har, or network.har, in the working directory)')
+  },
+  async ({ session, status, urlPattern, resourceTypes, clientId, usePlaywright, outputPath }) => {
+    try {
+      let har;
+      
+      if (usePlaywright) {
+        const browser = getBrowserManager();
+        if (!browser.isLaunched) {
+          throw new Error('Browser not launched. Use launch_browser or connect_browser_by_cdp first.');
+        }
+        const { requests } = filterNetworkRequests(browser.getNetworkRequests(), {
+          status, url: urlPattern, type: resourceTypes, bodies: true
+        });
+        har = JSON.stringify(await browser.exportHar(requests), null, 2);
+      } else {
+        const params = new URLSearchParams();
+        if (status) params.set('status', status);
+        if (urlPattern) params.set('url', urlPattern);
+        if (resourceTypes?.length) params.set('type', resourceTypes.join(','));
+        if (clientId) params.set('clientId', clientId);
+        
+        const endpoint = session ? `/session/${encodeURIComponent(session)}/network.har` : '/network.har';
+        const response = await fetchDebugServer(`${endpoint}?${params.toString()}`);
+        if (!response.ok) {
+          const body = await response.json().catch(() => ({}));
+          throw new Error(body.error || `Export failed (HTTP ${response.status})`);
+        }
+        har = await response.text();
+      }
+      
+      const file = path.resolve(outputPath || `${session || 'network'}.har`);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, har);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            path: file,
+            entries: JSON.parse(har).log.entries.length,
+            bytes: Buffer.byteLength(har)
           }, null, 2)
         }]
       };
@@ -0,0 +1,1237 @@
+// Diff Utilities - Compare browser states between captures
+// Provides DOM comparison, visible-text diffs, console error detection, screenshot comparison,
+// performance budget checks, cookie/storage changes, accessibility audits of snapshots,
+// and state change analysis
+
+import fs from 'fs';
+import { JSDOM } from 'jsdom';
+import { decodeImage, encodePng, compareImages } from './image-utils.js';
+import { comparePerformance, formatMetricChange, formatMetricValue } from './performance-utils.js';
+import { STORAGE_AREAS, compareStorage, summarizeStorageChanges } from './storage-utils.js';
+
+/**
+ * Compare two DOM snapshots and identify changes
+ * @param {Object} before - Before state { html, url, timestamp }
+ * @param {Object} after - After state { html, url, timestamp }
+ * @param {Object} options - { maxTreeChanges: node changes kept in treeDiff (default: 50) }
+ * @returns {Object} Diff result
+ */
+export function compareDom(before, after, options = {}) {
+  const result = {
+    urlChanged: before?.url !== after?.url,
+    beforeUrl: before?.url,
+    afterUrl: after?.url,
+    htmlChanged: before?.html !== after?.html,
+    beforeLength: before?.html?.length || 0,
+    afterLength: after?.html?.length || 0,
+    changes: []
+  };
+
+  if (!result.htmlChanged) {
+    return result;
+  }
+
+  try {
+    const domBefore = new JSDOM(before?.html || '');
+    const domAfter = new JSDOM(after?.html || '');
+
+    // Compare key elements
+    const bodyBefore = domBefore.window.document.body;
+    const bodyAfter = domAfter.window.document.body;
+
+    // Count elements
+    const countsBefore = countElements(bodyBefore);
+    const countsAfter = countElements(bodyAfter);
+
+    result.elementChanges = {};
+    for (const tag of new Set([...Object.keys(countsBefore), ...Object.keys(countsAfter)])) {
+      const before = countsBefore[tag] || 0;
+      const after = countsAfter[tag] || 0;
+      if (before !== after) {
+        result.elementChanges[tag] = { before, after, diff: after - before };
+      }
+    }
+
+    // Check for new error indicators
+    const errorIndicators = ['.error', '.alert-danger', '[class*="error"]', '[class*="fail"]'];
+    for (const selector of errorIndicators) {
+      const beforeCount = bodyBefore.querySelectorAll(selector).length;
+      const afterCount = bodyAfter.querySelectorAll(selector).length;
+      if (afterCount > beforeCount) {
+        result.changes.push({
+          type: 'new_error_element',
+          selector,
+          count: afterCount - beforeCount
+        });
+      }
+    }
+
+    // Check form state changes
+    const inputsBefore = Array.from(bodyBefore.querySelectorAll('input, textarea, select'));
+    const inputsAfter = Array.from(bodyAfter.querySelectorAll('input, textarea, select'));
+    
+    if (inputsBefore.length !== inputsAfter.length) {
+      result.changes.push({
+        type: 'form_elements_changed',
+        before: inputsBefore.length,
+        after: inputsAfter.length
+      });
+    }
+
+    // Node-by-node changes
+    result.treeDiff = diffDomTrees(bodyBefore, bodyAfter, { maxChanges: options.maxTreeChanges });
+
+  } catch (error) {
+    result.parseError = error.message;
+  }
+
+  return result;
+}
+
+// Elements whose contents aren't page content
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+// Elements compared as a whole instead of node by node
+const OPAQUE_TAGS = new Set(['svg', 'IFRAME', 'CANVAS']);
+// Attributes frameworks rewrite on every render
+const NOISY_ATTRIBUTES = /^(nonce|data-reactid|data-reactroot|data-react-checksum|data-server-rendered|data-v-[\w-]+|data-n-head|data-hydrated|jsaction|jscontroller|jsmodel)$/;
+// Attributes that carry UI state, so their changes rank higher
+const STATE_ATTRIBUTES = new Set(['hidden', 'disabled', 'checked', 'selected', 'value', 'open', 'aria-expanded', 'aria-hidden', 'aria-invalid', 'aria-selected', 'aria-checked']);
+const INTERACTIVE_TAGS = new Set(['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'FORM', 'DIALOG', 'LABEL', 'OPTION', 'DETAILS', 'SUMMARY']);
+const ALERT_PATTERN = /error|alert|fail|invalid|warning|danger|toast|modal|dialog/i;
+const MAX_TEXT = 200;
+// Changes collected before ranking; beyond this only the counts keep growing
+const MAX_COLLECTED = 2000;
+// Largest child-list LCS table before falling back to in-order matching
+const MAX_LCS_CELLS = 250000;
+
+/**
+ * Diff two element trees node by node
+ * Children are matched in two passes: identical subtrees anchor the alignment, then
+ * remaining children between anchors are paired by tag and id. Unpaired children are
+ * reported as added/removed subtrees; paired ones whose own text or attributes differ
+ * as modified.
+ * @param {Element} rootBefore - Root element of the before document (usually body)
+ * @param {Element} rootAfter - Root element of the after document
+ * @param {Object} options - { maxChanges: changes kept after ranking (default: 50) }
+ * @returns {Object} { counts: { added, removed, modified }, total, changes, truncated }
+ */
+export function diffDomTrees(rootBefore, rootAfter, options = {}) {
+  const maxChanges = options.maxChanges || 50;
+  const counts = { added: 0, removed: 0, modified: 0 };
+  const collected = [];
+
+  // Paths and text are only worked out for changes that are kept
+  const record = (type, element, fields) => {
+    counts[type]++;
+    if (collected.length < MAX_COLLECTED) {
+      const change = { type, path: cssPath(element), tag: element.tagName.toLowerCase(), ...fields() };
+      collected.push({ ...change, score: relevance(change, element) });
+    }
+  };
+
+  const walk = (a, b) => {
+    const modification = compareNodes(a, b);
+    if (modification) {
+      record('modified', b, () => modification);
+    }
+    if (OPAQUE_TAGS.has(a.tagName)) return;
+
+    for (const [childA, childB] of matchChildren(contentChildren(a), contentChildren(b))) {
+      if (childA && childB) {
+        if (!childA.isEqualNode(childB)) walk(childA, childB);
+      } else if (childA) {
+        record('removed', childA, () => ({ text: visibleText(childA) }));
+      } else {
+        record('added', childB, () => ({ text: visibleText(childB) }));
+      }
+    }
+  };
+
+  if (rootBefore && rootAfter) {
+    walk(rootBefore, rootAfter);
+  }
+
+  collected.sort((x, y) => y.score - x.score);
+  const total = counts.added + counts.removed + counts.modified;
+  return {
+    counts,
+    total,
+    changes: collected.slice(0, maxChanges),
+    truncated: total > maxChanges
+  };
+}
+
+// Child elements, walked by sibling links - much faster than element.children in jsdom
+function contentChildren(element) {
+  const children = [];
+  for (let child = element.firstElementChild; child; child = child.nextElementSibling) {
+    if (!SKIPPED_TAGS.has(child.tagName)) children.push(child);
+  }
+  return children;
+}
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function truncate(text) {
+  return text.length > MAX_TEXT ? `${text.slice(0, MAX_TEXT)}…` : text;
+}
+
+// Text of an element's subtree, without script/style contents
+function visibleText(element) {
+  if (SKIPPED_TAGS.has(element.tagName)) return '';
+  let text = '';
+  for (const node of element.childNodes) {
+    if (node.nodeType === 3) text += ` ${node.textContent}`;
+    else if (node.nodeType === 1) text += ` ${visibleText(node)}`;
+  }
+  return truncate(normalizeText(text));
+}
+
+// Text directly inside an element, ignoring its child elements
+function ownText(element) {
+  let text = '';
+  for (const node of element.childNodes) {
+    if (node.nodeType === 3) text += ` ${node.textContent}`;
+  }
+  return normalizeText(text);
+}
+
+// Own text and attribute differences of two paired elements, or null if there are none
+function compareNodes(a, b) {
+  const result = {};
+
+  if (OPAQUE_TAGS.has(a.tagName)) {
+    if (a.innerHTML !== b.innerHTML) result.contentChanged = true;
+  } else {
+    const textBefore = ownText(a);
+    const textAfter = ownText(b);
+    if (textBefore !== textAfter) {
+      result.oldText = truncate(textBefore);
+      result.newText = truncate(textAfter);
+    }
+  }
+
+  const attributes = {};
+  const names = new Set([...a.getAttributeNames(), ...b.getAttributeNames()]);
+  for (const name of names) {
+    if (NOISY_ATTRIBUTES.test(name)) continue;
+    const valueBefore = a.getAttribute(name);
+    const valueAfter = b.getAttribute(name);
+    if (valueBefore !== valueAfter) {
+      attributes[name] = { before: valueBefore, after: valueAfter };
+    }
+  }
+  if (Object.keys(attributes).length > 0) {
+    result.attributes = attributes;
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+// Loose identity of an element: same tag and id
+function weakKey(element) {
+  return `${element.tagName}#${element.id || ''}`;
+}
+
+// Strict identity: also class and visible text
+function strongKey(element) {
+  return `${weakKey(element)}.${element.getAttribute('class') || ''}|${visibleText(element)}`;
+}
+
+/**
+ * Pair up two child lists
+ * @returns {Array<[Element|null, Element|null]>} Pairs in document order; null marks added/removed
+ */
+function matchChildren(before, after) {
+  const pairs = [];
+  const keysBefore = before.map(strongKey);
+  const keysAfter = after.map(strongKey);
+  const anchors = before.length * after.length <= MAX_LCS_CELLS
+    ? longestCommonSubsequence(keysBefore, keysAfter)
+    : greedyAnchors(keysBefore, keysAfter);
+
+  // Between two anchors, pair remaining children with the same tag and id in order
+  let i = 0;
+  let j = 0;
+  for (const [anchorA, anchorB] of [...anchors, [before.length, after.length]]) {
+    const segmentB = after.slice(j, anchorB);
+    let lastB = -1;
+    for (; i < anchorA; i++) {
+      const key = weakKey(before[i]);
+      let k = lastB + 1;
+      while (k < segmentB.length && weakKey(segmentB[k]) !== key) k++;
+      if (k === segmentB.length) {
+        pairs.push([before[i], null]);
+        continue;
+      }
+      // Children of after skipped over are additions
+      for (let skipped = lastB + 1; skipped < k; skipped++) {
+        pairs.push([null, segmentB[skipped]]);
+      }
+      pairs.push([before[i], segmentB[k]]);
+      lastB = k;
+    }
+    for (let rest = lastB + 1; rest < segmentB.length; rest++) {
+      pairs.push([null, segmentB[rest]]);
+    }
+    if (anchorA < before.length) {
+      pairs.push([before[anchorA], after[anchorB]]);
+    }
+    i = anchorA + 1;
+    j = anchorB + 1;
+  }
+  return pairs;
+}
+
+// Index pairs of the longest common subsequence of two key lists
+function longestCommonSubsequence(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const table = new Uint32Array((n + 1) * (m + 1));
+  for (let x = n - 1; x >= 0; x--) {
+    for (let y = m - 1; y >= 0; y--) {
+      table[x * (m + 1) + y] = a[x] === b[y]
+        ? table[(x + 1) * (m + 1) + y + 1] + 1
+        : Math.max(table[(x + 1) * (m + 1) + y], table[x * (m + 1) + y + 1]);
+    }
+  }
+
+  const result = [];
+  let x = 0;
+  let y = 0;
+  while (x < n && y < m) {
+    if (a[x] === b[y]) {
+      result.push([x++, y++]);
+    } else if (table[(x + 1) * (m + 1) + y] >= table[x * (m + 1) + y + 1]) {
+      x++;
+    } else {
+      y++;
+    }
+  }
+  return result;
+}
+
+// In-order anchors for child lists too long for an LCS table: each before key
+// takes the next matching after key, if any
+function greedyAnchors(a, b) {
+  const positions = new Map();
+  b.forEach((key, index) => {
+    if (!positions.has(key)) positions.set(key, []);
+    positions.get(key).push(index);
+  });
+
+  const result = [];
+  let last = -1;
+  for (let x = 0; x < a.length; x++) {
+    const candidates = positions.get(a[x]);
+    if (!candidates) continue;
+    while (candidates.length > 0 && candidates[0] <= last) candidates.shift();
+    if (candidates.length > 0) {
+      last = candidates.shift();
+      result.push([x, last]);
+    }
+  }
+  return result;
+}
+
+/**
+ * A CSS selector for an element, starting at the closest ancestor with an id
+ */
+export function cssPath(element) {
+  const parts = [];
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    const tag = node.tagName.toLowerCase();
+    if (node.id && /^[A-Za-z][\w-]*$/.test(node.id)) {
+      parts.unshift(`${tag}#${node.id}`);
+      break;
+    }
+    if (tag === 'body' || tag === 'html') {
+      parts.unshift(tag);
+      break;
+    }
+
+    let part = tag;
+    const className = (node.getAttribute('class') || '').trim().split(/\s+/)[0];
+    if (className && /^[A-Za-z][\w-]*$/.test(className) && className.length <= 30) {
+      part += `.${className}`;
+    }
+    let index = 1;
+    for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.tagName === node.tagName) index++;
+    }
+    let hasLaterSibling = false;
+    for (let sibling = node.nextElementSibling; sibling && !hasLaterSibling; sibling = sibling.nextElementSibling) {
+      hasLaterSibling = sibling.tagName === node.tagName;
+    }
+    if (index > 1 || hasLaterSibling) {
+      part += `:nth-of-type(${index})`;
+    }
+    parts.unshift(part);
+  }
+  return parts.join(' > ');
+}
+
+// How much a change likely matters to someone checking what an action did
+function relevance(change, element) {
+  let score = 1;
+  const text = change.type === 'modified' ? change.newText || change.oldText : change.text;
+
+  if (text) score += 3;
+  if (change.oldText !== undefined) score += 2;
+  if (INTERACTIVE_TAGS.has(element.tagName)) score += 2;
+
+  const signal = `${element.getAttribute('class') || ''} ${element.getAttribute('role') || ''} ${element.id} ${text || ''}`;
+  if (ALERT_PATTERN.test(signal)) score += 5;
+
+  if (change.type === 'modified') {
+    const names = Object.keys(change.attributes || {});
+    if (names.some(name => STATE_ATTRIBUTES.has(name))) score += 3;
+  } else {
+    // Bigger subtrees are bigger changes, with diminishing weight (capped at 7 descendants)
+    score += Math.log2(1 + countDescendants(element, 7));
+  }
+  return Math.round(score * 10) / 10;
+}
+
+function countDescendants(element, limit) {
+  let count = 0;
+  const stack = [element.firstElementChild];
+  while (stack.length > 0 && count < limit) {
+    const node = stack.pop();
+    if (!node) continue;
+    count++;
+    stack.push(node.nextElementSibling, node.firstElementChild);
+  }
+  return count;
+}
+
+/**
+ * Find elements in an HTML snapshot
+ * @param {string} html - Document HTML
+ * @param {string} selector - CSS selector
+ * @returns {Array<Element>} Matching elements
+ */
+export function queryHtml(html, selector) {
+  const dom = new JSDOM(html || '');
+  return Array.from(dom.window.document.querySelectorAll(selector));
+}
+
+/**
+ * Count elements by tag name
+ */
+function countElements(element) {
+  const counts = {};
+  if (!element) return counts;
+  
+  const all = element.querySelectorAll('*');
+  for (const el of all) {
+    const tag = el.tagName.toLowerCase();
+    counts[tag] = (counts[tag] || 0) + 1;
+  }
+  return counts;
+}
+
+// Elements that start a new line of visible text
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'CAPTION', 'DD', 'DETAILS', 'DIALOG', 'DIV', 'DL', 'DT',
+  'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR',
+  'LEGEND', 'LI', 'MAIN', 'NAV', 'OL', 'OPTION', 'P', 'PRE', 'SECTION', 'SELECT', 'SUMMARY', 'TABLE', 'TD',
+  'TEXTAREA', 'TH', 'TR', 'UL', 'BUTTON', 'LABEL', 'INPUT'
+]);
+const TEXT_SKIPPED_TAGS = new Set([...SKIPPED_TAGS, 'HEAD', 'svg', 'IFRAME', 'CANVAS', 'OBJECT']);
+const VALUE_INPUT_TYPES = new Set(['', 'text', 'search', 'email', 'url', 'tel', 'number', 'date', 'time', 'datetime-local', 'month', 'week', 'button', 'submit', 'reset']);
+// Largest edit distance worked out exactly before the rest is reported as replaced
+const MAX_EDIT_DISTANCE = 2000;
+
+// Hidden by markup or inline style (stylesheets aren't evaluated on snapshots)
+function isHidden(element) {
+  if (element.hasAttribute('hidden') || element.getAttribute('aria-hidden') === 'true') return true;
+  if (element.tagName === 'INPUT' && (element.getAttribute('type') || '').toLowerCase() === 'hidden') return true;
+  const style = (element.getAttribute('style') || '').replace(/\s+/g, '').toLowerCase();
+  return style.includes('display:none') || style.includes('visibility:hidden');
+}
+
+/**
+ * Turn a DOM snapshot into the lines of text a user can read
+ * Skips script/style contents and elements hidden with the hidden attribute, aria-hidden,
+ * type="hidden" or an inline display:none / visibility:hidden. Form fields contribute
+ * their value, and selects only their selected option.
+ * @param {string} html - Document HTML
+ * @returns {string[]} Non-empty, whitespace-normalized lines
+ */
+export function extractVisibleText(html) {
+  const dom = new JSDOM(html || '');
+  const lines = [];
+  let current = '';
+
+  const breakLine = () => {
+    const line = normalizeText(current);
+    if (line) lines.push(line);
+    current = '';
+  };
+
+  const visit = (element) => {
+    if (TEXT_SKIPPED_TAGS.has(element.tagName) || isHidden(element)) return;
+    const block = BLOCK_TAGS.has(element.tagName);
+    if (block) breakLine();
+
+    if (element.tagName === 'INPUT') {
+      const type = (element.getAttribute('type') || '').toLowerCase();
+      if (VALUE_INPUT_TYPES.has(type)) current += ` ${element.getAttribute('value') || ''}`;
+    } else if (element.tagName === 'SELECT') {
+      const selected = element.querySelector('option[selected]') || element.querySelector('option');
+      if (selected) current += ` ${selected.textContent}`;
+    } else {
+      for (let node = element.firstChild; node; node = node.nextSibling) {
+        if (node.nodeType === 3) current += node.textContent;
+        else if (node.nodeType === 1) visit(node);
+      }
+    }
+
+    if (block) breakLine();
+  };
+
+  if (dom.window.document.body) {
+    visit(dom.window.document.body);
+  }
+  breakLine();
+  return lines;
+}
+
+/**
+ * Line diff of two text lists (Myers' algorithm)
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {Array<{ type: 'equal'|'removed'|'added', line: string }>} Edit script
+ */
+export function diffLines(before, after) {
+  // Common prefix and suffix never need the full algorithm
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const middle = myers(a, b) || [
+    ...a.map(line => ({ type: 'removed', line })),
+    ...b.map(line => ({ type: 'added', line }))
+  ];
+
+  return [
+    ...before.slice(0, start).map(line => ({ type: 'equal', line })),
+    ...middle,
+    ...before.slice(endBefore).map(line => ({ type: 'equal', line }))
+  ];
+}
+
+// Shortest edit script, or null when it is longer than MAX_EDIT_DISTANCE
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, offset, x, y, d);
+      }
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, a, b, offset, x, y, d) {
+  const script = [];
+  for (; d > 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      script.push({ type: 'equal', line: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      script.push({ type: 'added', line: b[--y] });
+    } else {
+      script.push({ type: 'removed', line: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    script.push({ type: 'equal', line: a[--x] });
+    y--;
+  }
+  return script.reverse();
+}
+
+/**
+ * Compare the visible text of two DOM snapshots
+ * @param {Object} before - Before state { html, url, timestamp }
+ * @param {Object} after - After state { html, url, timestamp }
+ * @param {Object} options - { context: unchanged lines around each change (default: 3), maxHunks (default: 50) }
+ * @returns {Object} { changed, beforeLines, afterLines, added, removed, hunks, truncated }
+ */
+export function compareText(before, after, options = {}) {
+  const context = options.context ?? 3;
+  const maxHunks = options.maxHunks || 50;
+  const linesBefore = extractVisibleText(before?.html);
+  const linesAfter = extractVisibleText(after?.html);
+  const script = diffLines(linesBefore, linesAfter);
+
+  // Line numbers of each entry in both documents
+  let lineBefore = 1;
+  let lineAfter = 1;
+  const entries = script.map(entry => {
+    const numbered = { ...entry, before: lineBefore, after: lineAfter };
+    if (entry.type !== 'added') lineBefore++;
+    if (entry.type !== 'removed') lineAfter++;
+    return numbered;
+  });
+
+  // Group changes that are at most 2 * context lines apart into hunks
+  const hunks = [];
+  let hunk = null;
+  let lastChange = -Infinity;
+  entries.forEach((entry, index) => {
+    if (entry.type === 'equal') return;
+    if (!hunk || index - lastChange > 2 * context) {
+      if (hunk) hunk.end = Math.min(entries.length, lastChange + context + 1);
+      hunk = { start: Math.max(0, index - context) };
+      hunks.push(hunk);
+    }
+    lastChange = index;
+  });
+  if (hunk) hunk.end = Math.min(entries.length, lastChange + context + 1);
+
+  const prefix = { equal: ' ', removed: '-', added: '+' };
+  const formatted = hunks.map(({ start, end }) => {
+    const slice = entries.slice(start, end);
+    const beforeCount = slice.filter(e => e.type !== 'added').length;
+    const afterCount = slice.filter(e => e.type !== 'removed').length;
+    return {
+      beforeStart: beforeCount > 0 ? slice[0].before : slice[0].before - 1,
+      beforeLines: beforeCount,
+      afterStart: afterCount > 0 ? slice[0].after : slice[0].after - 1,
+      afterLines: afterCount,
+      lines: slice.map(e => `${prefix[e.type]}${e.line}`)
+    };
+  });
+
+  return {
+    changed: hunks.length > 0,
+    beforeLines: linesBefore.length,
+    afterLines: linesAfter.length,
+    added: script.filter(e => e.type === 'added').length,
+    removed: script.filter(e => e.type === 'removed').length,
+    hunks: formatted.slice(0, maxHunks),
+    truncated: formatted.length > maxHunks
+  };
+}
+
+/**
+ * Render a text comparison as a unified diff
+ * @param {Object} textDiff - Result of compareText
+ * @param {string} beforeName - Label of the old side
+ * @param {string} afterName - Label of the new side
+ * @returns {string} Unified diff
+ */
+export function toUnifiedDiff(textDiff, beforeName = 'before', afterName = 'after') {
+  const lines = [`--- ${beforeName}`, `+++ ${afterName}`];
+  for (const hunk of textDiff.hunks) {
+    lines.push(`@@ -${hunk.beforeStart},${hunk.beforeLines} +${hunk.afterStart},${hunk.afterLines} @@`);
+    lines.push(...hunk.lines);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Compare console logs and extract new entries
+ * @param {Object} before - Before state { logs: [] }
+ * @param {Object} after - After state { logs: [] }
+ * @returns {Object} Console diff
+ */
+export function compareConsole(before, after) {
+  const beforeLogs = before?.logs || [];
+  const afterLogs = after?.logs || [];
+  
+  // Find new logs (by timestamp comparison)
+  const beforeTimestamps = new Set(beforeLogs.map(l => l.timestamp));
+  const newLogs = afterLogs.filter(l => !beforeTimestamps.has(l.timestamp));
+  
+  // Categorize new logs
+  const newErrors = newLogs.filter(l => l.method === 'error');
+  const newWarnings = newLogs.filter(l => l.method === 'warn');
+  
+  return {
+    beforeCount: beforeLogs.length,
+    afterCount: afterLogs.length,
+    newEntriesCount: newLogs.length,
+    newLogs,
+    newErrors,
+    newWarnings,
+    hasNewErrors: newErrors.length > 0,
+    hasNewWarnings: newWarnings.length > 0,
+    // Format errors for AI consumption
+    errorSummary: newErrors.map(e => ({
+      message: e.args?.join(' ') || 'Unknown error',
+      timestamp: e.timestamp,
+      url: e.url
+    }))
+  };
+}
+
+/**
+ * Compare events between sessions
+ * @param {Object} before - Before state { events: [] }
+ * @param {Object} after - After state { events: [] }
+ * @returns {Object} Events diff
+ */
+export function compareEvents(before, after) {
+  const beforeEvents = before?.events || [];
+  const afterEvents = after?.events || [];
+  
+  const beforeTimestamps = new Set(beforeEvents.map(e => e.timestamp));
+  const newEvents = afterEvents.filter(e => !beforeTimestamps.has(e.timestamp));
+  
+  // Group by action type
+  const byAction = {};
+  for (const event of newEvents) {
+    const action = event.action || 'unknown';
+    if (!byAction[action]) byAction[action] = [];
+    byAction[action].push(event);
+  }
+  
+  // Check for failures
+  const failedEvents = newEvents.filter(e => e.success === false);
+  
+  return {
+    beforeCount: beforeEvents.length,
+    afterCount: afterEvents.length,
+    newEventsCount: newEvents.length,
+    newEvents,
+    byAction,
+    failedEvents,
+    hasFailures: failedEvents.length > 0
+  };
+}
+
+// Requests count as the same when method and URL (without fragment) match
+function requestKey(request) {
+  return `${request.method} ${request.url.split('#')[0]}`;
+}
+
+function isFailedRequest(request) {
+  return !request.status || request.status >= 400;
+}
+
+/**
+ * Compare the network logs of two sessions
+ * @param {Object} before - Before state { requests: [] }
+ * @param {Object} after - After state { requests: [] }
+ * @param {Object} options - { maxRequests: entries kept per list (default: 50) }
+ * @returns {Object} Network diff: failures new in the second session, status changes,
+ *   and requests only one of the sessions made
+ */
+export function compareNetwork(before, after, options = {}) {
+  const maxRequests = options.maxRequests ?? 50;
+  const beforeRequests = before?.requests || [];
+  const afterRequests = after?.requests || [];
+  const describe = (r) => ({ method: r.method, url: r.url, type: r.type, status: r.status, error: r.error || null });
+
+  // Last status seen per request, and which requests already failed before
+  const beforeStatus = new Map(beforeRequests.map(r => [requestKey(r), r.status]));
+  const afterStatus = new Map(afterRequests.map(r => [requestKey(r), r.status]));
+  const failedBefore = new Set(beforeRequests.filter(isFailedRequest).map(requestKey));
+
+  const newFailures = afterRequests
+    .filter(r => isFailedRequest(r) && !failedBefore.has(requestKey(r)))
+    .map(describe);
+  const newRequests = [...afterStatus.keys()].filter(key => !beforeStatus.has(key));
+  const missingRequests = [...beforeStatus.keys()].filter(key => !afterStatus.has(key));
+  const statusChanges = [...afterStatus]
+    .filter(([key, status]) => beforeStatus.has(key) && beforeStatus.get(key) !== status)
+    .map(([key, status]) => {
+      const [method, url] = key.split(/ (.*)/);
+      return { method, url, before: beforeStatus.get(key), after: status };
+    });
+
+  return {
+    beforeCount: beforeRequests.length,
+    afterCount: afterRequests.length,
+    newFailuresCount: newFailures.length,
+    newFailures: newFailures.slice(0, maxRequests),
+    statusChangesCount: statusChanges.length,
+    statusChanges: statusChanges.slice(0, maxRequests),
+    newRequestsCount: newRequests.length,
+    newRequests: newRequests.slice(0, maxRequests),
+    missingRequestsCount: missingRequests.length,
+    missingRequests: missingRequests.slice(0, maxRequests),
+    hasNewFailures: newFailures.length > 0
+  };
+}
+
+/**
+ * Compare two screenshots pixel by pixel
+ * @param {Object} before - Before screenshot { buffer, mimeType }
+ * @param {Object} after - After screenshot { buffer, mimeType }
+ * @param {Object} options - { threshold: colour distance 0-1 treated as equal (default: 0.1),
+ *                             minChangedRatio: changed-pixel ratio below which the page counts as unchanged (default: 0.001) }
+ * @returns {Object} Visual diff; diffImage is a PNG of the after screenshot with changes in red and regions outlined
+ */
+export function compareScreenshots(before, after, options = {}) {
+  const threshold = options.threshold ?? 0.1;
+  const minChangedRatio = options.minChangedRatio ?? 0.001;
+
+  if (!before?.buffer || !after?.buffer) {
+    return {
+      compared: false,
+      reason: !before?.buffer ? 'No screenshot in the before session' : 'No screenshot in the after session'
+    };
+  }
+
+  try {
+    const imageBefore = decodeImage(before.buffer, before.mimeType);
+    const imageAfter = decodeImage(after.buffer, after.mimeType);
+    const result = compareImages(imageBefore, imageAfter, { threshold });
+    const changedRatio = Number((result.changedPixels / result.totalPixels).toFixed(6));
+    const sizeChanged = imageBefore.width !== imageAfter.width || imageBefore.height !== imageAfter.height;
+
+    return {
+      compared: true,
+      threshold,
+      minChangedRatio,
+      beforeSize: { width: imageBefore.width, height: imageBefore.height },
+      afterSize: { width: imageAfter.width, height: imageAfter.height },
+      sizeChanged,
+      changedPixels: result.changedPixels,
+      totalPixels: result.totalPixels,
+      changedRatio,
+      changed: sizeChanged || changedRatio > minChangedRatio,
+      regions: result.regions,
+      regionCount: result.regionCount,
+      diffImage: encodePng(result.diff)
+    };
+  } catch (error) {
+    return { compared: false, reason: `Could not decode screenshots: ${error.message}` };
+  }
+}
+
+/**
+ * Compare two complete session states
+ * @param {Object} session1 - First session data
+ * @param {Object} session2 - Second session data
+ * @param {Object} options - { screenshots: { before, after } as { buffer, mimeType } to add a visual diff,
+ *                             threshold, minChangedRatio, maxTreeChanges,
+ *                             budgets: performance budget overrides (see resolveBudgets) }
+ * @returns {Object} Complete diff analysis
+ */
+export function compareSessions(session1, session2, options = {}) {
+  const visual = options.screenshots
+    ? compareScreenshots(options.screenshots.before, options.screenshots.after, options)
+    : null;
+  const dom = compareDom(session1.dom_snapshot, session2.dom_snapshot, options);
+  const network = session1.network_log || session2.network_log
+    ? compareNetwork(session1.network_log, session2.network_log)
+    : null;
+  const performance = session1.performance || session2.performance
+    ? comparePerformance(session1.performance, session2.performance, options.budgets)
+    : null;
+  const storage = session1.storage || session2.storage
+    ? compareStorage(session1.storage, session2.storage)
+    : null;
+
+  return {
+    sessions: {
+      before: session1.name || 'session1',
+      after: session2.name || 'session2'
+    },
+    dom,
+    console: compareConsole(session1.console_logs, session2.console_logs),
+    events: compareEvents(session1.events, session2.events),
+    network,
+    performance,
+    storage,
+    visual,
+    summary: generateSummary(session1, session2, { dom, visual, network, performance, storage })
+  };
+}
+
+/**
+ * Generate human-readable summary of changes
+ */
+function generateSummary(session1, session2, { dom, visual, network, performance, storage } = {}) {
+  const issues = [];
+  const changes = [];
+  
+  // Check DOM
+  if (session1.dom_snapshot?.html !== session2.dom_snapshot?.html) {
+    changes.push('DOM content changed');
+  }
+  
+  if (session1.dom_snapshot?.url !== session2.dom_snapshot?.url) {
+    changes.push(`URL changed: ${session1.dom_snapshot?.url} → ${session2.dom_snapshot?.url}`);
+  }
+  
+  if (dom?.treeDiff?.total > 0) {
+    const { added, removed, modified } = dom.treeDiff.counts;
+    changes.push(`DOM nodes: ${added} added, ${removed} removed, ${modified} modified`);
+  }
+  
+  // Check screenshots
+  if (visual?.changed) {
+    changes.push(`Screenshot changed: ${formatRatio(visual.changedRatio)} of pixels in ${visual.regionCount} region(s)`);
+  }
+  
+  // Check console
+  const console1 = session1.console_logs?.logs || [];
+  const console2 = session2.console_logs?.logs || [];
+  const newErrors = console2.filter(
+    l => l.method === 'error' && !console1.some(c => c.timestamp === l.timestamp)
+  );
+  
+  if (newErrors.length > 0) {
+    issues.push(`${newErrors.length} new console error(s)`);
+    for (const err of newErrors.slice(0, 3)) {
+      issues.push(`  - ${err.args?.join(' ').slice(0, 100)}`);
+    }
+  }
+  
+  // Check events
+  const events1 = session1.events?.events || [];
+  const events2 = session2.events?.events || [];
+  const failedEvents = events2.filter(
+    e => e.success === false && !events1.some(ev => ev.timestamp === e.timestamp)
+  );
+  
+  if (failedEvents.length > 0) {
+    issues.push(`${failedEvents.length} failed action(s)`);
+    for (const evt of failedEvents.slice(0, 3)) {
+      issues.push(`  - ${evt.action}: ${evt.error || 'unknown error'}`);
+    }
+  }
+  
+  // Check network
+  if (network?.hasNewFailures) {
+    issues.push(`${network.newFailuresCount} new failed request(s)`);
+    for (const req of network.newFailures.slice(0, 3)) {
+      issues.push(`  - ${req.method} ${req.url.slice(0, 100)} → ${req.status || req.error}`);
+    }
+  }
+  
+  if (network?.statusChangesCount > 0) {
+    changes.push(`${network.statusChangesCount} request(s) changed status`);
+  }
+  
+  // Check performance
+  if (performance?.hasRegressions) {
+    issues.push(`${performance.regressions.length} performance regression(s)`);
+    for (const metric of performance.regressions.slice(0, 3)) {
+      issues.push(`  - ${formatMetricChange(metric)}`);
+    }
+  }
+  
+  if (performance?.improvements.length > 0) {
+    changes.push(`${performance.improvements.length} performance metric(s) improved`);
+  }
+  
+  // Check cookies and storage
+  if (storage?.hasChanges) {
+    changes.push(...summarizeStorageChanges(storage));
+  }
+  
+  return {
+    hasIssues: issues.length > 0,
+    hasChanges: changes.length > 0,
+    issues,
+    changes,
+    recommendation: issues.length > 0 
+      ? 'Review console errors, failed actions, failed requests and performance regressions before continuing'
+      : changes.length > 0 
+        ? 'Page state changed - verify expected behavior'
+        : 'No significant changes detected'
+  };
+}
+
+function quote(text) {
+  return text ? `"${text.slice(0, 100)}"` : '(empty)';
+}
+
+// One line per node change, e.g. ~ `div#status`: text "Saving" → "Saved"
+function formatTreeChange(change) {
+  const path = `\`${change.path}\``;
+  if (change.type === 'added') return `+ added ${path}${change.text ? `: ${quote(change.text)}` : ''}`;
+  if (change.type === 'removed') return `- removed ${path}${change.text ? `: ${quote(change.text)}` : ''}`;
+
+  const details = [];
+  if (change.oldText !== undefined) details.push(`text ${quote(change.oldText)} → ${quote(change.newText)}`);
+  if (change.contentChanged) details.push('content changed');
+  for (const [name, value] of Object.entries(change.attributes || {})) {
+    details.push(`${name} ${value.before === null ? '(none)' : quote(value.before)} → ${value.after === null ? '(none)' : quote(value.after)}`);
+  }
+  return `~ modified ${path}: ${details.join('; ')}`;
+}
+
+function formatRatio(ratio) {
+  return `${(ratio * 100).toFixed(2)}%`;
+}
+
+/**
+ * Extract all console errors from a session
+ * @param {Object} consoleLogs - Console logs data { logs: [] }
+ * @returns {Array} Error entries with formatted messages
+ */
+export function extractErrors(consoleLogs) {
+  const logs = consoleLogs?.logs || [];
+  return logs
+    .filter(l => l.method === 'error')
+    .map(e => ({
+      message: e.args?.join(' ') || 'Unknown error',
+      timestamp: e.timestamp,
+      url: e.url,
+      formatted: `[${new Date(e.timestamp).toISOString()}] ${e.args?.join(' ')}`
+    }));
+}
+
+/**
+ * Format diff result for AI consumption
+ * @param {Object} diff - Diff result from compareSessions
+ * @returns {string} Formatted markdown summary
+ */
+export function formatDiffForAI(diff) {
+  const lines = ['## State Comparison Report\n'];
+  
+  lines.push(`**Sessions:** ${diff.sessions.before} → ${diff.sessions.after}\n`);
+  
+  // Summary
+  lines.push('### Summary');
+  if (diff.summary.hasIssues) {
+    lines.push('⚠️ **Issues Found:**');
+    diff.summary.issues.forEach(i => lines.push(`- ${i}`));
+  }
+  if (diff.summary.hasChanges) {
+    lines.push('\n📝 **Changes:**');
+    diff.summary.changes.forEach(c => lines.push(`- ${c}`));
+  }
+  if (!diff.summary.hasIssues && !diff.summary.hasChanges) {
+    lines.push('✅ No significant changes or issues detected');
+  }
+  
+  // Console errors
+  if (diff.console.hasNewErrors) {
+    lines.push('\n### New Console Errors');
+    diff.console.errorSummary.forEach(e => {
+      lines.push(`- \`${e.message.slice(0, 200)}\``);
+    });
+  }
+  
+  // Network changes
+  if (diff.network?.hasNewFailures || diff.network?.statusChangesCount > 0) {
+    lines.push('\n### Network');
+    diff.network.newFailures.slice(0, 10).forEach(r => {
+      lines.push(`- ❌ \`${r.method} ${r.url.slice(0, 200)}\` → ${r.status || r.error}`);
+    });
+    diff.network.statusChanges.slice(0, 10).forEach(c => {
+      lines.push(`- \`${c.method} ${c.url.slice(0, 200)}\`: ${c.before ?? 'failed'} → ${c.after ?? 'failed'}`);
+    });
+  }
+  
+  // Performance
+  if (diff.performance?.compared) {
+    lines.push('\n### Performance');
+    lines.push('| Metric | Before | After | Change | Budget |');
+    lines.push('|--------|--------|-------|--------|--------|');
+    for (const m of diff.performance.metrics) {
+      const change = m.changeRatio != null ? `${m.changeRatio > 0 ? '+' : ''}${Math.round(m.changeRatio * 100)}%` : '';
+      const budget = m.budget.max != null ? formatMetricValue(m.budget.max, m.unit) : '';
+      lines.push(`| ${m.regressed ? '❌ ' : ''}${m.label} | ${formatMetricValue(m.before, m.unit)} | ${formatMetricValue(m.after, m.unit)} | ${change} | ${budget} |`);
+    }
+  } else if (diff.performance) {
+    lines.push(`\n### Performance\n- Not compared: ${diff.performance.reason}`);
+  }
+  
+  // Cookies and storage
+  if (diff.storage?.hasChanges) {
+    lines.push('\n### Storage');
+    if (diff.storage.beforeOrigin !== diff.storage.afterOrigin) {
+      lines.push(`- Origin: ${diff.storage.beforeOrigin} → ${diff.storage.afterOrigin}`);
+    }
+    for (const area of STORAGE_AREAS) {
+      const changes = diff.storage[area];
+      if (!changes) continue;
+      const where = (item) => item.domain ? ` (${item.domain}${item.path})` : '';
+      changes.added.slice(0, 10).forEach(i => lines.push(`- added ${area} \`${i.name}\`${where(i)}: ${quote(i.value)}`));
+      changes.removed.slice(0, 10).forEach(i => lines.push(`- removed ${area} \`${i.name}\`${where(i)}`));
+      changes.changed.slice(0, 10).forEach(i => lines.push(`- modified ${area} \`${i.name}\`${where(i)}: ${quote(i.before)} → ${quote(i.value)}`));
+    }
+  } else if (diff.storage && !diff.storage.compared) {
+    lines.push(`\n### Storage\n- Not compared: ${diff.storage.reason}`);
+  }
+  
+  // DOM changes
+  if (diff.dom.htmlChanged) {
+    lines.push('\n### DOM Changes');
+    lines.push(`- Size: ${diff.dom.beforeLength} → ${diff.dom.afterLength} chars`);
+    if (diff.dom.elementChanges && Object.keys(diff.dom.elementChanges).length > 0) {
+      lines.push('- Element changes:');
+      for (const [tag, change] of Object.entries(diff.dom.elementChanges)) {
+        lines.push(`  - \`<${tag}>\`: ${change.before} → ${change.after} (${change.diff > 0 ? '+' : ''}${change.diff})`);
+      }
+    }
+    if (diff.dom.treeDiff?.changes.length > 0) {
+      const shown = diff.dom.treeDiff.changes.slice(0, 10);
+      lines.push(`- Top node changes (${shown.length} of ${diff.dom.treeDiff.total}):`);
+      shown.forEach(c => lines.push(`  - ${formatTreeChange(c)}`));
+    }
+  }
+  
+  // Visual changes
+  if (diff.visual?.compared && diff.visual.changed) {
+    lines.push('\n### Visual Changes');
+    lines.push(`- Changed pixels: ${formatRatio(diff.visual.changedRatio)} (threshold ${diff.visual.threshold})`);
+    if (diff.visual.sizeChanged) {
+      const { beforeSize, afterSize } = diff.visual;
+      lines.push(`- Size: ${beforeSize.width}×${beforeSize.height} → ${afterSize.width}×${afterSize.height}`);
+    }
+    lines.push(`- Regions (${diff.visual.regionCount}):`);
+    for (const r of diff.visual.regions.slice(0, 5)) {
+      lines.push(`  - ${r.width}×${r.height} at (${r.x}, ${r.y}), ${r.pixels} px`);
+    }
+    if (diff.visual.diffImage?.path) {
+      lines.push(`- Diff image: \`${diff.visual.diffImage.path}\``);
+    }
+  } else if (diff.visual && !diff.visual.compared) {
+    lines.push(`\n### Visual Changes\n- Not compared: ${diff.visual.reason}`);
+  }
+  
+  lines.push(`\n**Recommendation:** ${diff.summary.recommendation}`);
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format a visible-text comparison for AI consumption
+ * @param {Object} textDiff - Result of compareText
+ * @param {string} beforeName - First session name
+ * @param {string} afterName - Second session name
+ * @returns {string} Markdown with a unified diff block
+ */
+export function formatTextDiffForAI(textDiff, beforeName, afterName) {
+  const lines = ['## Visible Text Comparison\n'];
+  lines.push(`**Sessions:** ${beforeName} → ${afterName}\n`);
+
+  if (!textDiff.changed) {
+    lines.push(`✅ Visible text unchanged (${textDiff.afterLines} lines)`);
+    return lines.join('\n');
+  }
+
+  lines.push(`**${textDiff.added} line(s) added, ${textDiff.removed} removed** (${textDiff.beforeLines} → ${textDiff.afterLines} lines)\n`);
+  lines.push('```diff');
+  lines.push(toUnifiedDiff(textDiff, beforeName, afterName).trimEnd());
+  lines.push('```');
+  if (textDiff.truncated) {
+    lines.push(`\n_Showing the first ${textDiff.hunks.length} changed sections._`);
+  }
+  return lines.join('\n');
+}
+
+// ===== Accessibility audit =====
+
+export const A11Y_RULES = ['image-alt', 'label', 'button-name', 'link-name', 'html-has-lang', 'color-contrast', 'heading-order', 'duplicate-id'];
+export const A11Y_SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+// The rule set shared with the extension and Playwright, read on first use
+const A11Y_AUDIT_SCRIPT = new URL('../extension/a11y-audit.js', import.meta.url);
+let a11yAuditSource = null;
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID';
+  return error;
+}
+
+/**
+ * Run the accessibility rules against a DOM snapshot
+ * Inline styles and <style> blocks are applied; linked stylesheets aren't loaded, so
+ * colour contrast is only checked where the snapshot itself sets the colours.
+ * @param {Object|string} snapshot - DOM snapshot { html, url } or an HTML string
+ * @returns {Object} { url, title, timestamp, source: 'snapshot', rules, findings, contrast }
+ */
+export function auditAccessibility(snapshot) {
+  const { html, url } = typeof snapshot === 'string' ? { html: snapshot } : (snapshot || {});
+  a11yAuditSource ??= fs.readFileSync(A11Y_AUDIT_SCRIPT, 'utf8');
+
+  let dom;
+  try {
+    dom = new JSDOM(html || '', { url: url || undefined, runScripts: 'outside-only' });
+  } catch (e) {
+    // Snapshot URLs like chrome:// aren't accepted by JSDOM
+    dom = new JSDOM(html || '', { runScripts: 'outside-only' });
+  }
+  try {
+    dom.window.eval(a11yAuditSource);
+    const audit = dom.window.__aiTestBridgeAuditAccessibility();
+    return { ...audit, url: url || null, timestamp: snapshot?.timestamp || audit.timestamp, source: 'snapshot' };
+  } finally {
+    dom.window.close();
+  }
+}
+
+/**
+ * Narrow an audit to some rules and a minimum severity, and count what's left
+ * @param {Object} audit - Result of auditAccessibility or of the page audit
+ * @param {Object} options - { rules: list or comma-separated rule ids, severity: minimum severity,
+ *   limit: findings kept (default: 100) }
+ * @returns {Object} The audit with filtered findings, total, counts { bySeverity, byRule } and truncated
+ * @throws {Error} With `code` 'INVALID' for an unknown rule or severity
+ */
+export function filterAudit(audit, options = {}) {
+  const rules = [options.rules ?? []].flat().join(',').split(',').map(r => r.trim()).filter(Boolean);
+  for (const rule of rules) {
+    if (!A11Y_RULES.includes(rule)) throw invalid(`Unknown rule: ${rule} (expected ${A11Y_RULES.join(', ')})`);
+  }
+  const severity = options.severity || 'minor';
+  if (!A11Y_SEVERITIES.includes(severity)) {
+    throw invalid(`Unknown severity: ${severity} (expected ${A11Y_SEVERITIES.join(', ')})`);
+  }
+  const limit = options.limit ?? 100;
+
+  const findings = audit.findings.filter(f =>
+    (rules.length === 0 || rules.includes(f.rule)) &&
+    A11Y_SEVERITIES.indexOf(f.severity) <= A11Y_SEVERITIES.indexOf(severity));
+
+  const bySeverity = Object.fromEntries(A11Y_SEVERITIES.map(s => [s, 0]));
+  const byRule = {};
+  for (const finding of findings) {
+    bySeverity[finding.severity]++;
+    byRule[finding.rule] = (byRule[finding.rule] || 0) + 1;
+  }
+
+  return {
+    ...audit,
+    findings: findings.slice(0, limit),
+    total: findings.length,
+    counts: { bySeverity, byRule },
+    truncated: findings.length > limit
+  };
+}
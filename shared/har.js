@@ -0,0 +1,277 @@
+// HAR - Convert captured network requests to HTTP Archive 1.2 and back
+// Both the extension's network log and Playwright's recorded traffic use the request shape from
+// network-utils.js, so one serializer covers both. Fields HAR has no place for travel as
+// underscore-prefixed custom fields (_resourceType, _error, ...), as Chrome DevTools does.
+
+import { normalizeHeaders, normalizeResourceType, isTextContentType, truncateBody } from './network-utils.js';
+
+export const HAR_VERSION = '1.2';
+
+const CREATOR = { name: 'BrowserDevWizard', version: '1.0.0' };
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID';
+  return error;
+}
+
+// { name: value } headers as a HAR list; combined Set-Cookie values stay one header
+function headerList(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    return [];
+  }
+}
+
+function requestCookies(header) {
+  if (!header) return [];
+  return header.split(';').map(pair => pair.trim()).filter(Boolean).map((pair) => {
+    const index = pair.indexOf('=');
+    return index < 0 ? { name: pair, value: '' } : { name: pair.slice(0, index), value: pair.slice(index + 1) };
+  });
+}
+
+// Set-Cookie values may have been joined with ", " - split only where a new name=value starts
+function responseCookies(header) {
+  if (!header) return [];
+  return header.split(/,\s*(?=[^;,=\s]+=)/).map((cookie) => {
+    const [pair, ...attributes] = cookie.split(';');
+    const index = pair.indexOf('=');
+    const result = { name: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim() };
+    for (const attribute of attributes) {
+      const [key, ...rest] = attribute.split('=');
+      const value = rest.join('=').trim();
+      switch (key.trim().toLowerCase()) {
+        case 'path': result.path = value; break;
+        case 'domain': result.domain = value; break;
+        case 'expires': if (!Number.isNaN(Date.parse(value))) result.expires = new Date(value).toISOString(); break;
+        case 'httponly': result.httpOnly = true; break;
+        case 'secure': result.secure = true; break;
+      }
+    }
+    return result;
+  }).filter(c => c.name);
+}
+
+// Split a request's timing (ms from start) into HAR phases; -1 marks a phase that wasn't measured
+function harTimings(request) {
+  const t = request.timing || {};
+  const known = (value) => value !== undefined && value >= 0;
+  const span = (from, to) => known(from) && known(to) ? Math.max(0, to - from) : -1;
+
+  const dns = span(t.domainLookupStart, t.domainLookupEnd);
+  const connect = span(t.connectStart, t.connectEnd);
+  const ssl = span(t.secureConnectionStart, t.connectEnd);
+  const ready = known(t.connectEnd) ? t.connectEnd : known(t.domainLookupEnd) ? t.domainLookupEnd : 0;
+  const blocked = known(t.requestStart) ? Math.max(0, t.requestStart - ready) : -1;
+  const requestStart = known(t.requestStart) ? t.requestStart : 0;
+
+  let wait = known(t.responseStart) ? Math.max(0, t.responseStart - requestStart) : -1;
+  const receive = span(t.responseStart, t.responseEnd);
+  if (wait < 0) {
+    // Only the total is known (failed requests, some HAR sources)
+    wait = Math.max(0, (request.durationMs ?? 0) - requestStart);
+  }
+  return { blocked, dns, connect, send: 0, wait, receive: Math.max(receive, 0), ssl };
+}
+
+/**
+ * Convert captured requests into a HAR 1.2 document
+ * @param {Array<Object>} requests - Requests in the network-utils shape
+ * @param {Object} options - { page: { url, title, startedDateTime } adds one page all entries
+ *   refer to, creator: { name, version }, comment }
+ * @returns {Object} HAR document ({ log: { version, creator, pages, entries } })
+ */
+export function toHar(requests, options = {}) {
+  const sorted = [...requests].sort((a, b) => a.startTime - b.startTime);
+  const pages = [];
+  if (options.page) {
+    const started = options.page.startedDateTime || sorted[0]?.startTime || Date.now();
+    pages.push({
+      startedDateTime: new Date(started).toISOString(),
+      id: 'page_1',
+      title: options.page.title || options.page.url || '',
+      pageTimings: { onContentLoad: -1, onLoad: -1 }
+    });
+  }
+
+  const entries = sorted.map((request) => {
+    const requestHeaders = request.requestHeaders || {};
+    const responseHeaders = request.responseHeaders || {};
+    const timings = harTimings(request);
+    const contentLength = Number(responseHeaders['content-length']);
+
+    const entry = {
+      ...(pages.length > 0 ? { pageref: 'page_1' } : {}),
+      startedDateTime: new Date(request.startTime).toISOString(),
+      time: Object.entries(timings)
+        .filter(([phase, value]) => phase !== 'ssl' && value > 0)
+        .reduce((sum, [, value]) => sum + value, 0),
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: '',
+        cookies: requestCookies(requestHeaders.cookie),
+        headers: headerList(requestHeaders),
+        queryString: queryString(request.url),
+        headersSize: -1,
+        bodySize: request.requestBody != null ? request.requestBody.length : (request.method === 'GET' ? 0 : -1)
+      },
+      response: {
+        status: request.status || 0,
+        statusText: request.statusText || '',
+        httpVersion: '',
+        cookies: responseCookies(responseHeaders['set-cookie']),
+        headers: headerList(responseHeaders),
+        content: {
+          size: request.responseBody != null ? request.responseBody.length : (contentLength >= 0 ? contentLength : 0),
+          mimeType: responseHeaders['content-type'] || 'x-unknown'
+        },
+        redirectURL: request.redirectUrl || '',
+        headersSize: -1,
+        bodySize: contentLength >= 0 ? contentLength : -1
+      },
+      cache: {},
+      timings,
+      _resourceType: request.type
+    };
+
+    if (request.requestBody != null) {
+      entry.request.postData = {
+        mimeType: requestHeaders['content-type'] || '',
+        text: request.requestBody
+      };
+    }
+    if (request.responseBody != null) {
+      entry.response.content.text = request.responseBody;
+    }
+    if (request.bodyTruncated) {
+      entry._bodyTruncated = true;
+    }
+    if (request.error) {
+      entry.response._error = request.error;
+    }
+    if (request.remoteAddress) {
+      entry.serverIPAddress = request.remoteAddress;
+    }
+    if (request.fromCache) {
+      entry._fromCache = 'disk';
+    }
+    if (request.clientId) {
+      entry._clientId = request.clientId;
+    }
+    return entry;
+  });
+
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: options.creator || CREATOR,
+      pages,
+      entries,
+      ...(options.comment ? { comment: options.comment } : {})
+    }
+  };
+}
+
+// Resource type from the response MIME type, for HAR files without _resourceType
+function typeFromMimeType(mimeType = '') {
+  if (/html/i.test(mimeType)) return 'document';
+  if (/css/i.test(mimeType)) return 'stylesheet';
+  if (/javascript|ecmascript/i.test(mimeType)) return 'script';
+  if (/^image\//i.test(mimeType)) return 'image';
+  if (/^font\/|woff|opentype|truetype/i.test(mimeType)) return 'font';
+  if (/^(audio|video)\//i.test(mimeType)) return 'media';
+  if (/event-stream/i.test(mimeType)) return 'eventsource';
+  if (/json|xml/i.test(mimeType)) return 'xhr';
+  return 'other';
+}
+
+// Response text of a HAR entry; base64 content is only kept when it is text
+function contentText(content = {}) {
+  if (typeof content.text !== 'string') return null;
+  if (content.encoding !== 'base64') return content.text;
+  return isTextContentType(content.mimeType) ? Buffer.from(content.text, 'base64').toString('utf8') : null;
+}
+
+/**
+ * Read a HAR document back into captured requests
+ * @param {Object|string} har - HAR document or its JSON text
+ * @returns {{ requests: Array<Object>, pages: Array<Object>, creator: Object|null }}
+ *   requests are in the network-utils shape, oldest first
+ * @throws {Error} With `code` 'INVALID' if it isn't a HAR document
+ */
+export function fromHar(har) {
+  if (typeof har === 'string') {
+    try {
+      har = JSON.parse(har);
+    } catch (error) {
+      throw invalid(`Not a HAR file: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(har?.log?.entries)) {
+    throw invalid('Not a HAR file: log.entries is missing');
+  }
+
+  const requests = har.log.entries.map((entry, index) => {
+    const request = entry.request || {};
+    const response = entry.response || {};
+    const timings = entry.timings || {};
+    const startTime = Date.parse(entry.startedDateTime);
+    if (!request.url || Number.isNaN(startTime)) {
+      throw invalid(`Not a HAR file: entry ${index} has no request URL or start time`);
+    }
+
+    // Phase durations back to offsets from the start
+    const phase = (value) => value > 0 ? value : 0;
+    const requestStart = phase(timings.blocked) + phase(timings.dns) + phase(timings.connect) + phase(timings.send);
+    const responseStart = requestStart + phase(timings.wait);
+    const durationMs = Math.round(entry.time ?? responseStart + phase(timings.receive));
+    const responseHeaders = normalizeHeaders(response.headers || []);
+    const sent = truncateBody(request.postData?.text ?? null);
+    const received = truncateBody(contentText(response.content));
+    const status = response.status || null;
+
+    return {
+      id: `har-${index + 1}`,
+      url: request.url,
+      method: (request.method || 'GET').toUpperCase(),
+      type: entry._resourceType
+        ? normalizeResourceType(entry._resourceType)
+        : typeFromMimeType(response.content?.mimeType || responseHeaders['content-type']),
+      status,
+      statusText: response.statusText || '',
+      requestHeaders: normalizeHeaders(request.headers || []),
+      responseHeaders,
+      requestBody: sent.body,
+      responseBody: received.body,
+      bodyTruncated: !!entry._bodyTruncated || sent.truncated || received.truncated,
+      startTime,
+      endTime: startTime + durationMs,
+      durationMs,
+      timing: {
+        requestStart: Math.round(requestStart),
+        responseStart: status ? Math.round(responseStart) : -1,
+        responseEnd: status ? durationMs : -1
+      },
+      fromCache: !!entry._fromCache,
+      remoteAddress: entry.serverIPAddress ? entry.serverIPAddress.replace(/^\[|\]$/g, '') : null,
+      redirectUrl: response.redirectURL || null,
+      error: response._error || (status ? null : 'failed'),
+      tabId: null,
+      documentUrl: null,
+      ...(entry._clientId ? { clientId: entry._clientId } : {})
+    };
+  });
+
+  return {
+    requests: requests.sort((a, b) => a.startTime - b.startTime),
+    pages: har.log.pages || [],
+    creator: har.log.creator || null
+  };
+}
@@ -0,0 +1,325 @@
+// HTML Report - Render a session or a session comparison as one self-contained page
+// Screenshots are embedded as data URLs and styles are inline, so the page works offline
+// and can be saved as a single file. No scripts are used.
+
+import { formatMetricValue, summarizePerformance } from './performance-utils.js';
+import { STORAGE_AREAS } from './storage-utils.js';
+
+const STYLES = `
+  body { font: 14px/1.45 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  main { max-width: 1400px; margin: 0 auto; padding: 24px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 17px; margin: 28px 0 10px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+  .muted { color: #656d76; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; }
+  .meta { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 12px 0; }
+  .meta dt { color: #656d76; }
+  .meta dd { margin: 0; word-break: break-all; }
+  .tag { display: inline-block; background: #ddf4ff; color: #0969da; border-radius: 10px; padding: 0 8px; margin-right: 4px; font-size: 12px; }
+  .shots { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; }
+  .shots figure { margin: 0; }
+  .shots img { width: 100%; border: 1px solid #d0d7de; border-radius: 4px; background: #fff; }
+  .shots figcaption { font-weight: 600; margin-bottom: 6px; }
+  table { width: 100%; border-collapse: collapse; background: #fff; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+  th { background: #f6f8fa; }
+  td.message, td.mono, .mono { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; white-space: pre-wrap; word-break: break-word; }
+  tr.error td { background: #ffebe9; }
+  tr.warn td { background: #fff8c5; }
+  tr.info td { background: #ddf4ff; }
+  tr.debug td { color: #656d76; }
+  ol.timeline { list-style: none; padding: 0; margin: 0; }
+  ol.timeline li { padding: 6px 10px; border-left: 4px solid #1a7f37; background: #fff; margin-bottom: 4px; }
+  ol.timeline li.failed { border-left-color: #cf222e; background: #ffebe9; }
+  .ok { color: #1a7f37; font-weight: 600; }
+  .bad { color: #cf222e; font-weight: 600; }
+  ul.changes { list-style: none; padding: 0; margin: 0; }
+  ul.changes li { padding: 6px 10px; margin-bottom: 4px; background: #fff; border-left: 4px solid #8c959f; }
+  ul.changes li.added { border-left-color: #1a7f37; }
+  ul.changes li.removed { border-left-color: #cf222e; }
+  ul.changes li.modified { border-left-color: #9a6700; }
+  del { background: #ffebe9; text-decoration: line-through; }
+  ins { background: #dafbe1; text-decoration: none; }
+  pre.diff { background: #fff; border: 1px solid #d0d7de; padding: 8px; overflow-x: auto; }
+  pre.diff span { display: block; }
+  pre.diff .add { background: #dafbe1; }
+  pre.diff .del { background: #ffebe9; }
+  pre.diff .hunk { color: #8250df; }
+  .summary li { margin: 2px 0; }
+  details summary { cursor: pointer; color: #0969da; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatTime(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? escapeHtml(timestamp) : date.toISOString().replace('T', ' ').slice(0, 23);
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+${body}
+<p class="muted">Generated ${escapeHtml(new Date().toISOString())}</p>
+</main>
+</body>
+</html>
+`;
+}
+
+function screenshotFigure(caption, dataUrl) {
+  return `<figure><figcaption>${escapeHtml(caption)}</figcaption>${dataUrl
+    ? `<img src="${escapeHtml(dataUrl)}" alt="${escapeHtml(caption)}">`
+    : '<p class="muted">No screenshot</p>'}</figure>`;
+}
+
+function consoleTable(logs) {
+  if (logs.length === 0) return '<p class="muted">No console entries</p>';
+  const rows = logs.map(entry => {
+    const level = entry.method || 'log';
+    const message = entry.args?.join(' ') || entry.message || '';
+    return `<tr class="${escapeHtml(level)}"><td class="mono">${formatTime(entry.timestamp)}</td><td>${escapeHtml(level)}</td><td class="message">${escapeHtml(message)}</td><td class="mono">${escapeHtml(entry.url || '')}</td></tr>`;
+  });
+  return `<table><thead><tr><th>Time</th><th>Level</th><th>Message</th><th>URL</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function eventTimeline(events) {
+  if (events.length === 0) return '<p class="muted">No events</p>';
+  const items = [...events]
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+    .map(event => {
+      const failed = event.success === false;
+      return `<li${failed ? ' class="failed"' : ''}><span class="mono">${formatTime(event.timestamp)}</span> ` +
+        `<span class="${failed ? 'bad' : 'ok'}">${failed ? '✗' : '✓'}</span> ` +
+        `<strong>${escapeHtml(event.action || 'event')}</strong>` +
+        `${event.selector ? ` <code>${escapeHtml(event.selector)}</code>` : ''}` +
+        `${event.url ? ` <span class="muted">${escapeHtml(event.url)}</span>` : ''}` +
+        `${failed ? `<div class="bad">${escapeHtml(event.error || 'unknown error')}</div>` : ''}</li>`;
+    });
+  return `<ol class="timeline">${items.join('')}</ol>`;
+}
+
+function metricsTable(metrics) {
+  const rows = summarizePerformance(metrics).map(m =>
+    `<tr${m.overBudget ? ' class="error"' : ''}><td>${escapeHtml(m.label)}</td><td>${escapeHtml(formatMetricValue(m.value, m.unit))}</td>` +
+    `<td>${m.max != null ? escapeHtml(formatMetricValue(m.max, m.unit)) : ''}</td></tr>`);
+  return `<table><thead><tr><th>Metric</th><th>Value</th><th>Budget</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function storageTable(storage) {
+  const rows = [
+    ...(storage.cookies || []).map(c =>
+      `<tr><td>cookies</td><td class="mono">${escapeHtml(c.name)}</td><td class="message mono">${escapeHtml(c.value)}</td>` +
+      `<td class="mono">${escapeHtml(`${c.domain}${c.path}`)}${c.httpOnly ? ' <span class="muted">HttpOnly</span>' : ''}${c.secure ? ' <span class="muted">Secure</span>' : ''}</td></tr>`),
+    ...['localStorage', 'sessionStorage'].flatMap(area => Object.entries(storage[area] || {}).map(([name, value]) =>
+      `<tr><td>${area}</td><td class="mono">${escapeHtml(name)}</td><td class="message mono">${escapeHtml(value)}</td><td></td></tr>`))
+  ];
+  if (rows.length === 0) return '<p class="muted">No cookies or storage items</p>';
+  return `<table><thead><tr><th>Area</th><th>Name</th><th>Value</th><th>Scope</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function metaList(entries) {
+  const rows = entries
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${value}</dd>`);
+  return `<dl class="meta card">${rows.join('')}</dl>`;
+}
+
+function describeAction(action) {
+  if (!action) return null;
+  if (typeof action === 'string') return escapeHtml(action);
+  return escapeHtml(`${action.action}${action.selector ? ` ${action.selector}` : ''}${action.success === false ? ' (failed)' : ''}`);
+}
+
+/**
+ * Render one capture session
+ * @param {Object} session - Session data as returned by readSession (with meta)
+ * @param {Object} options - { screenshot: data URL of the screenshot, visibleText: string[] }
+ * @returns {string} HTML document
+ */
+export function renderSessionReport(session, options = {}) {
+  const meta = session.meta || {};
+  const logs = session.console_logs?.logs || [];
+  const events = session.events?.events || [];
+  const errors = logs.filter(l => l.method === 'error').length;
+  const failed = events.filter(e => e.success === false).length;
+
+  const body = [
+    `<h1>Session ${escapeHtml(session.name)}</h1>`,
+    `<p>${errors > 0 ? `<span class="bad">${errors} console error(s)</span>` : '<span class="ok">No console errors</span>'} · ` +
+      `${failed > 0 ? `<span class="bad">${failed} failed action(s)</span>` : '<span class="ok">No failed actions</span>'}</p>`,
+    metaList([
+      ['URL', escapeHtml(session.dom_snapshot?.url || meta.url)],
+      ['Captured', formatTime(meta.createdAt || session.dom_snapshot?.timestamp)],
+      ['Browser', escapeHtml(meta.clientName || meta.clientId)],
+      ['Action', describeAction(meta.action)],
+      ['Parent', escapeHtml(meta.parent)],
+      ['Tags', (meta.tags || []).map(t => `<span class="tag">${escapeHtml(t)}</span>`).join('')],
+      ['Note', escapeHtml(meta.note)]
+    ]),
+    '<h2>Screenshot</h2>',
+    `<div class="shots">${screenshotFigure(session.name, options.screenshot)}</div>`,
+    `<h2>Console (${logs.length})</h2>`,
+    consoleTable(logs),
+    `<h2>Events (${events.length})</h2>`,
+    eventTimeline(events),
+    session.performance ? `<h2>Performance</h2>${metricsTable(session.performance)}` : '',
+    session.storage ? `<h2>Storage (${escapeHtml(session.storage.origin)})</h2>${storageTable(session.storage)}` : '',
+    '<h2>Page</h2>',
+    `<p>${(session.dom_snapshot?.html?.length || 0).toLocaleString('en-US')} characters of HTML</p>`,
+    options.visibleText
+      ? `<details><summary>Visible text (${options.visibleText.length} lines)</summary><pre class="mono card">${escapeHtml(options.visibleText.join('\n'))}</pre></details>`
+      : ''
+  ];
+
+  return page(`Session ${session.name}`, body.join('\n'));
+}
+
+function treeChangeItem(change) {
+  const path = `<code>${escapeHtml(change.path)}</code>`;
+  if (change.type !== 'modified') {
+    const sign = change.type === 'added' ? '+ added' : '− removed';
+    return `<li class="${change.type}"><strong>${sign}</strong> ${path}${change.text ? `<div class="mono">${escapeHtml(change.text)}</div>` : ''}</li>`;
+  }
+
+  const details = [];
+  if (change.oldText !== undefined) {
+    details.push(`<div>text: <del>${escapeHtml(change.oldText)}</del> → <ins>${escapeHtml(change.newText)}</ins></div>`);
+  }
+  if (change.contentChanged) details.push('<div>content changed</div>');
+  for (const [name, value] of Object.entries(change.attributes || {})) {
+    details.push(`<div><code>${escapeHtml(name)}</code>: ${value.before === null ? '<span class="muted">(none)</span>' : `<del>${escapeHtml(value.before)}</del>`} → ${value.after === null ? '<span class="muted">(none)</span>' : `<ins>${escapeHtml(value.after)}</ins>`}</div>`);
+  }
+  return `<li class="modified"><strong>~ modified</strong> ${path}${details.join('')}</li>`;
+}
+
+function networkChanges(network) {
+  if (!network.hasNewFailures && network.statusChangesCount === 0) {
+    return '<p class="muted">No new failed requests or status changes</p>';
+  }
+  const rows = [
+    ...network.newFailures.map(r =>
+      `<tr class="error"><td>${escapeHtml(r.method)}</td><td class="mono">${escapeHtml(r.url)}</td><td>${escapeHtml(r.type)}</td>` +
+      `<td class="bad">${escapeHtml(r.status || r.error)}</td></tr>`),
+    ...network.statusChanges.map(c =>
+      `<tr><td>${escapeHtml(c.method)}</td><td class="mono">${escapeHtml(c.url)}</td><td></td>` +
+      `<td><del>${escapeHtml(c.before ?? 'failed')}</del> → <ins>${escapeHtml(c.after ?? 'failed')}</ins></td></tr>`)
+  ];
+  return `<table><thead><tr><th>Method</th><th>URL</th><th>Type</th><th>Status</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function performanceTable(performance) {
+  if (!performance.compared) {
+    return `<p class="muted">Not compared: ${escapeHtml(performance.reason)}</p>`;
+  }
+  const rows = performance.metrics.map((m) => {
+    const change = m.changeRatio != null ? `${m.changeRatio > 0 ? '+' : ''}${Math.round(m.changeRatio * 100)}%` : '';
+    return `<tr${m.regressed ? ' class="error"' : ''}><td>${escapeHtml(m.label)}</td>` +
+      `<td>${escapeHtml(formatMetricValue(m.before, m.unit))}</td><td>${escapeHtml(formatMetricValue(m.after, m.unit))}</td>` +
+      `<td${m.regressed ? ' class="bad"' : m.improved ? ' class="ok"' : ''}>${escapeHtml(change)}</td>` +
+      `<td>${m.budget.max != null ? escapeHtml(formatMetricValue(m.budget.max, m.unit)) : ''}</td>` +
+      `<td>${escapeHtml(m.reason || '')}</td></tr>`;
+  });
+  return `<table><thead><tr><th>Metric</th><th>Before</th><th>After</th><th>Change</th><th>Budget</th><th></th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function storageChanges(storage) {
+  if (!storage.compared) {
+    return `<p class="muted">Not compared: ${escapeHtml(storage.reason)}</p>`;
+  }
+  if (!storage.hasChanges) {
+    return '<p class="muted">No cookie or storage changes</p>';
+  }
+  const name = (item) => `<td class="mono">${escapeHtml(item.name)}${item.domain ? ` <span class="muted">${escapeHtml(`${item.domain}${item.path}`)}</span>` : ''}</td>`;
+  const rows = STORAGE_AREAS.filter(area => storage[area]).flatMap(area => [
+    ...storage[area].added.map(i => `<tr><td>${area}</td>${name(i)}<td class="mono"><ins>${escapeHtml(i.value)}</ins></td></tr>`),
+    ...storage[area].removed.map(i => `<tr><td>${area}</td>${name(i)}<td class="mono"><del>${escapeHtml(i.value)}</del></td></tr>`),
+    ...storage[area].changed.map(i => `<tr><td>${area}</td>${name(i)}<td class="mono"><del>${escapeHtml(i.before)}</del> → <ins>${escapeHtml(i.value)}</ins></td></tr>`)
+  ]);
+  return `<table><thead><tr><th>Area</th><th>Name</th><th>Value</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function unifiedDiff(textDiff) {
+  const lines = [];
+  for (const hunk of textDiff.hunks) {
+    lines.push(`<span class="hunk">@@ -${hunk.beforeStart},${hunk.beforeLines} +${hunk.afterStart},${hunk.afterLines} @@</span>`);
+    for (const line of hunk.lines) {
+      const cls = line[0] === '+' ? 'add' : line[0] === '-' ? 'del' : '';
+      lines.push(`<span class="${cls}">${escapeHtml(line)}</span>`);
+    }
+  }
+  return `<pre class="diff mono">${lines.join('')}</pre>`;
+}
+
+/**
+ * Render a comparison of two sessions
+ * @param {Object} diff - Result of compareSessions
+ * @param {Object} options - { screenshots: { before, after, diff } as data URLs, textDiff: compareText result }
+ * @returns {string} HTML document
+ */
+export function renderDiffReport(diff, options = {}) {
+  const { before, after } = diff.sessions;
+  const shots = options.screenshots || {};
+  const { summary, dom, visual } = diff;
+
+  const body = [
+    `<h1>${escapeHtml(before)} → ${escapeHtml(after)}</h1>`,
+    `<div class="card summary"><ul>`,
+    ...summary.issues.map(i => `<li class="bad">⚠️ ${escapeHtml(i)}</li>`),
+    ...summary.changes.map(c => `<li>📝 ${escapeHtml(c)}</li>`),
+    !summary.hasIssues && !summary.hasChanges ? '<li class="ok">✅ No significant changes or issues detected</li>' : '',
+    `</ul><p><strong>Recommendation:</strong> ${escapeHtml(summary.recommendation)}</p></div>`,
+
+    '<h2>Screenshots</h2>',
+    `<div class="shots">${screenshotFigure(`Before: ${before}`, shots.before)}${screenshotFigure(`After: ${after}`, shots.after)}` +
+      `${shots.diff ? screenshotFigure('Changes', shots.diff) : ''}</div>`,
+    visual?.compared
+      ? `<p>${visual.changed ? `<span class="bad">${(visual.changedRatio * 100).toFixed(2)}% of pixels changed</span> in ${visual.regionCount} region(s)` : '<span class="ok">No visible change</span>'} <span class="muted">(threshold ${visual.threshold})</span></p>`
+      : visual ? `<p class="muted">Not compared: ${escapeHtml(visual.reason)}</p>` : '',
+
+    `<h2>New Console Entries (${diff.console.newLogs.length})</h2>`,
+    consoleTable(diff.console.newLogs),
+
+    `<h2>New Events (${diff.events.newEvents.length})</h2>`,
+    eventTimeline(diff.events.newEvents),
+
+    diff.network
+      ? `<h2>Network (${diff.network.beforeCount} → ${diff.network.afterCount} requests)</h2>${networkChanges(diff.network)}`
+      : '',
+
+    diff.performance ? `<h2>Performance</h2>${performanceTable(diff.performance)}` : '',
+
+    diff.storage ? `<h2>Storage</h2>${storageChanges(diff.storage)}` : '',
+
+    '<h2>DOM Changes</h2>',
+    dom.urlChanged ? `<p>URL: <del>${escapeHtml(dom.beforeUrl)}</del> → <ins>${escapeHtml(dom.afterUrl)}</ins></p>` : '',
+    `<p>HTML size: ${dom.beforeLength.toLocaleString('en-US')} → ${dom.afterLength.toLocaleString('en-US')} characters</p>`,
+    dom.treeDiff?.changes.length > 0
+      ? `<p class="muted">${dom.treeDiff.counts.added} added, ${dom.treeDiff.counts.removed} removed, ${dom.treeDiff.counts.modified} modified` +
+        `${dom.treeDiff.truncated ? ` - showing the ${dom.treeDiff.changes.length} most relevant` : ''}</p>` +
+        `<ul class="changes">${dom.treeDiff.changes.map(treeChangeItem).join('')}</ul>`
+      : `<p class="muted">${dom.htmlChanged ? 'No node-level changes' : 'DOM unchanged'}</p>`,
+
+    options.textDiff?.changed
+      ? `<h2>Visible Text (${options.textDiff.added} added, ${options.textDiff.removed} removed)</h2>${unifiedDiff(options.textDiff)}`
+      : ''
+  ];
+
+  return page(`${before} → ${after}`, body.join('\n'));
+}
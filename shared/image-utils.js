@@ -0,0 +1,257 @@
+// Image Utilities - Decode, encode and resize screenshots in plain JavaScript
+// Works on raw RGBA bitmaps ({ width, height, data }) so no native image library is needed.
+
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+
+export const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg' };
+
+/**
+ * Split a data URL into its image type and bytes
+ * @param {string} dataUrl - e.g. "data:image/png;base64,..."
+ * @returns {{ mimeType: string, buffer: Buffer }|null}
+ */
+export function decodeDataUrl(dataUrl) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(dataUrl || '');
+  if (!match) return null;
+  return { mimeType: match[1], buffer: Buffer.from(match[2], 'base64') };
+}
+
+/**
+ * Decode a PNG or JPEG into an RGBA bitmap
+ * @param {Buffer} buffer - Encoded image
+ * @param {string} mimeType - image/png or image/jpeg
+ * @returns {{ width: number, height: number, data: Buffer }}
+ */
+export function decodeImage(buffer, mimeType = 'image/png') {
+  if (mimeType === 'image/jpeg') {
+    const { width, height, data } = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { width, height, data: Buffer.from(data) };
+  }
+  const { width, height, data } = PNG.sync.read(buffer);
+  return { width, height, data };
+}
+
+/**
+ * Encode an RGBA bitmap as PNG
+ * @param {{ width: number, height: number, data: Buffer }} image
+ * @returns {Buffer}
+ */
+export function encodePng(image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  image.data.copy(png.data);
+  return PNG.sync.write(png);
+}
+
+/**
+ * Downscale a bitmap to at most maxWidth pixels wide, averaging each source block
+ * @param {{ width: number, height: number, data: Buffer }} image
+ * @param {number} maxWidth - Target width
+ * @returns {{ width: number, height: number, data: Buffer }}
+ */
+export function resizeImage(image, maxWidth) {
+  if (image.width <= maxWidth) return image;
+
+  const scale = image.width / maxWidth;
+  const width = maxWidth;
+  const height = Math.max(1, Math.round(image.height / scale));
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * scale);
+    const y1 = Math.min(image.height, Math.max(y0 + 1, Math.floor((y + 1) * scale)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * scale);
+      const x1 = Math.min(image.width, Math.max(x0 + 1, Math.floor((x + 1) * scale)));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          sum[0] += image.data[i];
+          sum[1] += image.data[i + 1];
+          sum[2] += image.data[i + 2];
+          sum[3] += image.data[i + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        data[o + c] = Math.round(sum[c] / count);
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Create a PNG thumbnail of an encoded screenshot
+ * @param {Buffer} buffer - Encoded image
+ * @param {string} mimeType - image/png or image/jpeg
+ * @param {number} maxWidth - Thumbnail width (default: 320)
+ * @returns {{ buffer: Buffer, width: number, height: number, source: { width: number, height: number } }}
+ */
+export function createThumbnail(buffer, mimeType, maxWidth = 320) {
+  const image = decodeImage(buffer, mimeType);
+  const thumbnail = resizeImage(image, maxWidth);
+  return {
+    buffer: encodePng(thumbnail),
+    width: thumbnail.width,
+    height: thumbnail.height,
+    source: { width: image.width, height: image.height }
+  };
+}
+
+// Colour of a pixel composited over white, so transparent areas compare as the page background
+function blendOverWhite(data, i) {
+  const alpha = data[i + 3] / 255;
+  return [
+    data[i] * alpha + 255 * (1 - alpha),
+    data[i + 1] * alpha + 255 * (1 - alpha),
+    data[i + 2] * alpha + 255 * (1 - alpha)
+  ];
+}
+
+/**
+ * Compare two bitmaps pixel by pixel and group the changes into regions
+ * Images of different sizes are compared over the larger area; pixels that exist
+ * in only one of them count as changed.
+ * @param {{ width: number, height: number, data: Buffer }} before
+ * @param {{ width: number, height: number, data: Buffer }} after
+ * @param {Object} options - { threshold: colour distance 0-1 treated as equal (default: 0.1),
+ *                             cellSize: grid size for grouping changes (default: 16), maxRegions (default: 20) }
+ * @returns {{ width: number, height: number, changedPixels: number, totalPixels: number,
+ *             regions: Array<{ x, y, width, height, pixels }>, regionCount: number, diff: Object }}
+ */
+export function compareImages(before, after, options = {}) {
+  const threshold = options.threshold ?? 0.1;
+  const cellSize = options.cellSize || 16;
+  const maxRegions = options.maxRegions || 20;
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const maxDistance = Math.sqrt(3) * 255;
+
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cells = new Array(cols * rows).fill(null);
+  const diff = { width, height, data: Buffer.alloc(width * height * 4) };
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inBefore = x < before.width && y < before.height;
+      const inAfter = x < after.width && y < after.height;
+      const a = inBefore ? blendOverWhite(before.data, (y * before.width + x) * 4) : null;
+      const b = inAfter ? blendOverWhite(after.data, (y * after.width + x) * 4) : null;
+
+      let changed = !a || !b;
+      if (!changed) {
+        const distance = Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+        changed = distance / maxDistance > threshold;
+      }
+
+      const o = (y * width + x) * 4;
+      if (changed) {
+        changedPixels++;
+        diff.data[o] = 255;
+        diff.data[o + 1] = 0;
+        diff.data[o + 2] = 0;
+
+        const c = Math.floor(y / cellSize) * cols + Math.floor(x / cellSize);
+        const cell = cells[c] || (cells[c] = { minX: x, minY: y, maxX: x, maxY: y, pixels: 0 });
+        cell.minX = Math.min(cell.minX, x);
+        cell.minY = Math.min(cell.minY, y);
+        cell.maxX = Math.max(cell.maxX, x);
+        cell.maxY = Math.max(cell.maxY, y);
+        cell.pixels++;
+      } else {
+        // Unchanged pixels are drawn as a faded greyscale copy of the after image
+        const [r, g, bl] = b || a;
+        const luminance = 0.299 * r + 0.587 * g + 0.114 * bl;
+        const faded = Math.round(255 - (255 - luminance) * 0.3);
+        diff.data[o] = faded;
+        diff.data[o + 1] = faded;
+        diff.data[o + 2] = faded;
+      }
+      diff.data[o + 3] = 255;
+    }
+  }
+
+  // Group neighbouring changed cells into regions
+  const regions = [];
+  const seen = new Uint8Array(cells.length);
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || seen[start]) continue;
+    const region = { minX: Infinity, minY: Infinity, maxX: -1, maxY: -1, pixels: 0 };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const c = stack.pop();
+      const cell = cells[c];
+      region.minX = Math.min(region.minX, cell.minX);
+      region.minY = Math.min(region.minY, cell.minY);
+      region.maxX = Math.max(region.maxX, cell.maxX);
+      region.maxY = Math.max(region.maxY, cell.maxY);
+      region.pixels += cell.pixels;
+
+      const cx = c % cols;
+      const cy = Math.floor(c / cols);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+          const n = ny * cols + nx;
+          if (cells[n] && !seen[n]) {
+            seen[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+    regions.push({
+      x: region.minX,
+      y: region.minY,
+      width: region.maxX - region.minX + 1,
+      height: region.maxY - region.minY + 1,
+      pixels: region.pixels
+    });
+  }
+  regions.sort((a, b) => b.pixels - a.pixels);
+
+  for (const region of regions) {
+    drawRectangle(diff, region, [255, 0, 255]);
+  }
+
+  return {
+    width,
+    height,
+    changedPixels,
+    totalPixels: width * height,
+    regions: regions.slice(0, maxRegions),
+    regionCount: regions.length,
+    diff
+  };
+}
+
+// Outline a region on a bitmap, one pixel outside its bounds where there is room
+function drawRectangle(image, region, color) {
+  const x0 = Math.max(0, region.x - 1);
+  const y0 = Math.max(0, region.y - 1);
+  const x1 = Math.min(image.width - 1, region.x + region.width);
+  const y1 = Math.min(image.height - 1, region.y + region.height);
+  const paint = (x, y) => {
+    const o = (y * image.width + x) * 4;
+    image.data[o] = color[0];
+    image.data[o + 1] = color[1];
+    image.data[o + 2] = color[2];
+    image.data[o + 3] = 255;
+  };
+  for (let x = x0; x <= x1; x++) {
+    paint(x, y0);
+    paint(x, y1);
+  }
+  for (let y = y0; y <= y1; y++) {
+    paint(x0, y);
+    paint(x1, y);
+  }
+}
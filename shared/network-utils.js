@@ -0,0 +1,219 @@
+// Network Utilities - Shared shape and filters for captured network requests
+// Requests come from the extension (webRequest) or from Playwright and are stored as:
+//   { id, url, method, type, status, statusText, requestHeaders, responseHeaders,
+//     requestBody, responseBody, bodyTruncated, startTime, endTime, durationMs, timing,
+//     fromCache, remoteAddress, redirectUrl, error, tabId, documentUrl, clientId }
+// Header names are lower-case. `timing` values are ms relative to startTime, -1 when unknown.
+
+// Largest request or response body kept, in characters
+export const MAX_BODY_LENGTH = 64 * 1024;
+
+// Resource types as reported by Playwright; the extension's webRequest types are mapped onto these
+export const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'xhr', 'fetch',
+  'websocket', 'eventsource', 'manifest', 'ping', 'other'
+];
+
+const WEB_REQUEST_TYPES = {
+  main_frame: 'document',
+  sub_frame: 'document',
+  xmlhttprequest: 'xhr',
+  object: 'other',
+  csp_report: 'other',
+  texttrack: 'media'
+};
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID';
+  return error;
+}
+
+/**
+ * Map a webRequest or Playwright resource type onto RESOURCE_TYPES
+ */
+export function normalizeResourceType(type) {
+  const normalized = WEB_REQUEST_TYPES[type] || type;
+  return RESOURCE_TYPES.includes(normalized) ? normalized : 'other';
+}
+
+/**
+ * Headers as a { lower-case name: value } object
+ * @param {Array<{name, value}>|Object} headers - webRequest header list or a plain object
+ */
+export function normalizeHeaders(headers) {
+  const result = {};
+  if (!headers) return result;
+  const entries = Array.isArray(headers) ? headers.map(h => [h.name, h.value]) : Object.entries(headers);
+  for (const [name, value] of entries) {
+    const key = name.toLowerCase();
+    result[key] = key in result ? `${result[key]}, ${value}` : String(value ?? '');
+  }
+  return result;
+}
+
+/**
+ * Whether a body with this content type is worth keeping as text
+ */
+export function isTextContentType(contentType = '') {
+  return /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i.test(contentType);
+}
+
+/**
+ * Cut a body down to MAX_BODY_LENGTH
+ * @returns {{ body: string, truncated: boolean }}
+ */
+export function truncateBody(body) {
+  if (typeof body !== 'string') return { body: null, truncated: false };
+  return body.length > MAX_BODY_LENGTH
+    ? { body: body.slice(0, MAX_BODY_LENGTH), truncated: true }
+    : { body, truncated: false };
+}
+
+/**
+ * Convert a request reported by the extension's webRequest listeners
+ * @param {Object} raw - { requestId, url, method, type, status, statusLine, requestHeaders, responseHeaders,
+ *   requestBody, responseBody, bodyTruncated, startTime, sendTime, responseTime, endTime, ... }
+ * @returns {Object} Request in the shared shape
+ */
+export function fromWebRequest(raw) {
+  const start = raw.startTime;
+  const relative = (time) => time ? Math.round(time - start) : -1;
+  return {
+    id: String(raw.requestId),
+    url: raw.url,
+    method: raw.method,
+    type: normalizeResourceType(raw.type),
+    status: raw.status || null,
+    statusText: raw.statusLine ? raw.statusLine.replace(/^\S+\s+\d+\s*/, '') : '',
+    requestHeaders: normalizeHeaders(raw.requestHeaders),
+    responseHeaders: normalizeHeaders(raw.responseHeaders),
+    requestBody: raw.requestBody ?? null,
+    responseBody: raw.responseBody ?? null,
+    bodyTruncated: !!raw.bodyTruncated,
+    startTime: Math.round(start),
+    endTime: raw.endTime ? Math.round(raw.endTime) : null,
+    durationMs: raw.endTime ? Math.round(raw.endTime - start) : null,
+    timing: {
+      requestStart: relative(raw.sendTime),
+      responseStart: relative(raw.responseTime),
+      responseEnd: relative(raw.endTime)
+    },
+    fromCache: !!raw.fromCache,
+    remoteAddress: raw.remoteAddress || null,
+    redirectUrl: raw.redirectUrl || null,
+    error: raw.error || null,
+    tabId: raw.tabId,
+    documentUrl: raw.documentUrl || null
+  };
+}
+
+function statusMatcher(term) {
+  if (term === 'failed') return (r) => !r.status;
+  if (term === 'error') return (r) => !r.status || r.status >= 400;
+
+  let match = /^([1-5])xx$/.exec(term);
+  if (match) {
+    const base = Number(match[1]) * 100;
+    return (r) => r.status >= base && r.status < base + 100;
+  }
+  match = /^(\d{3})-(\d{3})$/.exec(term);
+  if (match) {
+    const [low, high] = [Number(match[1]), Number(match[2])];
+    return (r) => r.status >= low && r.status <= high;
+  }
+  match = /^(>=|<=|>|<)(\d{3})$/.exec(term);
+  if (match) {
+    const value = Number(match[2]);
+    const compare = {
+      '>=': (s) => s >= value,
+      '<=': (s) => s <= value,
+      '>': (s) => s > value,
+      '<': (s) => s < value
+    }[match[1]];
+    return (r) => !!r.status && compare(r.status);
+  }
+  if (/^\d{3}$/.test(term)) {
+    const value = Number(term);
+    return (r) => r.status === value;
+  }
+  throw invalid(`Invalid status filter: ${term} (use e.g. 404, 4xx, 400-499, >=400, failed or error)`);
+}
+
+/**
+ * Build a status predicate from a comma-separated filter: 404, 4xx, 400-499, >=400,
+ * failed (no response) or error (failed or >= 400). A request matching any term passes.
+ * @throws {Error} With `code` 'INVALID' for an unknown term
+ */
+export function parseStatusFilter(filter) {
+  const matchers = String(filter).split(',').map(t => t.trim().toLowerCase()).filter(Boolean).map(statusMatcher);
+  return (request) => matchers.some(matches => matches(request));
+}
+
+/**
+ * Filter captured requests, oldest first
+ * @param {Array<Object>} requests - Captured requests
+ * @param {Object} filters - { status, url (regex, case-insensitive), type (string or array),
+ *   method, since (ms), limit (latest N), bodies (keep bodies, default false) }
+ * @returns {{ requests: Array<Object>, matched: number, truncated: boolean, stats: Object }}
+ *   stats (from summarizeNetwork) cover every match, not just the returned ones
+ * @throws {Error} With `code` 'INVALID' for a bad status filter or URL pattern
+ */
+export function filterNetworkRequests(requests, filters = {}) {
+  const predicates = [];
+  if (filters.status !== undefined && filters.status !== '') {
+    predicates.push(parseStatusFilter(filters.status));
+  }
+  if (filters.url) {
+    let pattern;
+    try {
+      pattern = new RegExp(filters.url, 'i');
+    } catch (error) {
+      throw invalid(`Invalid URL pattern: ${error.message}`);
+    }
+    predicates.push((r) => pattern.test(r.url));
+  }
+  const types = [filters.type || []].flat().flatMap(t => t.split(',')).map(t => t.trim()).filter(Boolean);
+  if (types.length > 0) {
+    predicates.push((r) => types.includes(r.type));
+  }
+  if (filters.method) {
+    const method = filters.method.toUpperCase();
+    predicates.push((r) => r.method === method);
+  }
+  if (filters.since) {
+    predicates.push((r) => r.startTime > filters.since);
+  }
+
+  const matched = requests.filter(r => predicates.every(test => test(r)));
+  let result = filters.limit > 0 ? matched.slice(-filters.limit) : matched;
+  if (!filters.bodies) {
+    result = result.map(({ requestBody, responseBody, ...rest }) => rest);
+  }
+  return {
+    requests: result,
+    matched: matched.length,
+    truncated: result.length < matched.length,
+    stats: summarizeNetwork(matched)
+  };
+}
+
+/**
+ * Counts by status class and resource type, plus failures and the slowest requests
+ */
+export function summarizeNetwork(requests) {
+  const stats = { total: requests.length, failed: 0, errors: 0, byStatus: {}, byType: {} };
+  for (const request of requests) {
+    const statusClass = request.status ? `${Math.floor(request.status / 100)}xx` : 'failed';
+    stats.byStatus[statusClass] = (stats.byStatus[statusClass] || 0) + 1;
+    stats.byType[request.type] = (stats.byType[request.type] || 0) + 1;
+    if (!request.status) stats.failed++;
+    if (!request.status || request.status >= 400) stats.errors++;
+  }
+  stats.slowest = [...requests]
+    .filter(r => r.durationMs != null)
+    .sort((a, b) => b.durationMs - a.durationMs)
+    .slice(0, 5)
+    .map(r => ({ method: r.method, url: r.url, status: r.status, durationMs: r.durationMs }));
+  return stats;
+}
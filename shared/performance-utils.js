@@ -0,0 +1,192 @@
+// Performance Utilities - Page performance metrics and budget checks between captures
+// Metrics come from extension/performance-observer.js (extension mode, and Playwright's init
+// script) as { url, timestamp, source, navigation, fcp, lcp, cls, inp, longTasks, resources,
+// jsHeap, cdp }; Playwright adds CDP Performance.getMetrics values under `cdp`.
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID';
+  return error;
+}
+
+// Metrics compared between sessions, in report order. Lower is better for all of them.
+export const PERFORMANCE_METRICS = {
+  ttfb: { label: 'Time to first byte', unit: 'ms', get: m => m.navigation?.ttfb },
+  fcp: { label: 'First contentful paint', unit: 'ms', get: m => m.fcp },
+  lcp: { label: 'Largest contentful paint', unit: 'ms', get: m => m.lcp },
+  domContentLoaded: { label: 'DOMContentLoaded', unit: 'ms', get: m => m.navigation?.domContentLoaded },
+  load: { label: 'Load', unit: 'ms', get: m => m.navigation?.load },
+  cls: { label: 'Cumulative layout shift', unit: '', get: m => m.cls },
+  inp: { label: 'Interaction to next paint', unit: 'ms', get: m => m.inp },
+  totalBlockingTime: { label: 'Total blocking time', unit: 'ms', get: m => m.longTasks?.totalBlockingTime },
+  longTasks: { label: 'Long tasks', unit: 'count', get: m => m.longTasks?.count },
+  requests: { label: 'Resources', unit: 'count', get: m => m.resources?.count },
+  transferSize: {
+    label: 'Transferred',
+    unit: 'bytes',
+    get: m => m.resources || m.navigation ? (m.resources?.transferSize || 0) + (m.navigation?.transferSize || 0) : null
+  },
+  jsHeapUsed: { label: 'JS heap used', unit: 'bytes', get: m => m.jsHeap?.usedSize }
+};
+
+/**
+ * Default budgets per metric:
+ * - max: absolute limit (the "good" thresholds of Core Web Vitals where they exist)
+ * - maxIncrease: allowed growth over the before session, as a ratio (0.2 = 20%)
+ * - minChange: growth below this is noise and never counts as a regression
+ */
+export const DEFAULT_BUDGETS = {
+  ttfb: { max: 800, maxIncrease: 0.2, minChange: 100 },
+  fcp: { max: 1800, maxIncrease: 0.2, minChange: 100 },
+  lcp: { max: 2500, maxIncrease: 0.2, minChange: 100 },
+  domContentLoaded: { maxIncrease: 0.2, minChange: 200 },
+  load: { maxIncrease: 0.2, minChange: 200 },
+  cls: { max: 0.1, minChange: 0.02 },
+  inp: { max: 200, maxIncrease: 0.2, minChange: 50 },
+  totalBlockingTime: { max: 200, maxIncrease: 0.2, minChange: 50 },
+  longTasks: { maxIncrease: 0.5, minChange: 3 },
+  requests: { maxIncrease: 0.2, minChange: 5 },
+  transferSize: { maxIncrease: 0.1, minChange: 50 * 1024 },
+  jsHeapUsed: { maxIncrease: 0.2, minChange: 5 * 1024 * 1024 }
+};
+
+const BUDGET_FIELDS = ['max', 'maxIncrease', 'minChange'];
+
+/**
+ * Merge budget overrides over DEFAULT_BUDGETS, field by field
+ * @param {Object} budgets - { metric: { max, maxIncrease, minChange } }; null removes a field
+ * @returns {Object} Complete budgets
+ * @throws {Error} With `code` 'INVALID' for an unknown metric or a non-numeric value
+ */
+export function resolveBudgets(budgets = {}) {
+  const resolved = structuredClone(DEFAULT_BUDGETS);
+  for (const [metric, budget] of Object.entries(budgets || {})) {
+    if (!PERFORMANCE_METRICS[metric]) {
+      throw invalid(`Unknown performance metric: ${metric} (expected ${Object.keys(PERFORMANCE_METRICS).join(', ')})`);
+    }
+    if (typeof budget !== 'object' || budget === null) {
+      throw invalid(`Budget for ${metric} must be an object with ${BUDGET_FIELDS.join(', ')}`);
+    }
+    for (const [field, value] of Object.entries(budget)) {
+      if (!BUDGET_FIELDS.includes(field)) {
+        throw invalid(`Unknown budget field ${metric}.${field} (expected ${BUDGET_FIELDS.join(', ')})`);
+      }
+      if (value === null) {
+        delete resolved[metric][field];
+      } else if (typeof value !== 'number' || !(value >= 0)) {
+        throw invalid(`${metric}.${field} must be a non-negative number`);
+      } else {
+        resolved[metric][field] = value;
+      }
+    }
+  }
+  return resolved;
+}
+
+/**
+ * One metric value for display, e.g. "1,234 ms", "0.042", "1.5 MB"
+ */
+export function formatMetricValue(value, unit) {
+  if (value == null) return 'n/a';
+  if (unit === 'bytes') {
+    if (value >= 1024 * 1024) return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+    if (value >= 1024) return `${(value / 1024).toFixed(1)} KB`;
+    return `${value} B`;
+  }
+  if (unit === 'ms') return `${Math.round(value).toLocaleString('en-US')} ms`;
+  if (unit === 'count') return String(value);
+  return String(Number(value.toFixed(4)));
+}
+
+/**
+ * Metric values of one capture with their budget status
+ * @param {Object} metrics - Collected metrics
+ * @param {Object} budgets - Budget overrides (see resolveBudgets)
+ * @returns {Array<Object>} { metric, label, unit, value, max, overBudget } for each known metric
+ */
+export function summarizePerformance(metrics, budgets = {}) {
+  const resolved = resolveBudgets(budgets);
+  return Object.entries(PERFORMANCE_METRICS)
+    .map(([metric, { label, unit, get }]) => {
+      const value = get(metrics) ?? null;
+      const max = resolved[metric].max ?? null;
+      return { metric, label, unit, value, max, overBudget: value != null && max != null && value > max };
+    })
+    .filter(m => m.value != null);
+}
+
+/**
+ * Compare the performance metrics of two sessions against budgets
+ * A metric regresses when it grew by more than minChange and more than maxIncrease of its
+ * before value, or when it went over its absolute max while the before session was within it.
+ * @param {Object} before - Metrics of the before session
+ * @param {Object} after - Metrics of the after session
+ * @param {Object} budgets - Budget overrides (see resolveBudgets)
+ * @returns {Object} { compared, metrics, regressions, improvements, overBudget, hasRegressions }
+ */
+export function comparePerformance(before, after, budgets = {}) {
+  if (!before || !after) {
+    return {
+      compared: false,
+      reason: !before ? 'No performance metrics in the before session' : 'No performance metrics in the after session'
+    };
+  }
+  const resolved = resolveBudgets(budgets);
+
+  const metrics = [];
+  for (const [metric, { label, unit, get }] of Object.entries(PERFORMANCE_METRICS)) {
+    const valueBefore = get(before) ?? null;
+    const valueAfter = get(after) ?? null;
+    if (valueBefore == null && valueAfter == null) continue;
+
+    const budget = resolved[metric];
+    const change = valueBefore != null && valueAfter != null ? valueAfter - valueBefore : null;
+    const changeRatio = change != null && valueBefore > 0 ? Number((change / valueBefore).toFixed(4)) : null;
+    const overBudget = valueAfter != null && budget.max != null && valueAfter > budget.max;
+    const wasOverBudget = valueBefore != null && budget.max != null && valueBefore > budget.max;
+    const grew = change != null && change > (budget.minChange ?? 0) &&
+      (budget.maxIncrease == null || valueBefore === 0 || change / valueBefore > budget.maxIncrease);
+    const shrank = change != null && -change > (budget.minChange ?? 0) &&
+      (budget.maxIncrease == null || valueBefore === 0 || -change / valueBefore > budget.maxIncrease);
+
+    const reasons = [];
+    if (grew) reasons.push(changeRatio != null ? `+${Math.round(changeRatio * 100)}%` : 'increased');
+    if (overBudget && !wasOverBudget) reasons.push(`over budget of ${formatMetricValue(budget.max, unit)}`);
+
+    metrics.push({
+      metric,
+      label,
+      unit,
+      before: valueBefore,
+      after: valueAfter,
+      change,
+      changeRatio,
+      budget,
+      overBudget,
+      regressed: reasons.length > 0,
+      improved: shrank,
+      reason: reasons.join(', ') || null
+    });
+  }
+
+  const regressions = metrics.filter(m => m.regressed);
+  return {
+    compared: true,
+    beforeUrl: before.url,
+    afterUrl: after.url,
+    metrics,
+    regressions,
+    improvements: metrics.filter(m => m.improved),
+    overBudget: metrics.filter(m => m.overBudget),
+    hasRegressions: regressions.length > 0
+  };
+}
+
+/**
+ * One-line description of a metric change,
+ * e.g. "Largest contentful paint: 1,200 ms → 2,900 ms (+142%, over budget of 2,500 ms)"
+ */
+export function formatMetricChange(metric) {
+  const values = `${formatMetricValue(metric.before, metric.unit)} → ${formatMetricValue(metric.after, metric.unit)}`;
+  return `${metric.label}: ${values}${metric.reason ? ` (${metric.reason})` : ''}`;
+}
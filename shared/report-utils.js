@@ -0,0 +1,300 @@
+// Report Utilities - Turn scenario runs, command runs and session diffs into test reports
+// Every source is first normalized into one JSON schema, which is then serialized
+// as JUnit XML (for test dashboards) or Markdown (for people and AI).
+
+import { formatMetricChange } from './performance-utils.js';
+
+export const REPORT_SCHEMA_VERSION = 1;
+
+export const REPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  junit: { extension: 'xml', contentType: 'application/xml' },
+  md: { extension: 'md', contentType: 'text/markdown' }
+};
+
+function summarize(cases) {
+  const summary = { total: cases.length, passed: 0, failed: 0, skipped: 0 };
+  for (const c of cases) {
+    summary[c.status === 'passed' ? 'passed' : c.status === 'skipped' ? 'skipped' : 'failed']++;
+  }
+  return summary;
+}
+
+function toConsoleError(entry, session) {
+  return {
+    message: entry.message || entry.args?.join(' ') || 'Unknown error',
+    url: entry.url,
+    timestamp: entry.timestamp,
+    ...(session ? { session } : {})
+  };
+}
+
+function toFailedEvent(event) {
+  return {
+    action: event.action,
+    selector: event.selector,
+    error: event.error || 'unknown error',
+    url: event.url,
+    timestamp: event.timestamp
+  };
+}
+
+function buildReport(kind, name, fields) {
+  const cases = fields.cases;
+  const summary = summarize(cases);
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    kind,
+    name,
+    status: summary.failed > 0 ? 'failed' : 'passed',
+    startedAt: fields.startedAt || null,
+    durationMs: fields.durationMs ?? null,
+    summary,
+    cases,
+    consoleErrors: fields.consoleErrors || [],
+    failedEvents: fields.failedEvents || [],
+    attachments: cases.flatMap(c => c.attachments)
+  };
+}
+
+/**
+ * Build a report from a scenario run (POST /scenarios/:name/run)
+ * @param {Object} run - Scenario report from runScenario
+ * @param {Function} attachmentsFor - (sessionName) → [{ type, path, session }]
+ * @returns {Object} Normalized report
+ */
+export function reportFromScenario(run, attachmentsFor = () => []) {
+  const cases = run.steps.map(step => ({
+    id: `step-${step.index + 1}`,
+    name: `${step.index + 1}. ${step.description}`,
+    status: step.status,
+    durationMs: step.durationMs ?? null,
+    error: step.error || null,
+    attachments: step.result?.session ? attachmentsFor(step.result.session) : []
+  }));
+
+  return buildReport('scenario', run.title || run.scenario, {
+    cases,
+    startedAt: run.startedAt,
+    durationMs: run.durationMs,
+    consoleErrors: (run.consoleErrors || []).map(e => toConsoleError(e)),
+    failedEvents: (run.failedEvents || []).map(toFailedEvent)
+  });
+}
+
+/**
+ * Build a report from a commands.json run (commands-results.json)
+ * @param {Object} run - Command run results
+ * @returns {Object} Normalized report
+ */
+export function reportFromCommandRun(run) {
+  const cases = run.results.map(result => {
+    const { action, selector, url } = result.command;
+    return {
+      id: `command-${result.index + 1}`,
+      name: `${result.index + 1}. ${action}${selector ? ` ${selector}` : url ? ` ${url}` : ''}`,
+      status: result.status === 'success' ? 'passed' : result.status === 'skipped' ? 'skipped' : 'failed',
+      durationMs: result.durationMs ?? null,
+      error: result.error || null,
+      attachments: []
+    };
+  });
+
+  return buildReport('commands', `commands run ${run.runId}`, {
+    cases,
+    startedAt: run.startedAt,
+    durationMs: run.durationMs,
+    consoleErrors: (run.consoleErrors || []).map(e => toConsoleError(e)),
+    failedEvents: run.results
+      .filter(r => r.status === 'failed' || r.status === 'timeout')
+      .map(r => toFailedEvent({ ...r.command, error: r.error, timestamp: Date.parse(r.startedAt) }))
+  });
+}
+
+/**
+ * Build a report from a session comparison (compareSessions result)
+ * @param {Object} diff - Result of compareSessions
+ * @param {Function} attachmentsFor - (sessionName) → [{ type, path, session }]
+ * @returns {Object} Normalized report
+ */
+export function reportFromDiff(diff, attachmentsFor = () => []) {
+  const { before, after } = diff.sessions;
+  const attachments = [...attachmentsFor(before), ...attachmentsFor(after)];
+
+  const cases = [
+    {
+      id: 'console',
+      name: 'No new console errors',
+      status: diff.console.hasNewErrors ? 'failed' : 'passed',
+      error: diff.console.hasNewErrors
+        ? diff.console.errorSummary.map(e => e.message).join('\n')
+        : null
+    },
+    {
+      id: 'events',
+      name: 'No failed actions',
+      status: diff.events.hasFailures ? 'failed' : 'passed',
+      error: diff.events.hasFailures
+        ? diff.events.failedEvents.map(e => `${e.action}: ${e.error || 'unknown error'}`).join('\n')
+        : null
+    },
+    {
+      id: 'dom',
+      name: diff.dom.htmlChanged ? 'DOM changed' : 'DOM unchanged',
+      status: 'passed',
+      error: null,
+      details: diff.summary.changes
+    },
+    ...(diff.visual ? [{
+      id: 'visual',
+      name: !diff.visual.compared
+        ? 'Screenshots not compared'
+        : diff.visual.changed ? 'Screenshot changed' : 'Screenshot unchanged',
+      status: 'passed',
+      error: null,
+      details: diff.visual.compared
+        ? { changedRatio: diff.visual.changedRatio, regions: diff.visual.regions }
+        : { reason: diff.visual.reason }
+    }] : []),
+    ...(diff.performance?.compared ? [{
+      id: 'performance',
+      name: 'No performance regressions',
+      status: diff.performance.hasRegressions ? 'failed' : 'passed',
+      error: diff.performance.hasRegressions
+        ? diff.performance.regressions.map(formatMetricChange).join('\n')
+        : null
+    }] : [])
+  ].map(c => ({
+    ...c,
+    durationMs: null,
+    attachments: c.id === 'dom' ? attachments
+      : c.id === 'visual' && diff.visual.diffImage?.path
+        ? [{ type: 'visual-diff', session: after, path: diff.visual.diffImage.path }]
+        : []
+  }));
+
+  return buildReport('diff', `${before} → ${after}`, {
+    cases,
+    consoleErrors: diff.console.newErrors.map(e => toConsoleError(e, after)),
+    failedEvents: diff.events.failedEvents.map(toFailedEvent)
+  });
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+/**
+ * Serialize a report as JUnit XML. Screenshots are listed as [[ATTACHMENT|path]] lines,
+ * which Jenkins and GitLab pick up from system-out.
+ * @param {Object} report - Normalized report
+ * @returns {string} XML document
+ */
+export function toJUnitXml(report) {
+  const suiteName = `${report.kind}: ${report.name}`;
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(`<testsuites name="${escapeXml(suiteName)}" tests="${report.summary.total}" failures="${report.summary.failed}" skipped="${report.summary.skipped}" time="${seconds(report.durationMs)}">`);
+  lines.push(`  <testsuite name="${escapeXml(suiteName)}" tests="${report.summary.total}" failures="${report.summary.failed}" skipped="${report.summary.skipped}" time="${seconds(report.durationMs)}"${report.startedAt ? ` timestamp="${escapeXml(report.startedAt)}"` : ''}>`);
+
+  for (const c of report.cases) {
+    const children = [];
+    if (c.status === 'skipped') {
+      children.push('      <skipped/>');
+    } else if (c.status !== 'passed') {
+      const message = (c.error || 'Failed').split('\n')[0];
+      children.push(`      <failure message="${escapeXml(message)}">${escapeXml(c.error || '')}</failure>`);
+    }
+    if (c.attachments.length > 0) {
+      children.push(`      <system-out>${escapeXml(c.attachments.map(a => `[[ATTACHMENT|${a.path}]]`).join('\n'))}</system-out>`);
+    }
+
+    const open = `    <testcase classname="${escapeXml(`${report.kind}.${report.name}`)}" name="${escapeXml(c.name)}" time="${seconds(c.durationMs)}"`;
+    if (children.length === 0) {
+      lines.push(`${open}/>`);
+    } else {
+      lines.push(`${open}>`, ...children, '    </testcase>');
+    }
+  }
+
+  const errors = [
+    ...report.consoleErrors.map(e => `console.error: ${e.message}${e.url ? ` (${e.url})` : ''}`),
+    ...report.failedEvents.map(e => `failed ${e.action}: ${e.error}`)
+  ];
+  if (errors.length > 0) {
+    lines.push(`    <system-err>${escapeXml(errors.join('\n'))}</system-err>`);
+  }
+
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize a report as Markdown
+ * @param {Object} report - Normalized report
+ * @returns {string} Markdown document
+ */
+export function toMarkdown(report) {
+  const { summary } = report;
+  const icon = { passed: '✅', failed: '❌', skipped: '⏭️' };
+  const lines = [`## ${report.status === 'passed' ? '✅' : '❌'} ${report.kind}: ${report.name}\n`];
+
+  lines.push(`**${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped** of ${summary.total}` +
+    (report.durationMs !== null ? ` in ${(report.durationMs / 1000).toFixed(1)}s` : '') + '\n');
+
+  lines.push('| | Test | Time | Error |');
+  lines.push('|---|------|------|-------|');
+  for (const c of report.cases) {
+    const error = (c.error || '').split('\n')[0].replace(/\|/g, '\\|').slice(0, 150);
+    const time = c.durationMs !== null ? `${c.durationMs}ms` : '';
+    lines.push(`| ${icon[c.status] || '❌'} | ${c.name.replace(/\|/g, '\\|')} | ${time} | ${error} |`);
+  }
+
+  if (report.consoleErrors.length > 0) {
+    lines.push('\n### Console Errors');
+    for (const e of report.consoleErrors.slice(0, 20)) {
+      lines.push(`- \`${e.message.slice(0, 200)}\``);
+    }
+  }
+
+  if (report.failedEvents.length > 0) {
+    lines.push('\n### Failed Actions');
+    for (const e of report.failedEvents.slice(0, 20)) {
+      lines.push(`- ${e.action}${e.selector ? ` \`${e.selector}\`` : ''}: ${e.error}`);
+    }
+  }
+
+  if (report.attachments.length > 0) {
+    lines.push('\n### Screenshots');
+    for (const a of report.attachments) {
+      lines.push(`- ${a.session ? `${a.session}: ` : ''}\`${a.path}\``);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize a report in one of REPORT_FORMATS
+ * @param {Object} report - Normalized report
+ * @param {string} format - json, junit or md
+ * @returns {string}
+ */
+export function formatReport(report, format = 'json') {
+  switch (format) {
+    case 'json': return JSON.stringify(report, null, 2) + '\n';
+    case 'junit': return toJUnitXml(report);
+    case 'md': return toMarkdown(report);
+    default: throw new Error(`Unknown report format: ${format} (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  }
+}
@@ -0,0 +1,224 @@
+// Storage Utilities - Cookies and web storage snapshots, changes and comparisons
+// Snapshots come from the extension (chrome.cookies + chrome.scripting) and from Playwright
+// (context.cookies() + storageState) as { url, origin, timestamp, source, cookies,
+// localStorage, sessionStorage }; both cookie flavours are normalized to one shape here.
+
+export const STORAGE_AREAS = ['cookies', 'localStorage', 'sessionStorage'];
+
+const SAME_SITE = { no_restriction: 'None', lax: 'Lax', strict: 'Strict', none: 'None' };
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID';
+  return error;
+}
+
+/**
+ * Parse an area list ("cookies,localStorage", an array, or "all"/empty for every area)
+ * @throws {Error} With `code` 'INVALID' for an unknown area
+ */
+export function parseStorageAreas(value) {
+  const areas = [value ?? []].flat().join(',').split(',').map(a => a.trim()).filter(Boolean);
+  if (areas.length === 0 || areas.includes('all')) return [...STORAGE_AREAS];
+  for (const area of areas) {
+    if (!STORAGE_AREAS.includes(area)) {
+      throw invalid(`Unknown storage area: ${area} (expected ${STORAGE_AREAS.join(', ')} or all)`);
+    }
+  }
+  return [...new Set(areas)];
+}
+
+/**
+ * Origin of a URL ("https://example.com"), or null for URLs without one (about:, data:, ...)
+ */
+export function originOf(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? null : origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * A chrome.cookies or Playwright cookie as { name, value, domain, path, expires, httpOnly,
+ * secure, sameSite }. expires is ms since epoch, null for session cookies; a domain with a
+ * leading dot also matches subdomains.
+ */
+export function normalizeCookie(cookie) {
+  // chrome.cookies: expirationDate (s) / session; Playwright: expires (s), -1 for session cookies
+  const seconds = cookie.expirationDate ?? (cookie.expires > 0 ? cookie.expires : null);
+  const domain = cookie.hostOnly === false && !cookie.domain.startsWith('.') ? `.${cookie.domain}` : cookie.domain;
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain,
+    path: cookie.path || '/',
+    expires: cookie.session || seconds == null ? null : Math.round(seconds * 1000),
+    httpOnly: !!cookie.httpOnly,
+    secure: !!cookie.secure,
+    sameSite: SAME_SITE[String(cookie.sameSite).toLowerCase()] || null
+  };
+}
+
+/**
+ * Whether a cookie is sent to a host (domain match only; path and secure are not checked)
+ */
+export function cookieMatchesHost(cookie, hostname) {
+  if (!cookie.domain.startsWith('.')) return cookie.domain === hostname;
+  const domain = cookie.domain.slice(1);
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * One storage snapshot in the common shape, cookies normalized and sorted
+ * @param {Object} snapshot - { url, origin, timestamp, source, cookies, localStorage, sessionStorage };
+ *   areas that weren't read stay undefined
+ */
+export function normalizeStorage(snapshot) {
+  const result = {
+    url: snapshot.url || null,
+    origin: snapshot.origin || originOf(snapshot.url),
+    timestamp: snapshot.timestamp || Date.now(),
+    source: snapshot.source || null
+  };
+  if (snapshot.cookies) {
+    result.cookies = snapshot.cookies.map(normalizeCookie)
+      .sort((a, b) => cookieKey(a).localeCompare(cookieKey(b)));
+  }
+  for (const area of ['localStorage', 'sessionStorage']) {
+    if (snapshot[area]) result[area] = { ...snapshot[area] };
+  }
+  if (snapshot.errors) result.errors = snapshot.errors;
+  return result;
+}
+
+/**
+ * Check a set/delete request and return it cleaned up
+ * @param {Object} change - { area, name, value, domain, path, expires, httpOnly, secure, sameSite }
+ * @param {Object} options - { requireValue: true for set }
+ * @throws {Error} With `code` 'INVALID' when a field is missing or has the wrong type
+ */
+export function validateStorageChange(change = {}, options = {}) {
+  const { area, name, value } = change;
+  if (!STORAGE_AREAS.includes(area)) {
+    throw invalid(`Unknown storage area: ${area} (expected ${STORAGE_AREAS.join(', ')})`);
+  }
+  if (typeof name !== 'string' || name === '') {
+    throw invalid('name must be a non-empty string');
+  }
+  if (options.requireValue && typeof value !== 'string') {
+    throw invalid('value must be a string');
+  }
+
+  const cleaned = { area, name, ...(options.requireValue ? { value } : {}) };
+  if (area !== 'cookies') return cleaned;
+
+  for (const field of ['domain', 'path']) {
+    if (change[field] === undefined) continue;
+    if (typeof change[field] !== 'string') throw invalid(`${field} must be a string`);
+    cleaned[field] = change[field];
+  }
+  if (!options.requireValue) return cleaned;
+
+  if (change.expires !== undefined && change.expires !== null) {
+    const expires = typeof change.expires === 'string' ? Date.parse(change.expires) : change.expires;
+    if (typeof expires !== 'number' || Number.isNaN(expires)) {
+      throw invalid('expires must be a timestamp in ms or a date string');
+    }
+    cleaned.expires = expires;
+  }
+  for (const field of ['httpOnly', 'secure']) {
+    if (change[field] === undefined) continue;
+    if (typeof change[field] !== 'boolean') throw invalid(`${field} must be true or false`);
+    cleaned[field] = change[field];
+  }
+  if (change.sameSite !== undefined) {
+    const sameSite = SAME_SITE[String(change.sameSite).toLowerCase()];
+    if (!sameSite) throw invalid('sameSite must be Strict, Lax or None');
+    cleaned.sameSite = sameSite;
+  }
+  return cleaned;
+}
+
+// Cookies are the same cookie when name, domain and path match
+function cookieKey(cookie) {
+  return `${cookie.name}; ${cookie.domain}; ${cookie.path}`;
+}
+
+function cookieAttributes(cookie) {
+  return `${cookie.value}|${cookie.httpOnly}|${cookie.secure}|${cookie.sameSite}`;
+}
+
+function truncateValue(value, maxLength) {
+  return value.length > maxLength ? `${value.slice(0, maxLength)}…` : value;
+}
+
+// Added, removed and changed entries between two { key: entry } maps
+function diffEntries(before, after, same, describe) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [key, entry] of after) {
+    if (!before.has(key)) added.push(describe(entry));
+    else if (!same(before.get(key), entry)) changed.push({ ...describe(entry), before: describe(before.get(key)).value });
+  }
+  for (const [key, entry] of before) {
+    if (!after.has(key)) removed.push(describe(entry));
+  }
+  return { added, removed, changed };
+}
+
+/**
+ * Compare the cookies and web storage of two sessions
+ * Cookie expiry is ignored, so sliding session cookies don't show up as changes.
+ * @param {Object} before - Storage snapshot of the before session
+ * @param {Object} after - Storage snapshot of the after session
+ * @param {Object} options - { maxValueLength: characters of each value kept (default: 200) }
+ * @returns {Object} { compared, beforeOrigin, afterOrigin, cookies, localStorage, sessionStorage,
+ *   each { added, removed, changed }, total, hasChanges }; changed entries carry `before`
+ */
+export function compareStorage(before, after, options = {}) {
+  if (!before || !after) {
+    return {
+      compared: false,
+      reason: !before ? 'No storage in the before session' : 'No storage in the after session'
+    };
+  }
+  const maxValueLength = options.maxValueLength ?? 200;
+
+  const result = { compared: true, beforeOrigin: before.origin, afterOrigin: after.origin };
+  let total = 0;
+  for (const area of STORAGE_AREAS) {
+    // Areas only one session read can't be compared
+    if (!before[area] || !after[area]) continue;
+
+    const items = (snapshot) => new Map(Object.entries(snapshot[area]).map(([name, value]) => [name, { name, value: String(value) }]));
+    const diff = area === 'cookies'
+      ? diffEntries(
+        new Map(before.cookies.map(c => [cookieKey(c), c])),
+        new Map(after.cookies.map(c => [cookieKey(c), c])),
+        (a, b) => cookieAttributes(a) === cookieAttributes(b),
+        c => ({ name: c.name, domain: c.domain, path: c.path, value: truncateValue(c.value, maxValueLength) }))
+      : diffEntries(
+        items(before),
+        items(after),
+        (a, b) => a.value === b.value,
+        item => ({ name: item.name, value: truncateValue(item.value, maxValueLength) }));
+    result[area] = diff;
+    total += diff.added.length + diff.removed.length + diff.changed.length;
+  }
+  result.total = total;
+  result.hasChanges = total > 0;
+  return result;
+}
+
+/**
+ * One line per changed area, e.g. "Cookies: 1 added, 0 removed, 2 changed"
+ */
+export function summarizeStorageChanges(storage) {
+  const labels = { cookies: 'Cookies', localStorage: 'localStorage', sessionStorage: 'sessionStorage' };
+  return STORAGE_AREAS
+    .filter(area => storage[area] && storage[area].added.length + storage[area].removed.length + storage[area].changed.length > 0)
+    .map(area => `${labels[area]}: ${storage[area].added.length} added, ${storage[area].removed.length} removed, ${storage[area].changed.length} changed`);
+}